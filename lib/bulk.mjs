@@ -0,0 +1,137 @@
+// Bulk VIN Validation
+// Validates large VIN lists (tens of thousands per request) with the local
+// validator only - no external API calls - and summarises the results:
+// invalid rate, error categories and WMI distribution.
+
+import { validateVin, normalizeVin } from './validate.mjs';
+import { parseCsv } from './csv.mjs';
+
+export const MAX_BULK_VINS = 50_000;
+export const BULK_ROW_FILTERS = ['all', 'invalid', 'none'];
+
+const TOP_WMIS = 50;
+
+// ---------------------------------------------------------------------------
+// findVinColumn(header, column)
+// Index of the VIN column in a CSV's first row: the column named `column`,
+// else the first header containing "vin". { index: -1 } when the first row is
+// not a header (no named column asked for); { error } when `column` is absent.
+// ---------------------------------------------------------------------------
+export function findVinColumn(header, column) {
+  const names = header.map(h => h.trim().toLowerCase());
+  if (column === undefined) return { index: names.findIndex(h => h.includes('vin')) };
+  const index = names.indexOf(String(column).trim().toLowerCase());
+  return index === -1 ? { error: `CSV has no column named '${column}'` } : { index };
+}
+
+// ---------------------------------------------------------------------------
+// parseVinList(body, { format, column })
+// Turn an upload into [{ row, input }]:
+//   json - an array of VIN strings, or { vins: [...] }; row = 1-based index
+//   text - one VIN per line; row = line number (blank lines are skipped)
+//   csv  - the column named `column`, else the first header containing
+//          "vin", else the first column with no header; row = record number
+// Returns { items } or { error }.
+// ---------------------------------------------------------------------------
+export function parseVinList(body, { format = 'json', column } = {}) {
+  if (format === 'json') {
+    const list = Array.isArray(body) ? body : body?.vins;
+    if (!Array.isArray(list)) return { error: 'Provide a JSON array of VINs or { "vins": [...] }' };
+    return { items: list.map((input, i) => ({ row: i + 1, input: typeof input === 'string' ? input : String(input ?? '') })) };
+  }
+
+  if (typeof body !== 'string') return { error: `Expected a ${format} body` };
+
+  if (format === 'text') {
+    const items = [];
+    body.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, i) => {
+      if (line.trim()) items.push({ row: i + 1, input: line.trim() });
+    });
+    return { items };
+  }
+
+  if (format === 'csv') {
+    const rows = parseCsv(body);
+    if (rows.length === 0) return { items: [] };
+    const found = findVinColumn(rows[0], column);
+    if (found.error) return found;
+    let { index } = found;
+    const hasHeader = index !== -1;
+    if (!hasHeader) index = 0;
+    const items = [];
+    rows.slice(hasHeader ? 1 : 0).forEach((fields, i) => {
+      const input = (fields[index] ?? '').trim();
+      if (input) items.push({ row: i + (hasHeader ? 2 : 1), input });
+    });
+    return { items };
+  }
+
+  return { error: `Unsupported format '${format}'` };
+}
+
+// ---------------------------------------------------------------------------
+// validateBulk(items, { mode, rows })
+// `items` is [{ row, input }] (see parseVinList) or plain strings. `rows`
+// picks which per-row results to return: all (default), invalid or none; the
+// stats always cover every row.
+// ---------------------------------------------------------------------------
+export function validateBulk(items, { mode, rows = 'all' } = {}) {
+  if (!Array.isArray(items)) return { error: 'Expected a list of VINs' };
+  if (items.length > MAX_BULK_VINS) return { error: `Too many VINs: ${items.length} (max ${MAX_BULK_VINS.toLocaleString('en-US')})` };
+  if (!BULK_ROW_FILTERS.includes(rows)) return { error: `rows must be one of: ${BULK_ROW_FILTERS.join(', ')}` };
+
+  const stats = { total: 0, valid: 0, invalid: 0, pre_standard: 0, with_warnings: 0, duplicates: 0 };
+  const categories = {};
+  const wmis = new Map();
+  const seen = new Set();
+  const results = [];
+
+  items.forEach((item, i) => {
+    const { row, input } = typeof item === 'string' ? { row: i + 1, input: item } : item;
+    const v = validateVin(input, { mode });
+    stats.total++;
+    if (v.status === 'valid') stats.valid++;
+    else if (v.status === 'pre-standard') stats.pre_standard++;
+    else stats.invalid++;
+    if (v.warnings.length > 0) stats.with_warnings++;
+    for (const code of v.error_codes) categories[code] = (categories[code] || 0) + 1;
+
+    const vin = normalizeVin(input);
+    if (seen.has(vin)) stats.duplicates++;
+    else seen.add(vin);
+
+    if (v.status === 'valid') {
+      const entry = wmis.get(v.wmi.code) || { wmi: v.wmi.code, manufacturer: v.wmi.manufacturer, country: v.wmi.country, count: 0 };
+      entry.count++;
+      wmis.set(v.wmi.code, entry);
+    }
+
+    if (rows === 'all' || (rows === 'invalid' && v.status === 'invalid')) {
+      results.push({
+        row,
+        input,
+        vin: v.vin,
+        valid: v.valid,
+        status: v.status,
+        error_codes: v.error_codes,
+        errors: v.errors,
+        warnings: v.warnings,
+        manufacturer: v.wmi.manufacturer,
+        year: v.year.resolved,
+      });
+    }
+  });
+
+  const distribution = [...wmis.values()].sort((a, b) => b.count - a.count || a.wmi.localeCompare(b.wmi));
+  return {
+    stats: {
+      ...stats,
+      invalid_rate: stats.total ? Math.round((stats.invalid / stats.total) * 1e6) / 1e6 : 0,
+      error_categories: categories,
+      distinct_wmis: distribution.length,
+      top_wmis: distribution.slice(0, TOP_WMIS),
+    },
+    rows,
+    results,
+  };
+}
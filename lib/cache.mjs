@@ -1,36 +1,203 @@
 // LRU Cache with TTL for VIN decode results
+//
+// A cache created with a `namespace` is two-tier: the in-process LRU in front
+// of the cache_entries table in SQLite (lib/db.mjs). Writes go to both; a
+// memory miss falls through to SQLite, so upstream data survives restarts and
+// is shared by the HTTP and stdio servers. Each namespace keeps its own TTL
+// and a row bound (`diskMax`), and loads its most-used entries at startup.
+// CACHE_PERSIST=0 keeps every cache in memory only.
+//
+// Expired entries are kept for a further `staleTtl`. getOrLoad() serves them
+// at once and refreshes them in the background (stale-while-revalidate), and
+// runs one load per key however many callers ask at the same time
+// (single-flight).
+//
+// Each source's TTL can be set in seconds with CACHE_TTL_<SOURCE> (see the
+// instances at the bottom). Every cache counts its hits and misses for
+// /api/admin/cache.
+
+import db from './db.mjs';
+import { withUpstreamSignal, currentUpstreamSignal } from './provider.mjs';
 
 const DEFAULT_MAX = 1000;
 const DEFAULT_TTL = 60 * 60 * 1000; // 1 hour
 
+const PERSIST = process.env.CACHE_PERSIST !== '0';
+const WARM_LIMIT = 200;      // entries loaded per namespace at startup
+const TRIM_EVERY = 100;      // writes between row-bound checks
+const HIT_FLUSH_MS = 60_000; // memory hits are counted, then written in batches
+
+const stmt = PERSIST ? {
+  get: db.prepare('SELECT value, expires_at FROM cache_entries WHERE namespace = ? AND key = ? AND expires_at > ?'),
+  put: db.prepare(`
+    INSERT INTO cache_entries (namespace, key, value, expires_at, last_used) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at, last_used = excluded.last_used
+  `),
+  touch: db.prepare('UPDATE cache_entries SET hits = hits + ?, last_used = ? WHERE namespace = ? AND key = ?'),
+  remove: db.prepare('DELETE FROM cache_entries WHERE namespace = ? AND key = ?'),
+  clear: db.prepare('DELETE FROM cache_entries WHERE namespace = ?'),
+  warm: db.prepare('SELECT key, value, expires_at FROM cache_entries WHERE namespace = ? AND expires_at > ? ORDER BY hits DESC, last_used DESC LIMIT ?'),
+  expire: db.prepare('DELETE FROM cache_entries WHERE namespace = ? AND expires_at <= ?'),
+  count: db.prepare('SELECT COUNT(*) AS n FROM cache_entries WHERE namespace = ?'),
+  scan: db.prepare('SELECT key, value FROM cache_entries WHERE namespace = ?'),
+  trim: db.prepare(`
+    DELETE FROM cache_entries WHERE namespace = ? AND key IN (
+      SELECT key FROM cache_entries WHERE namespace = ? ORDER BY hits ASC, last_used ASC LIMIT ?
+    )
+  `),
+} : null;
+
+// namespace -> key -> { hits, last_used } not yet written
+const pendingHits = new Map();
+
+// namespace -> cache, for cacheStats()
+const registry = new Map();
+
+const removeKeys = PERSIST ? db.transaction((namespace, keys) => {
+  for (const key of keys) stmt.remove.run(namespace, key);
+}) : () => {};
+
+const flushHits = PERSIST ? db.transaction(() => {
+  for (const [namespace, keys] of pendingHits) {
+    for (const [key, { hits, last_used }] of keys) stmt.touch.run(hits, last_used, namespace, key);
+  }
+  pendingHits.clear();
+}) : () => {};
+
+function flushHitsSafely() {
+  try { flushHits(); } catch (err) { console.error('[cache] hit flush failed:', err.message); }
+}
+
+if (PERSIST) {
+  setInterval(flushHitsSafely, HIT_FLUSH_MS).unref();
+  process.on('exit', flushHitsSafely);
+}
+
+// ---------------------------------------------------------------------------
+// SingleFlight
+// One in-progress promise per key; later callers for the same key share it.
+// The shared work runs under its own upstream signal, aborted only once every
+// caller waiting on it has been cancelled (see withUpstreamSignal) - callers
+// without a signal, and background refreshes, keep it running.
+// ---------------------------------------------------------------------------
+export class SingleFlight {
+  constructor() {
+    this.flights = new Map(); // key → { promise, controller, waiters, pinned, cleanups }
+  }
+
+  run(key, fn, { background = false } = {}) {
+    let flight = this.flights.get(key);
+    if (!flight) {
+      const controller = new AbortController();
+      flight = { controller, waiters: 0, pinned: false, cleanups: [] };
+      flight.promise = withUpstreamSignal(controller.signal, () => Promise.resolve().then(fn)).finally(() => {
+        if (this.flights.get(key) === flight) this.flights.delete(key);
+        for (const cleanup of flight.cleanups) cleanup();
+      });
+      this.flights.set(key, flight);
+    }
+    this.join(flight, background ? null : currentUpstreamSignal());
+    return flight.promise;
+  }
+
+  join(flight, signal) {
+    if (!signal) {
+      flight.pinned = true;
+      return;
+    }
+    if (signal.aborted) return;
+    flight.waiters++;
+    const onAbort = () => {
+      if (--flight.waiters === 0 && !flight.pinned) flight.controller.abort(signal.reason);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    flight.cleanups.push(() => signal.removeEventListener('abort', onAbort));
+  }
+
+  get size() {
+    return this.flights.size;
+  }
+}
+
 export class LRUCache {
-  constructor(max = DEFAULT_MAX, ttl = DEFAULT_TTL) {
+  constructor(max = DEFAULT_MAX, ttl = DEFAULT_TTL, { namespace = null, diskMax = max * 5, staleTtl = 0 } = {}) {
     this.max = max;
     this.ttl = ttl;
+    this.staleTtl = staleTtl;
+    this.name = namespace;
     this.map = new Map(); // key → { value, expires }
+    this.namespace = PERSIST ? namespace : null;
+    this.diskMax = diskMax;
+    this.writes = 0;
+    this.flights = new SingleFlight();
+    this.counts = { hits: 0, stale_hits: 0, misses: 0, loads: 0 };
+    if (namespace) registry.set(namespace, this);
+    if (this.namespace) this.warm();
   }
 
+  // Fresh values only
   get(key) {
-    const entry = this.map.get(key);
-    if (!entry) return undefined;
-    if (Date.now() > entry.expires) {
+    const hit = this.lookup(key);
+    return hit && !hit.stale ? hit.value : undefined;
+  }
+
+  // { value, stale, age_ms } for a fresh entry or one within its stale window
+  lookup(key) {
+    const now = Date.now();
+    let entry = this.map.get(key);
+    if (entry && now > entry.expires + this.staleTtl) {
       this.map.delete(key);
-      return undefined;
+      entry = undefined;
+    }
+    if (entry) {
+      // Move to end (most recent)
+      this.map.delete(key);
+      this.map.set(key, entry);
+      this.countHit(key);
+    } else {
+      entry = this.load(key);
+      if (!entry) {
+        this.counts.misses++;
+        return undefined;
+      }
     }
-    // Move to end (most recent)
-    this.map.delete(key);
-    this.map.set(key, entry);
-    return entry.value;
+    this.counts[now > entry.expires ? 'stale_hits' : 'hits']++;
+    return { value: entry.value, stale: now > entry.expires, age_ms: now - (entry.expires - this.ttl) };
   }
 
   set(key, value) {
-    this.map.delete(key); // remove old position
-    this.map.set(key, { value, expires: Date.now() + this.ttl });
-    // Evict oldest if over capacity
-    if (this.map.size > this.max) {
-      const oldest = this.map.keys().next().value;
-      this.map.delete(oldest);
+    const expires = Date.now() + this.ttl;
+    this.remember(key, value, expires);
+    this.persist(key, value, expires);
+  }
+
+  // ---------------------------------------------------------------------------
+  // resolve(key, load, { cacheable, fresh }) -> { value, hit, stale, age_ms }
+  // The cached value, else `await load()` (stored when cacheable(value)).
+  // Concurrent misses share one load; a stale value is returned immediately
+  // while one background load replaces it, unless `fresh` asks to wait for
+  // the load instead. getOrLoad() returns just the value.
+  // ---------------------------------------------------------------------------
+  async resolve(key, load, { cacheable = value => value !== null && value !== undefined, fresh = false } = {}) {
+    const cached = this.lookup(key);
+    if (cached && !cached.stale) return { ...cached, hit: true };
+
+    const refresh = background => this.flights.run(key, async () => {
+      this.counts.loads++;
+      const value = await load();
+      if (cacheable(value)) this.set(key, value);
+      return value;
+    }, { background });
+
+    if (cached && !fresh) {
+      refresh(true).catch(err => console.error(`[cache] background refresh of ${this.namespace || 'cache'} ${key} failed:`, err.message));
+      return { ...cached, hit: true };
     }
+    return { value: await refresh(false), hit: false, stale: false, age_ms: 0 };
+  }
+
+  async getOrLoad(key, load, options) {
+    return (await this.resolve(key, load, options)).value;
   }
 
   has(key) {
@@ -38,10 +205,12 @@ export class LRUCache {
   }
 
   delete(key) {
+    if (this.namespace) this.guard('delete', () => stmt.remove.run(this.namespace, String(key)));
     return this.map.delete(key);
   }
 
   clear() {
+    if (this.namespace) this.guard('clear', () => stmt.clear.run(this.namespace));
     this.map.clear();
   }
 
@@ -49,17 +218,201 @@ export class LRUCache {
     return this.map.size;
   }
 
-  // Prune all expired entries
+  // ---------------------------------------------------------------------------
+  // purge(test)
+  // Delete every entry, in memory and on disk, for which test(key, value) is
+  // true (keys are compared as strings). Returns the removed values.
+  // ---------------------------------------------------------------------------
+  purge(test) {
+    const removed = new Map();
+    for (const [key, entry] of this.map) {
+      if (!test(String(key), entry.value)) continue;
+      this.map.delete(key);
+      removed.set(String(key), entry.value);
+    }
+    if (this.namespace) {
+      this.guard('purge', () => {
+        const keys = [];
+        // Collected first: the connection cannot write while the scan is open
+        for (const row of stmt.scan.iterate(this.namespace)) {
+          if (removed.has(row.key)) {
+            keys.push(row.key);
+            continue;
+          }
+          // A row that no longer parses is left for expiry rather than ending the scan
+          const value = this.guard(`purge ${row.key}`, () => JSON.parse(row.value));
+          if (value === undefined || !test(row.key, value)) continue;
+          keys.push(row.key);
+          removed.set(row.key, value);
+        }
+        removeKeys(this.namespace, keys);
+      });
+    }
+    return [...removed.values()];
+  }
+
+  // Counters since startup, entry counts and settings
+  info() {
+    const { hits, stale_hits, misses, loads } = this.counts;
+    const lookups = hits + stale_hits + misses;
+    return {
+      namespace: this.name,
+      ttl_seconds: Math.round(this.ttl / 1000),
+      stale_seconds: Math.round(this.staleTtl / 1000),
+      memory_entries: this.map.size,
+      disk_entries: this.namespace ? this.guard('count', () => stmt.count.get(this.namespace).n) ?? null : null,
+      hits, stale_hits, misses, loads,
+      hit_rate: lookups > 0 ? Math.round(((hits + stale_hits) / lookups) * 1000) / 1000 : null,
+      in_flight: this.flights.size,
+    };
+  }
+
+  // Prune all entries past their stale window
   prune() {
     const now = Date.now();
     for (const [key, entry] of this.map) {
-      if (now > entry.expires) this.map.delete(key);
+      if (now > entry.expires + this.staleTtl) this.map.delete(key);
+    }
+    if (this.namespace) this.guard('prune', () => stmt.expire.run(this.namespace, now - this.staleTtl));
+  }
+
+  // ---- Memory tier ----
+
+  remember(key, value, expires) {
+    this.map.delete(key); // remove old position
+    this.map.set(key, { value, expires });
+    // Evict oldest if over capacity
+    if (this.map.size > this.max) {
+      const oldest = this.map.keys().next().value;
+      this.map.delete(oldest);
+    }
+  }
+
+  // ---- SQLite tier ----
+  // Failures here (a locked or read-only database) only cost the second tier
+
+  guard(what, fn) {
+    try {
+      return fn();
+    } catch (err) {
+      console.error(`[cache] ${this.namespace} ${what} failed:`, err.message);
+      return undefined;
     }
   }
+
+  load(key) {
+    if (!this.namespace) return undefined;
+    const row = this.guard('read', () => stmt.get.get(this.namespace, String(key), Date.now() - this.staleTtl));
+    const value = row ? this.guard('read', () => JSON.parse(row.value)) : undefined;
+    if (value === undefined) return undefined;
+    this.remember(key, value, row.expires_at);
+    this.countHit(key);
+    return { value, expires: row.expires_at };
+  }
+
+  persist(key, value, expires) {
+    if (!this.namespace) return;
+    this.guard('write', () => stmt.put.run(this.namespace, String(key), JSON.stringify(value), expires, Date.now()));
+    if (++this.writes % TRIM_EVERY === 0) this.trim();
+  }
+
+  countHit(key) {
+    if (!this.namespace) return;
+    let keys = pendingHits.get(this.namespace);
+    if (!keys) pendingHits.set(this.namespace, keys = new Map());
+    const pending = keys.get(String(key));
+    if (pending) {
+      pending.hits++;
+      pending.last_used = Date.now();
+    } else {
+      keys.set(String(key), { hits: 1, last_used: Date.now() });
+    }
+  }
+
+  // Drop rows past their stale window, then the least-used ones beyond diskMax
+  trim() {
+    flushHitsSafely();
+    this.guard('trim', () => {
+      stmt.expire.run(this.namespace, Date.now() - this.staleTtl);
+      const excess = stmt.count.get(this.namespace).n - this.diskMax;
+      if (excess > 0) stmt.trim.run(this.namespace, this.namespace, excess);
+    });
+  }
+
+  // Load the most-used live entries, hottest last so they are the most recent
+  warm() {
+    const rows = this.guard('warm-up', () => stmt.warm.all(this.namespace, Date.now() - this.staleTtl, Math.min(WARM_LIMIT, this.max))) || [];
+    for (const row of rows.reverse()) {
+      const value = this.guard('warm-up', () => JSON.parse(row.value));
+      if (value !== undefined) this.map.set(row.key, { value, expires: row.expires_at });
+    }
+  }
+}
+
+// CACHE_TTL_<SOURCE> overrides a source's TTL, in seconds
+function ttl(source, fallback) {
+  const seconds = Number(process.env[`CACHE_TTL_${source}`]);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : fallback;
+}
+
+// Shared cache instances; expired entries are still served (and refreshed) for a day, or a week for static data
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+export const vinCache = new LRUCache(1000, ttl('VIN', HOUR), { namespace: 'vin', staleTtl: DAY });     // 1hr for full decodes
+export const decodeCache = new LRUCache(2000, ttl('DECODE', 7 * DAY), { namespace: 'decode', staleTtl: 30 * DAY }); // 7d for vPIC API decodes (the local snapshot needs no cache)
+export const recallCache = new LRUCache(500, ttl('RECALLS', 6 * HOUR), { namespace: 'recalls', staleTtl: DAY }); // 6hr for recalls (change less often)
+export const complaintCache = new LRUCache(500, ttl('COMPLAINTS', 6 * HOUR), { namespace: 'complaints', staleTtl: DAY }); // 6hr for complaints
+export const ratingCache = new LRUCache(500, ttl('RATINGS', DAY), { namespace: 'ncap-variants', staleTtl: 7 * DAY }); // 24hr for safety ratings (static)
+export const ncapVehicleCache = new LRUCache(2000, ttl('RATINGS', DAY), { namespace: 'ncap-vehicle', staleTtl: 7 * DAY }); // 24hr for NCAP variant details, per VehicleId
+export const modelListCache = new LRUCache(500, ttl('MODELS', DAY), { namespace: 'model-lists', staleTtl: 7 * DAY }); // 24hr for per-source model lists (make|year)
+export const fuelCache = new LRUCache(500, ttl('FUEL', DAY), { namespace: 'epa-options', staleTtl: 7 * DAY });  // 24hr for EPA menu options (static)
+export const epaVehicleCache = new LRUCache(2000, ttl('FUEL', DAY), { namespace: 'epa-vehicle', staleTtl: 7 * DAY }); // 24hr for EPA vehicle details, per vehicle id
+
+export function cacheStats() {
+  return [...registry.values()].map(cache => cache.info());
+}
+
+// ---------------------------------------------------------------------------
+// purgeVin(vin) / purgeVehicle({ make, model, year, resolved })
+// Drop what is cached for one VIN (its reports in every validation mode and
+// its vPIC decode), or for one make/model/year: the reports of matching VINs
+// and each source's entries, with the NCAP and EPA variant details those
+// entries list. Make and model match case-insensitively. Sources cache under
+// the model name they use, so `resolved` (resolveModels() output) adds each
+// source's name for the model; a report also matches the names in its own
+// `resolved_as`. Returns the count removed per namespace.
+// ---------------------------------------------------------------------------
+export function purgeVin(vin) {
+  return {
+    vin: vinCache.purge(key => key === vin || key.startsWith(`${vin}|`)).length,
+    decode: decodeCache.purge(key => key === vin).length,
+  };
 }
 
-// Shared cache instances
-export const vinCache = new LRUCache(1000, 60 * 60 * 1000);     // 1hr for full decodes
-export const recallCache = new LRUCache(500, 6 * 60 * 60 * 1000); // 6hr for recalls (change less often)
-export const ratingCache = new LRUCache(500, 24 * 60 * 60 * 1000); // 24hr for safety ratings (static)
-export const fuelCache = new LRUCache(500, 24 * 60 * 60 * 1000);  // 24hr for fuel economy (static)
+export function purgeVehicle({ make, model, year, resolved = {} }) {
+  const same = (a, b) => a != null && String(a).toUpperCase() === String(b).toUpperCase();
+  const sameKey = source => key => {
+    const [m, mo, y] = key.split('|');
+    return same(m, make) && (same(mo, model) || same(mo, resolved[source]?.model)) && y === String(year);
+  };
+  const sameReport = report => {
+    const { vehicle, resolved_as: names } = report || {};
+    return same(vehicle?.make, make) && String(vehicle?.year) === String(year) &&
+      (same(vehicle?.model, model) || Object.values(names || {}).some(r => same(r?.model, model)));
+  };
+  const variantIds = lists => new Set(lists.flat().map(v => String(v?.vehicle_id)));
+
+  const ncapLists = ratingCache.purge(sameKey('safety_ratings'));
+  const epaLists = fuelCache.purge(sameKey('fuel_economy'));
+  const ncapIds = variantIds(ncapLists);
+  const epaIds = variantIds(epaLists);
+  return {
+    vin: vinCache.purge((key, report) => sameReport(report)).length,
+    recalls: recallCache.purge(sameKey('recalls')).length,
+    complaints: complaintCache.purge(sameKey('complaints')).length,
+    'ncap-variants': ncapLists.length,
+    'ncap-vehicle': ncapVehicleCache.purge(key => ncapIds.has(key)).length,
+    'epa-options': epaLists.length,
+    'epa-vehicle': epaVehicleCache.purge(key => epaIds.has(key)).length,
+  };
+}
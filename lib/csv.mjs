@@ -0,0 +1,145 @@
+// Minimal RFC 4180 CSV reader (no dependencies).
+// Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+
+import fs from 'node:fs';
+import readline from 'node:readline';
+
+// ---------------------------------------------------------------------------
+// splitRecord(line, delimiter)
+// Split one complete CSV record into fields. Returns null if the record has
+// an unterminated quote (i.e. a quoted newline — caller should append the
+// next physical line and retry).
+// ---------------------------------------------------------------------------
+function splitRecord(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (line[i + 1] === '"') { field += '"'; i++; }
+        else inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (inQuotes) return null;
+  fields.push(field);
+  return fields;
+}
+
+// ---------------------------------------------------------------------------
+// detectDelimiter(headerLine)
+// Pick the most frequent of comma, tab, semicolon and pipe in the header.
+// ---------------------------------------------------------------------------
+export function detectDelimiter(headerLine) {
+  let best = ',';
+  let bestCount = 0;
+  for (const d of [',', '\t', ';', '|']) {
+    const count = headerLine.split(d).length - 1;
+    if (count > bestCount) { best = d; bestCount = count; }
+  }
+  return best;
+}
+
+// ---------------------------------------------------------------------------
+// parseCsv(text, { delimiter })
+// Parse a whole CSV document into an array of rows (arrays of strings).
+// ---------------------------------------------------------------------------
+export function parseCsv(text, { delimiter } = {}) {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const delim = delimiter || detectDelimiter(lines[0] || '');
+  const rows = [];
+  let pending = null;
+
+  for (const line of lines) {
+    const record = pending === null ? line : `${pending}\n${line}`;
+    const fields = splitRecord(record, delim);
+    if (fields === null) { pending = record; continue; }
+    pending = null;
+    if (fields.length === 1 && fields[0] === '') continue; // blank line
+    rows.push(fields);
+  }
+
+  if (pending !== null) {
+    const fields = splitRecord(`${pending}"`, delim);
+    if (fields) rows.push(fields);
+  }
+
+  return rows;
+}
+
+// ---------------------------------------------------------------------------
+// readCsvFile(file)
+// Async generator over a (possibly very large) CSV file. Yields one object
+// per record, keyed by the header row.
+// ---------------------------------------------------------------------------
+export async function* readCsvFile(file, { delimiter } = {}) {
+  const rl = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: 'utf8' }),
+    crlfDelay: Infinity,
+  });
+
+  let header = null;
+  let delim = delimiter;
+  let pending = null;
+
+  for await (const line of rl) {
+    if (header === null) {
+      const clean = line.replace(/^\uFEFF/, '');
+      delim = delim || detectDelimiter(clean);
+      header = splitRecord(clean, delim).map(h => h.trim());
+      continue;
+    }
+
+    const record = pending === null ? line : `${pending}\n${line}`;
+    const fields = splitRecord(record, delim);
+    if (fields === null) { pending = record; continue; }
+    pending = null;
+    if (fields.length === 1 && fields[0] === '') continue;
+
+    const row = {};
+    for (let i = 0; i < header.length; i++) row[header[i]] = fields[i] ?? '';
+    yield row;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// csvField(value, delimiter) / csvRow(values, delimiter)
+// Quote a field when it contains the delimiter, a quote or a newline.
+// null/undefined become empty fields; objects are written as JSON.
+// ---------------------------------------------------------------------------
+export function csvField(value, delimiter = ',') {
+  if (value === null || value === undefined) return '';
+  const s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return s.includes(delimiter) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function csvRow(values, delimiter = ',') {
+  return `${values.map(v => csvField(v, delimiter)).join(delimiter)}\r\n`;
+}
+
+// ---------------------------------------------------------------------------
+// flattenRecord(obj)
+// Nested objects become dotted keys ({ engine: { hp: 200 } } ->
+// { 'engine.hp': 200 }); arrays are kept whole (csvField writes them as JSON).
+// ---------------------------------------------------------------------------
+export function flattenRecord(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj ?? {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) flattenRecord(value, name, out);
+    else out[name] = value;
+  }
+  return out;
+}
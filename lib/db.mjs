@@ -4,10 +4,11 @@ import fs from 'node:fs';
 import { fileURLToPath } from 'node:url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const dataDir = path.join(__dirname, '..', 'data');
+const dbPath = process.env.VIN_DB_PATH || path.join(__dirname, '..', 'data', 'vin.db');
+const dataDir = path.dirname(dbPath);
 if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
 
-const db = new Database(path.join(dataDir, 'vin.db'));
+const db = new Database(dbPath);
 db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
@@ -81,6 +82,52 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_secevents_ts ON security_events(ts);
   CREATE INDEX IF NOT EXISTS idx_secevents_type ON security_events(event_type);
   CREATE INDEX IF NOT EXISTS idx_secevents_ip ON security_events(ip);
+
+  -- Asynchronous batch jobs (see lib/jobs.mjs)
+  CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued',
+    options TEXT NOT NULL DEFAULT '{}',
+    total INTEGER NOT NULL,
+    processed INTEGER DEFAULT 0,
+    ok INTEGER DEFAULT 0,
+    invalid INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    error TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    started_at TEXT,
+    finished_at TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at);
+
+  CREATE TABLE IF NOT EXISTS job_items (
+    job_id TEXT NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    idx INTEGER NOT NULL,
+    input TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    error TEXT,
+    result TEXT,
+    PRIMARY KEY (job_id, idx)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_job_items_pending ON job_items(job_id, status);
+
+  -- Second-level cache for upstream data (see lib/cache.mjs); expires_at and
+  -- last_used are epoch milliseconds
+  CREATE TABLE IF NOT EXISTS cache_entries (
+    namespace TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    hits INTEGER DEFAULT 0,
+    last_used INTEGER NOT NULL,
+    PRIMARY KEY (namespace, key)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_cache_expires ON cache_entries(namespace, expires_at);
+  CREATE INDEX IF NOT EXISTS idx_cache_hot ON cache_entries(namespace, hits, last_used);
 `);
 
 // Prepared statements for hot-path logging (avoid re-parsing SQL)
@@ -4,14 +4,26 @@
  * Docs: https://www.fueleconomy.gov/feg/ws/
  */
 
-const BASE = 'https://fueleconomy.gov/ws/rest/vehicle';
-const FETCH_TIMEOUT = 10_000;
+import { upstreamFetch, errorStatus, UpstreamError, UPSTREAM_BASES } from './provider.mjs';
+import { fuelCache, epaVehicleCache, modelListCache } from './cache.mjs';
+import { driveClass, drivesCompatible, transmissionClass, transmissionSpeeds, confidence } from './match.mjs';
+
+const BASE = UPSTREAM_BASES.epa;
+
+// Upper bound on menu options whose details are fetched for matching
+const MAX_OPTIONS = 12;
 
 /**
- * Create an AbortSignal that times out after the specified ms.
+ * GET a JSON document from the EPA API. fueleconomy.gov answers unknown
+ * vehicles with an empty body, which is returned as null.
  */
-function timeoutSignal(ms = FETCH_TIMEOUT) {
-  return AbortSignal.timeout(ms);
+async function getJson(url, what) {
+  const res = await upstreamFetch(url, { headers: { Accept: 'application/json' } });
+  if (!res.ok) {
+    throw new UpstreamError(`${what} HTTP ${res.status}`, { kind: 'error', status: res.status });
+  }
+  const text = await res.text();
+  return text.trim() === '' ? null : JSON.parse(text);
 }
 
 /**
@@ -36,10 +48,13 @@ function clean(value) {
 }
 
 /**
- * Build the empty/unavailable response object.
+ * Build the empty response object. `status` stays 'ok' when EPA simply has no
+ * data for the vehicle; failures carry 'unavailable' or 'error'.
  */
-function unavailable() {
+function unavailable(status = 'ok', error = null) {
   return {
+    status,
+    ...(error ? { error } : {}),
     available: false,
     city_mpg: null,
     highway_mpg: null,
@@ -57,82 +72,73 @@ function unavailable() {
     drive: null,
     transmission: null,
     vehicle_class: null,
+    match: null,
+    alternatives: [],
   };
 }
 
 /**
- * Get fuel economy data for a vehicle.
- * Two-step: first get menu options for the year/make/model, then fetch full data.
+ * List the model names EPA uses for a make/year (cached per make|year).
+ * EPA often splits one model by drivetrain, e.g. "F150 Pickup 2WD" and
+ * "F150 Pickup 4WD".
  *
+ * @param {string} make - Make (e.g., "Ford")
  * @param {number|string} year - Model year
- * @param {string} make - Make (e.g., "Toyota")
- * @param {string} model - Model (e.g., "Camry")
- * @returns {object} Fuel economy data
+ * @returns {string[]} Model names as the menu/options endpoint expects them
  */
-export async function getFuelEconomy(year, make, model) {
-  try {
-    // Step 1: Get available options (trims/variants) for this vehicle
+export async function getEpaModels(make, year) {
+  const key = `epa|${make}|${year}`;
+  return modelListCache.getOrLoad(key, async () => {
+    const params = new URLSearchParams({ year: String(year), make: String(make) });
+    const data = await getJson(`${BASE}/menu/model?${params}`, 'getEpaModels');
+
+    let items = data?.menuItem || [];
+    if (!Array.isArray(items)) items = [items];
+
+    return items.map(item => clean(item?.value ?? item?.text)).filter(Boolean);
+  });
+}
+
+/**
+ * Fetch the menu options (engine/transmission variants) for a year/make/model
+ * (cached per make|model|year).
+ */
+async function getMenuOptions(year, make, model) {
+  const key = `${make}|${model}|${year}`;
+  return fuelCache.getOrLoad(key, async () => {
     const menuParams = new URLSearchParams({
       year: String(year),
       make: String(make),
       model: String(model),
     });
-    const menuUrl = `${BASE}/menu/options?${menuParams}`;
-
-    const menuRes = await fetch(menuUrl, {
-      headers: { Accept: 'application/json' },
-      signal: timeoutSignal(),
-    });
-
-    if (!menuRes.ok) {
-      console.error(`[epa] getFuelEconomy menu HTTP ${menuRes.status}`);
-      return unavailable();
-    }
-
-    const menuData = await menuRes.json();
+    const menuData = await getJson(`${BASE}/menu/options?${menuParams}`, 'getFuelEconomy menu');
 
     // The API returns { menuItem: { value, text } } for single result
     // or { menuItem: [{ value, text }, ...] } for multiple results
-    let items = menuData?.menuItem;
-    if (!items) {
-      return unavailable();
-    }
-
-    // Normalize to array
-    if (!Array.isArray(items)) {
-      items = [items];
-    }
-
-    if (items.length === 0) {
-      return unavailable();
-    }
+    let items = menuData?.menuItem || [];
+    if (!Array.isArray(items)) items = [items];
 
-    // Step 2: Get full data for the first option
-    const vehicleId = items[0].value;
-    if (!vehicleId) {
-      return unavailable();
-    }
-
-    const detailUrl = `${BASE}/${vehicleId}`;
-    const detailRes = await fetch(detailUrl, {
-      headers: { Accept: 'application/json' },
-      signal: timeoutSignal(),
-    });
-
-    if (!detailRes.ok) {
-      console.error(`[epa] getFuelEconomy detail HTTP ${detailRes.status}`);
-      return unavailable();
-    }
+    return items
+      .filter(item => item?.value)
+      .map(item => ({ vehicle_id: String(item.value), description: clean(item.text) }));
+  });
+}
 
-    const v = await detailRes.json();
+/**
+ * Fetch and parse the full record for one EPA vehicle id (cached per id).
+ */
+async function getVehicle(vehicleId) {
+  return epaVehicleCache.getOrLoad(vehicleId, async () => {
+    const v = await getJson(`${BASE}/${encodeURIComponent(vehicleId)}`, `getFuelEconomy detail ${vehicleId}`);
+    if (!v) return null;
 
     // Determine if this is an EV
     const fuelType1 = clean(v.fuelType) || clean(v.fuelType1);
     const fuelType2 = clean(v.fuelType2);
     const isEv = fuelType1 === 'Electricity' && !fuelType2;
 
-    return {
-      available: true,
+    const vehicle = {
+      vehicle_id: vehicleId,
       city_mpg: num(v.city08) || num(v.cityA08),
       highway_mpg: num(v.highway08) || num(v.highwayA08),
       combined_mpg: num(v.comb08) || num(v.combA08),
@@ -146,12 +152,158 @@ export async function getFuelEconomy(year, make, model) {
       phev_combined: num(v.combE),
       cylinders: num(v.cylinders),
       displacement: num(v.displ),
+      turbo: clean(v.tCharger) === 'T',
+      supercharger: clean(v.sCharger) === 'S',
       drive: clean(v.drive),
       transmission: clean(v.trany),
       vehicle_class: clean(v.VClass),
     };
+    return vehicle;
+  });
+}
+
+/**
+ * Score an EPA vehicle record against the decoded vehicle. Engine size and
+ * drive type are worth the most, then cylinders and transmission style;
+ * forced induction and gear count break the remaining ties.
+ *
+ * @param {object} option - EPA vehicle record from getVehicle()
+ * @param {object} decoded - parseDecodedResult() output
+ * @returns {object} { score, possible, reasons }
+ */
+export function scoreFuelOption(option, decoded) {
+  const e = decoded?.engine || {};
+  const t = decoded?.transmission || {};
+  const reasons = [];
+  let score = 0;
+  let possible = 0;
+
+  if (e.displacement_l && option.displacement) {
+    possible += 3;
+    const diff = Math.abs(e.displacement_l - option.displacement);
+    if (diff <= 0.05) { score += 3; reasons.push(`displacement matches (${option.displacement} L)`); }
+    else if (diff <= 0.2) { score += 1.5; reasons.push(`displacement close (${e.displacement_l} vs ${option.displacement} L)`); }
+    else { score -= 3; reasons.push(`displacement differs (${e.displacement_l} vs ${option.displacement} L)`); }
+  }
+
+  if (e.cylinders && option.cylinders) {
+    possible += 2;
+    if (e.cylinders === option.cylinders) { score += 2; reasons.push(`cylinders match (${option.cylinders})`); }
+    else { score -= 2; reasons.push(`cylinders differ (${e.cylinders} vs ${option.cylinders})`); }
+  }
+
+  const wantTurbo = e.turbo ? /^Y/i.test(e.turbo) : null;
+  if (wantTurbo !== null) {
+    possible += 1;
+    const gotTurbo = option.turbo || option.supercharger;
+    if (wantTurbo === gotTurbo) { score += 1; reasons.push(gotTurbo ? 'forced induction matches' : 'naturally aspirated matches'); }
+    else { score -= 1; reasons.push(wantTurbo ? 'decoded engine is turbocharged' : 'decoded engine is not turbocharged'); }
+  }
+
+  const wantTrans = transmissionClass(t.type);
+  const gotTrans = transmissionClass(option.transmission);
+  if (wantTrans && gotTrans) {
+    possible += 2;
+    if (wantTrans === gotTrans) { score += 2; reasons.push(`transmission style matches (${gotTrans})`); }
+    else if (wantTrans !== 'manual' && gotTrans !== 'manual') { score += 0.5; reasons.push(`transmission style close (${wantTrans} vs ${gotTrans})`); }
+    else { score -= 2; reasons.push(`transmission style differs (${wantTrans} vs ${gotTrans})`); }
+  }
+
+  const gotSpeeds = transmissionSpeeds(option.transmission);
+  if (t.speeds && gotSpeeds && gotTrans !== 'cvt') {
+    possible += 1;
+    if (t.speeds === gotSpeeds) { score += 1; reasons.push(`${gotSpeeds} speeds match`); }
+    else { score -= 1; reasons.push(`speeds differ (${t.speeds} vs ${gotSpeeds})`); }
+  }
+
+  const drive = drivesCompatible(driveClass(t.drive_type), driveClass(option.drive));
+  if (drive !== null) {
+    possible += 3;
+    if (drive === true) { score += 3; reasons.push(`drive type matches (${driveClass(option.drive)})`); }
+    else if (drive === 'partial') { score += 1.5; reasons.push(`drive type close (${driveClass(t.drive_type)} vs ${driveClass(option.drive)})`); }
+    else { score -= 3; reasons.push(`drive type differs (${driveClass(t.drive_type)} vs ${driveClass(option.drive)})`); }
+  }
+
+  return { score, possible, reasons };
+}
+
+/**
+ * Get fuel economy data for a vehicle.
+ * Two-step: first get menu options for the year/make/model, then fetch full
+ * data for each option in parallel. When the decoded vehicle is given, every
+ * option is scored against its engine, transmission and drive type and the
+ * best match becomes the primary result (reported in `match` with a 0-1
+ * confidence); the rest are listed in `alternatives`.
+ *
+ * @param {number|string} year - Model year
+ * @param {string} make - Make (e.g., "Toyota")
+ * @param {string} model - Model (e.g., "Camry")
+ * @param {object} [decoded] - parseDecodedResult() output for option matching
+ * @returns {object} Fuel economy data ({ status, available, match, alternatives, ... })
+ */
+export async function getFuelEconomy(year, make, model, decoded = null) {
+  try {
+    // Step 1: Get available options (engine/transmission variants) for this vehicle
+    const options = await getMenuOptions(year, make, model);
+    if (options.length === 0) {
+      return unavailable();
+    }
+    if (options.length > MAX_OPTIONS) {
+      console.error(`[epa] ${year} ${make} ${model} has ${options.length} options; matching the first ${MAX_OPTIONS}`);
+    }
+
+    // Step 2: Get full data for every option in parallel
+    let detailError = null;
+    const details = await Promise.all(options.slice(0, MAX_OPTIONS).map(o =>
+      getVehicle(o.vehicle_id)
+        .then(v => v && { ...v, description: o.description })
+        .catch(err => {
+          detailError = err;
+          console.error(`[epa] getFuelEconomy detail error for ${o.vehicle_id}:`, err.message);
+          return null;
+        })
+    ));
+    const vehicles = details.filter(Boolean);
+
+    if (vehicles.length === 0) {
+      return detailError ? unavailable(errorStatus(detailError), detailError.message) : unavailable();
+    }
+
+    // Step 3: Rank options against the decoded vehicle (stable for ties)
+    const scored = vehicles.map((option, i) => {
+      const { score, possible, reasons } = scoreFuelOption(option, decoded);
+      return { option, score, possible, reasons, i };
+    }).sort((a, b) => b.score - a.score || a.i - b.i);
+
+    const best = scored[0];
+    const runnerUp = scored.length > 1 ? scored[1].score : null;
+    const { vehicle_id, description, turbo, supercharger, ...primary } = best.option;
+
+    return {
+      status: 'ok',
+      available: true,
+      ...primary,
+      match: {
+        vehicle_id,
+        description,
+        confidence: scored.length === 1 ? 1 : confidence(best.score, best.possible, runnerUp),
+        reasons: scored.length === 1 ? ['only EPA option'] : best.reasons,
+      },
+      alternatives: scored.slice(1).map(({ option, score }) => ({
+        vehicle_id: option.vehicle_id,
+        description: option.description,
+        match_score: score,
+        city_mpg: option.city_mpg,
+        highway_mpg: option.highway_mpg,
+        combined_mpg: option.combined_mpg,
+        cylinders: option.cylinders,
+        displacement: option.displacement,
+        drive: option.drive,
+        transmission: option.transmission,
+      })),
+    };
   } catch (err) {
     console.error(`[epa] getFuelEconomy error:`, err.message);
-    return unavailable();
+    return unavailable(errorStatus(err), err.message);
   }
 }
@@ -0,0 +1,181 @@
+// VIN Explanation
+// A position-by-position breakdown of a 17-character VIN for people who want
+// to know what each character means: its section, decoded meaning, checksum
+// value and weight, and where each interpretation came from - a local table
+// (WMI registry, year codes, VDS decoders) or a vPIC decode element.
+
+import { validateVin, TRANSLITERATION, WEIGHTS } from './validate.mjs';
+
+const SECTIONS = [
+  { section: 'wmi', label: 'World Manufacturer Identifier', from: 1, to: 3 },
+  { section: 'vds', label: 'Vehicle Descriptor Section', from: 4, to: 8 },
+  { section: 'check', label: 'Check digit', from: 9, to: 9 },
+  { section: 'year', label: 'Model year', from: 10, to: 10 },
+  { section: 'plant', label: 'Assembly plant', from: 11, to: 11 },
+  { section: 'serial', label: 'Serial number', from: 12, to: 17 },
+];
+
+// vPIC elements (DecodeVinValues field names) describing the multi-character
+// sections; the single-character ones attach to their position instead
+const VPIC_SECTION_ELEMENTS = {
+  wmi: ['Manufacturer', 'Make', 'VehicleType'],
+  vds: [
+    'Model', 'Series', 'Trim', 'BodyClass', 'BodyCabType', 'DriveType', 'EngineModel', 'EngineCylinders',
+    'DisplacementL', 'FuelTypePrimary', 'TransmissionStyle', 'AirBagLocFront', 'SeatBeltsAll',
+  ],
+};
+const VPIC_POSITION_ELEMENTS = {
+  10: ['ModelYear'],
+  11: ['PlantCompanyName', 'PlantCity', 'PlantState', 'PlantCountry'],
+};
+
+function vpicInterpretations(vpic, elements = []) {
+  if (!vpic) return [];
+  return elements
+    .filter(element => present(vpic[element]))
+    .map(element => ({ meaning: present(vpic[element]), source: 'vpic', element }));
+}
+
+function sectionOf(position) {
+  return SECTIONS.find(s => position >= s.from && position <= s.to);
+}
+
+function present(value) {
+  const v = String(value ?? '').trim();
+  return v && v !== 'Not Applicable' ? v : null;
+}
+
+function local(meaning, table) {
+  return { meaning, source: 'local', table };
+}
+
+// '7-8' -> [7, 8]
+function positionRange(spec) {
+  const [from, to = from] = spec.split('-').map(Number);
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+// ---------------------------------------------------------------------------
+// Local interpretations per position
+// ---------------------------------------------------------------------------
+function localInterpretations(position, validation) {
+  const { wmi, year, checksum, local_decode: vds, rules } = validation;
+  const ch = validation.vin[position - 1];
+
+  switch (position) {
+    case 1:
+      return { meaning: `Region: ${wmi.region}`, interpretations: [local(`${wmi.region} (first character '${ch}')`, 'wmi-registry')] };
+    case 2:
+      return { meaning: `Country: ${wmi.country}`, interpretations: [local(`Positions 1-2 '${validation.vin.slice(0, 2)}' fall in the ISO 3780 range for ${wmi.country}`, 'wmi-registry')] };
+    case 3: {
+      const interpretations = [local(`WMI ${wmi.code}: ${wmi.manufacturer}`, 'wmi-registry')];
+      if (ch === '9') interpretations.push(local('Small manufacturer: positions 12-14 complete the manufacturer code', 'wmi-registry'));
+      return { meaning: `Manufacturer: ${wmi.manufacturer}`, interpretations };
+    }
+    case 9: {
+      const meaning = checksum.valid
+        ? 'Check digit (correct)'
+        : `Check digit (expected '${checksum.expected}'${rules.check_digit === 'advisory' ? ', advisory only' : ''})`;
+      return { meaning, interpretations: [local(meaning, 'checksum')] };
+    }
+    case 10: {
+      const meaning = year.resolved
+        ? `Model year ${year.resolved} (${year.confidence} confidence)`
+        : 'Not a model-year code';
+      const candidates = year.possible_years.length > 1 ? `code '${ch}' cycles through ${year.possible_years.join(', ')}` : null;
+      const detail = [candidates, year.reason].filter(Boolean).join('; ');
+      return { meaning, interpretations: [local(detail ? `${meaning}: ${detail}` : meaning, 'year-code')] };
+    }
+    case 11: {
+      const name = vds?.plant?.name;
+      return {
+        meaning: name ? `Plant: ${name}` : `Plant code '${ch}'`,
+        interpretations: name ? [local(name, `vds/${vds.decoder}`)] : [],
+      };
+    }
+    default:
+      break;
+  }
+
+  if (position >= 12) {
+    const smallMaker = wmi.code[2] === '9' && position <= 14;
+    return {
+      meaning: smallMaker ? 'Manufacturer code (small manufacturer)' : 'Sequential production number',
+      interpretations: smallMaker ? [local('Positions 12-14 identify a manufacturer building fewer than 1,000 vehicles a year', 'wmi-registry')] : [],
+    };
+  }
+
+  // VDS: every decoder entry covering this position
+  const entries = (vds?.positions || []).filter(p => positionRange(p.positions).includes(position));
+  const known = entries.filter(e => e.meaning);
+  return {
+    meaning: known.length > 0 ? known.map(e => e.meaning).join('; ') : 'Vehicle attributes (not decoded locally)',
+    interpretations: known.map(e => ({ ...local(e.meaning, `vds/${vds.decoder}`), field: e.field, positions: e.positions })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// explainVin(vin, { mode, vpic })
+// `vpic` is an optional raw vPIC DecodeVinValues result for the same VIN; its
+// elements are attached to the positions or sections they describe.
+// ---------------------------------------------------------------------------
+export function explainVin(vin, { mode, vpic = null } = {}) {
+  const validation = validateVin(vin, { mode });
+  const normalized = validation.vin;
+
+  if (normalized.length !== 17) {
+    return {
+      vin: normalized,
+      error: validation.status === 'pre-standard'
+        ? 'Pre-1981 serials have no standard positions; see validate_vin for the legacy decode'
+        : `A VIN breakdown needs exactly 17 characters (got ${normalized.length})`,
+    };
+  }
+
+  let sum = 0;
+  const positions = [...normalized].map((character, i) => {
+    const position = i + 1;
+    const value = TRANSLITERATION[character] ?? null;
+    const product = value === null ? null : value * WEIGHTS[i];
+    if (product !== null) sum += product;
+
+    const { meaning, interpretations } = localInterpretations(position, validation);
+    interpretations.push(...vpicInterpretations(vpic, VPIC_POSITION_ELEMENTS[position]));
+
+    return {
+      position,
+      character,
+      section: sectionOf(position).section,
+      meaning,
+      value,
+      weight: WEIGHTS[i],
+      product,
+      interpretations,
+    };
+  });
+
+  const sections = SECTIONS.map(({ section, label, from, to }) => ({
+    section,
+    label,
+    positions: from === to ? String(from) : `${from}-${to}`,
+    characters: normalized.slice(from - 1, to),
+    interpretations: vpicInterpretations(vpic, VPIC_SECTION_ELEMENTS[section]),
+  }));
+
+  return {
+    vin: normalized,
+    valid: validation.valid,
+    rules: validation.rules,
+    checksum: {
+      sum,
+      remainder: sum % 11,
+      expected: validation.checksum.expected,
+      actual: normalized[8],
+      valid: validation.checksum.valid,
+      required: validation.rules.check_digit === 'required',
+    },
+    vpic_used: vpic !== null,
+    sections,
+    positions,
+  };
+}
@@ -0,0 +1,227 @@
+// VIN Extraction
+// Finds VINs in free text: invoices, emails, auction listings, CSV exports
+// or HTML pages. All computation is local - no external API calls.
+//
+// The text is split into runs of letters and digits. A VIN may be broken up by
+// spaces or dashes ("1HG CM826 33A 004352"), so candidates are 17-character
+// spans of up to MAX_PARTS neighbouring runs, separated by at most two spaces
+// or dashes. Every candidate is validated; candidates that fail only because
+// of an OCR confusion (O/0, S/5, B/8, ...) are corrected. Overlapping
+// candidates are resolved in favour of the most confident one.
+
+import { normalizeVin, validateVin } from './validate.mjs';
+import { suggestCorrections } from './suggest.mjs';
+
+export const EXTRACT_FORMATS = ['auto', 'text', 'csv', 'html'];
+
+export const MAX_TEXT_LENGTH = 1_000_000;
+
+const MAX_PARTS = 6;
+const MAX_REJECTED = 20;
+// OCR correction tries ~600 edits per candidate; bound the work per document
+const MAX_CORRECTIONS = 200;
+// A VIN label just before a candidate ("VIN:", "Chassis No.") raises confidence
+const LABEL_RE = /\b(VIN|V\.I\.N|chassis|serial|frame)\b[^A-Za-z0-9\n]{0,12}$/i;
+const LABEL_WINDOW = 24;
+
+// ---------------------------------------------------------------------------
+// stripHtml(html)
+// Blank out tags, scripts, styles and entities with spaces of the same length,
+// so offsets into the result are offsets into the original HTML.
+// ---------------------------------------------------------------------------
+function stripHtml(html) {
+  const blank = m => m.replace(/[^\n]/g, ' ');
+  return html
+    .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, blank)
+    .replace(/<!--[\s\S]*?-->/g, blank)
+    .replace(/<[^>]*>/g, blank)
+    .replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, blank);
+}
+
+function looksLikeHtml(text) {
+  return /<(html|body|div|p|table|td|span|br)\b[^>]*>/i.test(text);
+}
+
+// Runs of letters/digits, with the separator gap before each one
+function tokenize(text) {
+  const runs = [];
+  const re = /[A-Za-z0-9]+/g;
+  let m;
+  let prevEnd = null;
+  while ((m = re.exec(text)) !== null) {
+    const gap = prevEnd === null ? null : text.slice(prevEnd, m.index);
+    runs.push({ text: m[0], start: m.index, end: m.index + m[0].length, joinable: gap !== null && /^[ \-]{1,2}$/.test(gap) });
+    prevEnd = m.index + m[0].length;
+  }
+  return runs;
+}
+
+// Offset of every line start, for line/column lookups
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return starts;
+}
+
+function lineAndColumn(starts, offset) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return { line: lo + 1, column: offset - starts[lo] + 1 };
+}
+
+// Spans of neighbouring runs adding up to 17 characters
+function* candidateSpans(runs) {
+  for (let i = 0; i < runs.length; i++) {
+    let length = 0;
+    for (let j = i; j < runs.length && j - i < MAX_PARTS; j++) {
+      if (j > i && !runs[j].joinable) break;
+      length += runs[j].text.length;
+      if (length > 17) break;
+      if (length === 17) {
+        yield { runs: runs.slice(i, j + 1), start: runs[i].start, end: runs[j].end };
+        break;
+      }
+    }
+  }
+}
+
+// Cheap filter before validation: VINs carry a serial number, so a span
+// without several digits is just words
+function plausible(raw) {
+  return (raw.match(/[0-9]/g) || []).length >= 4;
+}
+
+function score(validation, { parts, lowercase, corrected, labelled }) {
+  let confidence = 1;
+  if (validation.rules.check_digit !== 'required' && !validation.checksum.valid) confidence *= 0.7;
+  if (validation.wmi.manufacturer === 'Unknown') confidence *= 0.6;
+  if (parts > 1) confidence *= 0.9;
+  if (lowercase) confidence *= 0.9;
+  if (corrected) confidence *= 0.75;
+  if (labelled) confidence = Math.min(1, confidence + 0.1);
+  return Math.round(confidence * 100) / 100;
+}
+
+function evaluate(source, span, mode, budget) {
+  const raw = span.runs.map(r => r.text).join('');
+  if (!plausible(raw)) return null;
+
+  const vin = normalizeVin(raw);
+  const before = source.slice(Math.max(0, span.start - LABEL_WINDOW), span.start);
+  const traits = {
+    parts: span.runs.length,
+    lowercase: raw !== vin,
+    corrected: false,
+    labelled: LABEL_RE.test(before),
+  };
+
+  let validation = validateVin(vin, { mode });
+  let changes = [];
+  if (!validation.valid) {
+    // Only an unbroken 17-character run is worth reporting as a near miss
+    const reject = () => (span.runs.length === 1 ? { rejected: true, text: vin, start: span.start, end: span.end, errors: validation.errors } : null);
+    if (budget.corrections <= 0) return reject();
+    budget.corrections--;
+
+    // Accept a correction only if it consists of OCR look-alike swaps
+    const best = suggestCorrections(vin, { limit: 1 }).suggestions[0];
+    if (!best || best.changes.some(c => c.kind !== 'ocr')) return reject();
+    const corrected = validateVin(best.vin, { mode });
+    if (!corrected.valid) return reject();
+    validation = corrected;
+    changes = best.changes;
+    traits.corrected = true;
+  }
+
+  return {
+    vin: validation.vin,
+    confidence: score(validation, traits),
+    start: span.start,
+    end: span.end,
+    changes,
+    validation,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// extractVins(text, { format, mode })
+// `format` is 'auto' (HTML is detected), 'text', 'csv' or 'html'. Returns the
+// distinct valid VINs, most confident first, each with every occurrence's
+// offsets (start inclusive, end exclusive), line and column in `text`.
+// Near misses (17 characters that fail validation) are listed in `rejected`.
+// ---------------------------------------------------------------------------
+export function extractVins(text, { format = 'auto', mode } = {}) {
+  if (typeof text !== 'string') return { error: 'Text must be a string', vins: [], rejected: [] };
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `Text is too long (${text.length} characters, max ${MAX_TEXT_LENGTH})`, vins: [], rejected: [] };
+  }
+  if (!EXTRACT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${EXTRACT_FORMATS.join(', ')}`, vins: [], rejected: [] };
+  }
+
+  const html = format === 'html' || (format === 'auto' && looksLikeHtml(text));
+  const source = html ? stripHtml(text) : text;
+
+  const found = [];
+  const rejected = [];
+  const budget = { corrections: MAX_CORRECTIONS };
+  for (const span of candidateSpans(tokenize(source))) {
+    const hit = evaluate(source, span, mode, budget);
+    if (!hit) continue;
+    if (hit.rejected) rejected.push(hit);
+    else found.push(hit);
+  }
+
+  // Keep the most confident of overlapping candidates
+  found.sort((a, b) => b.confidence - a.confidence || a.start - b.start);
+  const taken = new Uint8Array(source.length);
+  const overlaps = ({ start, end }) => taken.subarray(start, end).some(Boolean);
+  const kept = [];
+  for (const hit of found) {
+    if (overlaps(hit)) continue;
+    taken.fill(1, hit.start, hit.end);
+    kept.push(hit);
+  }
+
+  // One entry per VIN, listing where it occurs
+  const starts = lineStarts(text);
+  const byVin = new Map();
+  for (const hit of kept.sort((a, b) => a.start - b.start)) {
+    const occurrence = { start: hit.start, end: hit.end, ...lineAndColumn(starts, hit.start), text: text.slice(hit.start, hit.end), confidence: hit.confidence };
+    const entry = byVin.get(hit.vin);
+    if (entry) {
+      entry.occurrences.push(occurrence);
+      entry.confidence = Math.max(entry.confidence, hit.confidence);
+      continue;
+    }
+    const v = hit.validation;
+    byVin.set(hit.vin, {
+      vin: hit.vin,
+      confidence: hit.confidence,
+      manufacturer: v.wmi.manufacturer,
+      country: v.wmi.country,
+      year: v.year.resolved,
+      corrections: hit.changes,
+      warnings: v.warnings,
+      occurrences: [occurrence],
+    });
+  }
+
+  const nearMisses = rejected
+    .filter(r => !overlaps(r))
+    .slice(0, MAX_REJECTED)
+    .map(r => ({ text: r.text, start: r.start, end: r.end, ...lineAndColumn(starts, r.start), errors: r.errors }));
+
+  return {
+    format: html ? 'html' : format === 'auto' ? 'text' : format,
+    scanned_chars: text.length,
+    count: byVin.size,
+    vins: [...byVin.values()].sort((a, b) => b.confidence - a.confidence || a.occurrences[0].start - b.occurrences[0].start),
+    rejected: nearMisses,
+  };
+}
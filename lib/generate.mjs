@@ -0,0 +1,167 @@
+// Synthetic VIN Generator
+// Builds realistic VINs for QA and demo data: a chosen WMI and model year,
+// an optional (partial) VDS, random remaining characters and a correct check
+// digit. All computation is local.
+//
+// With a seed the output is deterministic: the same options and seed always
+// produce the same VINs. Without one a random seed is picked and returned so
+// a run can be reproduced.
+//
+// Generated VINs are random, not reserved: one can coincide with a real
+// vehicle's VIN.
+
+import crypto from 'node:crypto';
+import { TRANSLITERATION, WEIGHTS, VIN_CHARS, normalizeVin, yearCode, validateVin } from './validate.mjs';
+import { manufacturerFor } from './wmi.mjs';
+
+const WILDCARDS = new Set(['*', '?', '_']);
+
+const DEFAULT_COUNT = 1;
+export const MAX_COUNT = 1000;
+// Give up on duplicates when the free positions cannot hold `count` distinct VINs
+const MAX_ATTEMPTS_PER_VIN = 20;
+
+const DIGITS = '0123456789';
+const LETTERS = [...VIN_CHARS].filter(ch => !DIGITS.includes(ch)).join('');
+
+// mulberry32: small, fast, good enough for test data (not for anything secret)
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Integer seeds are used as-is; strings are hashed (FNV-1a) so any label works
+function seedValue(seed) {
+  if (Number.isInteger(seed)) return seed >>> 0;
+  let h = 0x811c9dc5;
+  for (const ch of String(seed)) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function checkDigitFor(chars) {
+  let sum = 0;
+  for (let i = 0; i < 17; i++) if (i !== 8) sum += TRANSLITERATION[chars[i]] * WEIGHTS[i];
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+function invalidChar(str, offset) {
+  for (let i = 0; i < str.length; i++) {
+    if (!WILDCARDS.has(str[i]) && !(str[i] in TRANSLITERATION)) {
+      return `Invalid character '${str[i]}' at position ${offset + i}`;
+    }
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// generateVins({ wmi, year, vds, plant, count, seed })
+// `wmi` is 3 characters, or 6 for small manufacturers (a '9' in position 3;
+// the last three go in positions 12-14). `vds` is positions 4-8 and may use
+// wildcards (*, ? or _) for characters to randomise. Random position-7
+// characters follow the North American rule (digit before 2010, letter from
+// 2010) so the model year resolves to `year`.
+// ---------------------------------------------------------------------------
+export function generateVins({ wmi, year, vds, plant, count = DEFAULT_COUNT, seed } = {}) {
+  const w = normalizeVin(wmi ?? '');
+  const fail = error => ({ error, vins: [] });
+
+  if (!/^[A-Z0-9]{3}([A-Z0-9]{3})?$/.test(w)) return fail('WMI must be 3 characters (6 for small manufacturers)');
+  const wmiError = invalidChar(w, 1);
+  if (wmiError) return fail(`WMI: ${wmiError}`);
+  if (w.length === 6 && w[2] !== '9') return fail('A 6-character WMI needs a 9 in position 3 (small manufacturer)');
+
+  const y = Number(year);
+  const code = yearCode(y);
+  if (!code) return fail('Model year must be an integer from 1980 to 2039');
+
+  const v = vds === undefined || vds === null || vds === '' ? '*****' : normalizeVin(vds);
+  if (v.length !== 5) return fail(`VDS must be 5 characters (positions 4-8), got ${v.length}`);
+  const vdsError = invalidChar(v, 4);
+  if (vdsError) return fail(`VDS: ${vdsError}`);
+
+  const p = plant === undefined || plant === null || plant === '' ? '*' : normalizeVin(plant);
+  if (p.length !== 1 || invalidChar(p, 11)) return fail('Plant must be a single VIN character (position 11)');
+
+  const n = Number(count);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_COUNT) return fail(`Count must be an integer from 1 to ${MAX_COUNT}`);
+
+  const usedSeed = seed === undefined || seed === null || seed === '' ? crypto.randomInt(2 ** 32) : seed;
+  const random = mulberry32(seedValue(usedSeed));
+  const pick = chars => chars[Math.floor(random() * chars.length)];
+  const pickAny = () => pick(VIN_CHARS);
+
+  // Positions 12-17: numeric serial (positions 12-14 are the small-manufacturer code)
+  const serialLength = w.length === 6 ? 3 : 6;
+
+  const vins = [];
+  const seen = new Set();
+  for (let attempts = 0; vins.length < n && attempts < n * MAX_ATTEMPTS_PER_VIN; attempts++) {
+    const chars = [
+      ...w.slice(0, 3),
+      ...[...v].map((ch, i) => {
+        if (!WILDCARDS.has(ch)) return ch;
+        if (i === 3) return pick(y < 2010 ? DIGITS : LETTERS); // position 7
+        return pickAny();
+      }),
+      '0',
+      code,
+      WILDCARDS.has(p) ? pickAny() : p,
+      ...(w.length === 6 ? w.slice(3) : ''),
+      ...Array.from({ length: serialLength }, () => pick(DIGITS)),
+    ];
+    chars[8] = checkDigitFor(chars);
+    const vin = chars.join('');
+    if (seen.has(vin)) continue;
+    seen.add(vin);
+    vins.push(vin);
+  }
+  if (vins.length < n) {
+    return fail(`Only ${vins.length} distinct VINs fit the fixed positions; randomise more of the VDS or plant`);
+  }
+
+  const warnings = [];
+  const manufacturer = manufacturerFor(w);
+  if (!manufacturer) warnings.push(`WMI ${w} is not in the registry; the VINs will decode as an unknown manufacturer`);
+  const { year: decoded } = validateVin(vins[0], { mode: 'strict' });
+  if (decoded.resolved !== y) {
+    warnings.push(`Position 10 '${code}' is resolved as ${decoded.resolved} by the ${decoded.rule} rule: ${decoded.reason}`);
+  }
+
+  return { wmi: w, manufacturer, year: y, year_code: code, seed: usedSeed, count: vins.length, vins, warnings };
+}
+
+// ---------------------------------------------------------------------------
+// completeCheckDigit(input)
+// Fill in position 9 for 16 known characters: either positions 1-8 and
+// 10-17 run together, or a 17-character VIN whose position 9 is a wildcard
+// (or simply wrong).
+// ---------------------------------------------------------------------------
+export function completeCheckDigit(input) {
+  const s = normalizeVin(input ?? '');
+  if (s.length !== 16 && s.length !== 17) {
+    return { input: s, error: `Provide 16 known characters, or 17 with position 9 as a placeholder (got ${s.length})` };
+  }
+
+  const chars = s.length === 16 ? [...s.slice(0, 8), '*', ...s.slice(8)] : [...s];
+  for (let i = 0; i < 17; i++) {
+    if (i === 8) continue;
+    if (!(chars[i] in TRANSLITERATION)) {
+      return { input: s, error: `Invalid character '${chars[i]}' at position ${i + 1}` };
+    }
+  }
+
+  const digit = checkDigitFor(chars);
+  const previous = s.length === 17 && !WILDCARDS.has(s[8]) ? s[8] : null;
+  chars[8] = digit;
+  return { input: s, vin: chars.join(''), check_digit: digit, replaced: previous !== null && previous !== digit ? previous : null };
+}
@@ -0,0 +1,259 @@
+// Asynchronous Batch Jobs
+// Large VIN lists are processed in the background instead of holding an HTTP
+// request open. Jobs and their per-VIN results live in SQLite (lib/db.mjs),
+// so progress survives a restart: interrupted jobs are re-queued and continue
+// with the VINs not yet processed.
+//
+// Kinds:
+//   decode - vPIC decode only (batchDecode, chunks of 50)
+//   report - the full decode_vin report (recalls, complaints, ratings, ...)
+//
+// One job runs at a time, oldest first.
+
+import crypto from 'node:crypto';
+import db from './db.mjs';
+import { batchDecode } from './nhtsa.mjs';
+import { normalizeVin, VALIDATION_MODES } from './validate.mjs';
+
+export const JOB_KINDS = ['decode', 'report'];
+export const MAX_JOB_VINS = 10_000;
+
+// Sections a job can keep per VIN; the raw vPIC record is opt-in
+export const JOB_SECTIONS = {
+  decode: ['vehicle', 'engine', 'transmission', 'dimensions', 'plant', 'safety', 'decode_quality', 'raw'],
+  report: [
+    'validation', 'vehicle', 'decode_quality', 'engine', 'transmission', 'dimensions', 'plant', 'safety_equipment',
+    'recalls', 'complaints', 'safety_ratings', 'fuel_economy', 'photos', 'raw_nhtsa',
+  ],
+};
+const OPT_IN_SECTIONS = new Set(['raw', 'raw_nhtsa']);
+
+// Items claimed per step: one vPIC batch round for decode jobs, a few reports
+// at a time for report jobs (each costs several upstream calls)
+const DECODE_STEP = 200;
+const REPORT_STEP = 10;
+const REPORT_CONCURRENCY = 2;
+
+// Finished jobs are deleted after a week
+const RETENTION_DAYS = 7;
+
+const stmt = {
+  insertJob: db.prepare('INSERT INTO jobs (id, kind, options, total) VALUES (?, ?, ?, ?)'),
+  insertItem: db.prepare('INSERT INTO job_items (job_id, idx, input) VALUES (?, ?, ?)'),
+  getJob: db.prepare('SELECT * FROM jobs WHERE id = ?'),
+  nextJob: db.prepare("SELECT * FROM jobs WHERE status = 'queued' ORDER BY created_at, rowid LIMIT 1"),
+  requeue: db.prepare("UPDATE jobs SET status = 'queued' WHERE status = 'running'"),
+  start: db.prepare("UPDATE jobs SET status = 'running', started_at = COALESCE(started_at, datetime('now')) WHERE id = ?"),
+  finish: db.prepare("UPDATE jobs SET status = ?, error = ?, finished_at = datetime('now') WHERE id = ? AND status = 'running'"),
+  cancel: db.prepare("UPDATE jobs SET status = 'cancelled', finished_at = datetime('now') WHERE id = ? AND status IN ('queued', 'running')"),
+  pending: db.prepare("SELECT idx, input FROM job_items WHERE job_id = ? AND status = 'pending' ORDER BY idx LIMIT ?"),
+  saveItem: db.prepare('UPDATE job_items SET status = ?, error = ?, result = ? WHERE job_id = ? AND idx = ?'),
+  progress: db.prepare('UPDATE jobs SET processed = processed + ?, ok = ok + ?, invalid = invalid + ?, failed = failed + ? WHERE id = ?'),
+  items: db.prepare('SELECT idx, input, status, error, result FROM job_items WHERE job_id = ? ORDER BY idx LIMIT ? OFFSET ?'),
+  allItems: db.prepare('SELECT idx, input, status, error, result FROM job_items WHERE job_id = ? ORDER BY idx'),
+  counts: db.prepare('SELECT status, COUNT(*) AS n FROM jobs GROUP BY status'),
+  prune: db.prepare(`DELETE FROM jobs WHERE finished_at < datetime('now', '-${RETENTION_DAYS} days')`),
+};
+
+const saveOutcomes = db.transaction((jobId, outcomes) => {
+  const tally = { ok: 0, invalid: 0, error: 0 };
+  for (const o of outcomes) {
+    stmt.saveItem.run(o.status, o.error, o.result === null ? null : JSON.stringify(o.result), jobId, o.idx);
+    tally[o.status]++;
+  }
+  stmt.progress.run(outcomes.length, tally.ok, tally.invalid, tally.error, jobId);
+});
+
+const insertJob = db.transaction((id, kind, options, vins) => {
+  stmt.insertJob.run(id, kind, JSON.stringify(options), vins.length);
+  vins.forEach((vin, i) => stmt.insertItem.run(id, i, vin));
+});
+
+function pick(source, sections) {
+  return Object.fromEntries(sections.map(s => [s, source[s] ?? null]));
+}
+
+function view(job) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    status: job.status,
+    options: JSON.parse(job.options),
+    total: job.total,
+    processed: job.processed,
+    ok: job.ok,
+    invalid: job.invalid,
+    failed: job.failed,
+    progress: job.total ? Math.round((job.processed / job.total) * 1000) / 1000 : 1,
+    error: job.error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    results_url: `/api/jobs/${job.id}/results`,
+  };
+}
+
+function itemView(row) {
+  return {
+    row: row.idx + 1,
+    input: row.input,
+    vin: normalizeVin(row.input),
+    status: row.status,
+    error: row.error,
+    result: row.result === null ? null : JSON.parse(row.result),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Processing
+// ---------------------------------------------------------------------------
+let processors = null;
+let running = false;
+
+async function decodeStep(items, { sections }) {
+  const decoded = await batchDecode(items.map(i => i.input));
+  return items.map((item, i) => {
+    const d = decoded[i];
+    return {
+      idx: item.idx,
+      status: d.status,
+      error: d.error,
+      result: d.status === 'ok' ? { source: d.source, ...pick(d.decoded, sections) } : null,
+    };
+  });
+}
+
+async function reportStep(items, { sections, mode, fresh }) {
+  const outcomes = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      try {
+        const report = await processors.fullReport(item.input, { mode, fresh });
+        if (!report.valid) {
+          outcomes.push({ idx: item.idx, status: 'invalid', error: report.validation.errors.join('; ') || 'Not a 17-character VIN', result: null });
+        } else if (report.error) {
+          outcomes.push({ idx: item.idx, status: 'error', error: report.error, result: null });
+        } else {
+          outcomes.push({ idx: item.idx, status: 'ok', error: null, result: pick(report, sections) });
+        }
+      } catch (err) {
+        outcomes.push({ idx: item.idx, status: 'error', error: err.message, result: null });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: REPORT_CONCURRENCY }, worker));
+  return outcomes;
+}
+
+async function runJob(job) {
+  stmt.start.run(job.id);
+  const options = JSON.parse(job.options);
+  const step = job.kind === 'decode' ? DECODE_STEP : REPORT_STEP;
+  try {
+    for (;;) {
+      // Cancelled from outside while the previous step ran
+      if (stmt.getJob.get(job.id)?.status !== 'running') return;
+      const items = stmt.pending.all(job.id, step);
+      if (items.length === 0) break;
+      const outcomes = job.kind === 'decode' ? await decodeStep(items, options) : await reportStep(items, options);
+      saveOutcomes(job.id, outcomes);
+    }
+    stmt.finish.run('completed', null, job.id);
+  } catch (err) {
+    console.error(`[jobs] job ${job.id} failed:`, err.message);
+    stmt.finish.run('failed', err.message, job.id);
+  }
+}
+
+async function runQueue() {
+  for (let job = stmt.nextJob.get(); job; job = stmt.nextJob.get()) {
+    await runJob(job);
+  }
+}
+
+function kick() {
+  if (running || !processors) return;
+  running = true;
+  runQueue().finally(() => {
+    running = false;
+    // A job created after the last queue check found the runner still busy
+    if (stmt.nextJob.get()) kick();
+  });
+}
+
+// ---------------------------------------------------------------------------
+// startJobRunner({ fullReport })
+// Start processing queued jobs. `fullReport(vin, { mode, fresh })` builds
+// report-kind results. Jobs left 'running' by a previous process are resumed.
+// ---------------------------------------------------------------------------
+export function startJobRunner({ fullReport }) {
+  processors = { fullReport };
+  stmt.requeue.run();
+  kick();
+}
+
+// ---------------------------------------------------------------------------
+// createJob(vins, { kind, sections, mode, fresh })
+// Validate the request and queue a job. `fresh` makes report jobs rebuild
+// expired reports rather than take stale ones from the cache (cache warm-up).
+// Returns the job view or { error }.
+// ---------------------------------------------------------------------------
+export function createJob(vins, { kind = 'decode', sections, mode, fresh = false } = {}) {
+  if (!Array.isArray(vins) || vins.length === 0) return { error: 'Provide at least one VIN' };
+  if (vins.length > MAX_JOB_VINS) return { error: `Too many VINs: ${vins.length} (max ${MAX_JOB_VINS.toLocaleString('en-US')})` };
+  if (!vins.every(v => typeof v === 'string')) return { error: 'Every VIN must be a string' };
+  if (!JOB_KINDS.includes(kind)) return { error: `kind must be one of: ${JOB_KINDS.join(', ')}` };
+  if (mode !== undefined && !VALIDATION_MODES.includes(mode)) return { error: `mode must be one of: ${VALIDATION_MODES.join(', ')}` };
+
+  const available = JOB_SECTIONS[kind];
+  const chosen = sections ?? available.filter(s => !OPT_IN_SECTIONS.has(s));
+  const unknown = Array.isArray(chosen) ? chosen.filter(s => !available.includes(s)) : [];
+  if (!Array.isArray(chosen) || chosen.length === 0 || unknown.length > 0) {
+    return { error: `sections for ${kind} jobs must be a non-empty list of: ${available.join(', ')}` };
+  }
+
+  const id = crypto.randomUUID();
+  insertJob(id, kind, { sections: chosen, ...(mode ? { mode } : {}), ...(fresh ? { fresh } : {}) }, vins);
+  kick();
+  return view(stmt.getJob.get(id));
+}
+
+// ---------------------------------------------------------------------------
+// getJob(id) / cancelJob(id)
+// The job view, or null if there is no such job.
+// ---------------------------------------------------------------------------
+export function getJob(id) {
+  const job = stmt.getJob.get(String(id));
+  return job ? view(job) : null;
+}
+
+export function cancelJob(id) {
+  stmt.cancel.run(String(id));
+  return getJob(id);
+}
+
+// ---------------------------------------------------------------------------
+// jobResults(id, { offset, limit }) / iterateJobResults(id)
+// Per-VIN results in input order: a page, or all of them one by one (for
+// streaming downloads).
+// ---------------------------------------------------------------------------
+export function jobResults(id, { offset = 0, limit = 100 } = {}) {
+  return stmt.items.all(String(id), limit, offset).map(itemView);
+}
+
+export function* iterateJobResults(id) {
+  for (const row of stmt.allItems.iterate(String(id))) yield itemView(row);
+}
+
+// ---------------------------------------------------------------------------
+// jobStats() / pruneOldJobs()
+// ---------------------------------------------------------------------------
+export function jobStats() {
+  return Object.fromEntries(stmt.counts.all().map(r => [r.status, r.n]));
+}
+
+export function pruneOldJobs() {
+  stmt.prune.run();
+}
@@ -0,0 +1,284 @@
+// Pre-1981 (Pre-Standard) VIN Decoding
+// Before the 17-character format was mandated for 1981 models, each
+// manufacturer used its own 5-13 character serial layout. These decoders
+// recognise the major post-1965 North American and VW layouts and extract
+// what the serial encodes: make, model-year range, assembly plant, body code.
+// All computation is local - no external API calls.
+//
+// Model years are encoded as a single digit, so every decoder returns all
+// years that digit can mean within the format's era.
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+// Years in [from, to] whose last digit is `digit`
+function yearsForDigit(digit, from, to) {
+  const d = Number(digit);
+  const years = [];
+  for (let y = from; y <= to; y++) {
+    if (y % 10 === d) years.push(y);
+  }
+  return years;
+}
+
+function yearRange(years) {
+  return years.length > 0 ? { from: Math.min(...years), to: Math.max(...years) } : null;
+}
+
+// ---------------------------------------------------------------------------
+// General Motors (13 characters)
+// 1965-71: D SS BB Y P NNNNNN   (division, series, body, year, plant, serial)
+// 1972-80: D S BB E Y P NNNNNN  (division, series letter, body, engine, ...)
+// ---------------------------------------------------------------------------
+const GM_DIVISIONS = {
+  1: 'Chevrolet', 2: 'Pontiac', 3: 'Oldsmobile', 4: 'Buick', 6: 'Cadillac',
+};
+
+const GM_PLANTS = {
+  A: 'Lakewood, GA', B: 'Baltimore, MD', C: 'South Gate, CA', D: 'Doraville, GA',
+  E: 'Linden, NJ', F: 'Flint, MI', G: 'Framingham, MA', J: 'Janesville, WI',
+  K: 'Leeds / Kansas City, MO', L: 'Van Nuys, CA', M: 'Lansing, MI', N: 'Norwood, OH',
+  P: 'Pontiac, MI', R: 'Arlington, TX', S: 'St. Louis, MO', T: 'Tarrytown, NY',
+  U: 'Lordstown, OH', W: 'Willow Run, MI', X: 'Fairfax, KS', Y: 'Wilmington, DE',
+  Z: 'Fremont, CA', 1: 'Oshawa, ON', 2: 'Ste. Therese, QC',
+};
+
+const GM_BODY_STYLES = {
+  '07': '2-door coupe', 27: '2-door coupe', 37: '2-door sport coupe (hardtop)',
+  39: '4-door sport sedan (hardtop)', 47: '2-door hardtop', 57: '2-door coupe',
+  67: 'Convertible', 69: '4-door sedan', 80: 'Coupe pickup (El Camino / Sprint)',
+  87: '2-door sport coupe', 35: 'Station wagon', 36: 'Station wagon', 46: 'Station wagon',
+};
+
+// Chevrolet series (1965-71 numeric codes, 1972-80 letters)
+const CHEVROLET_SERIES = {
+  '11': 'Chevy II / Nova (6-cyl)', '13': 'Chevy II / Nova (6-cyl)', '14': 'Chevy II / Nova (V8)',
+  '23': 'Camaro (6-cyl)', '24': 'Camaro (V8)',
+  '33': 'Chevelle (6-cyl)', '34': 'Chevelle (V8)', '35': 'Chevelle Malibu (6-cyl)', '36': 'Chevelle Malibu (V8)',
+  '53': 'Biscayne (6-cyl)', '54': 'Biscayne (V8)', '55': 'Bel Air (6-cyl)', '56': 'Bel Air (V8)',
+  '63': 'Impala (6-cyl)', '64': 'Impala (V8)', '66': 'Caprice (V8)',
+  '94': 'Corvette',
+  Q: 'Camaro', S: 'Camaro Rally Sport', Z: 'Corvette', X: 'Nova', Y: 'Nova Custom',
+  C: 'Chevelle Malibu', D: 'Chevelle Malibu Classic', L: 'Impala', N: 'Caprice', V: 'Vega', M: 'Monza',
+};
+
+function decodeGm(vin) {
+  if (vin.length !== 13) return null;
+  const division = GM_DIVISIONS[vin[0]];
+  if (!division) return null;
+
+  const early = /^\d\d{4}\d[A-Z0-9]\d{6}$/.test(vin);
+  const late = /^\d[A-Z]\d{2}[A-Z0-9]\d[A-Z0-9]\d{6}$/.test(vin);
+  if (!early && !late) return null;
+
+  const series = early ? vin.slice(1, 3) : vin[1];
+  const body = vin.slice(early ? 3 : 2, early ? 5 : 4);
+  const years = early
+    ? yearsForDigit(vin[5], 1965, 1971)
+    : yearsForDigit(vin[5], 1972, 1980);
+  if (years.length === 0) return null;
+
+  return {
+    format: early ? 'GM 1965-1971 (13 characters)' : 'GM 1972-1980 (13 characters)',
+    manufacturer: 'General Motors',
+    make: division,
+    model: division === 'Chevrolet' ? CHEVROLET_SERIES[series] || null : null,
+    possible_years: years,
+    year_range: yearRange(years),
+    plant: { code: vin[6], name: GM_PLANTS[vin[6]] || null },
+    body: { code: body, description: GM_BODY_STYLES[body] || null },
+    series_code: series,
+    engine_code: early ? null : vin[4],
+    serial: vin.slice(7),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Ford (11 characters, 1966-1980)
+// Y P BB E NNNNNN  (year, plant, body serial, engine, serial)
+// Lincoln and Mercury used the same layout, but their body serials overlap
+// Ford's, so only Ford-division car lines are decoded. A serial is only
+// claimed when its plant and body serial are both known.
+// ---------------------------------------------------------------------------
+const FORD_PLANTS = {
+  A: 'Atlanta, GA', B: 'Oakville, ON', D: 'Dallas, TX', E: 'Mahwah, NJ',
+  F: 'Dearborn, MI', G: 'Chicago, IL', H: 'Lorain, OH', J: 'Los Angeles, CA',
+  K: 'Kansas City, MO', L: 'Wayne (Michigan Truck), MI', N: 'Norfolk, VA', P: 'Twin Cities, MN',
+  R: 'San Jose, CA', S: 'Allen Park (Pilot Plant), MI', T: 'Metuchen, NJ', U: 'Louisville, KY',
+  W: 'Wayne, MI', X: 'St. Thomas, ON', Y: 'Wixom, MI', Z: 'St. Louis, MO',
+};
+
+// Ford-division car lines by body serial range
+const FORD_BODY_LINES = [
+  { from: 1, to: 9, model: 'Mustang' },
+  { from: 10, to: 29, model: 'Falcon / Maverick' },
+  { from: 30, to: 49, model: 'Fairlane / Torino' },
+  { from: 50, to: 69, model: 'Custom / Galaxie / LTD' },
+  { from: 70, to: 79, model: 'Ford station wagon' },
+  { from: 81, to: 89, model: 'Thunderbird' },
+];
+
+const FORD_BODY_SERIALS = {
+  '01': 'Mustang 2-door hardtop', '02': 'Mustang fastback', '03': 'Mustang convertible',
+  '05': 'Mustang Grande hardtop',
+};
+
+function decodeFord(vin) {
+  if (!/^\d[A-Z]\d{2}[A-Z0-9]\d{6}$/.test(vin)) return null;
+  const body = vin.slice(2, 4);
+  const line = FORD_BODY_LINES.find(l => Number(body) >= l.from && Number(body) <= l.to);
+  if (!FORD_PLANTS[vin[1]] || !line) return null;
+  const years = yearsForDigit(vin[0], 1966, 1980);
+
+  return {
+    format: 'Ford 1966-1980 (11 characters)',
+    manufacturer: 'Ford Motor Company',
+    make: 'Ford',
+    model: line.model,
+    possible_years: years,
+    year_range: yearRange(years),
+    plant: { code: vin[1], name: FORD_PLANTS[vin[1]] },
+    body: { code: body, description: FORD_BODY_SERIALS[body] || null },
+    engine_code: vin[4],
+    serial: vin.slice(5),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Chrysler / Dodge / Plymouth (13 characters, 1968-1980)
+// L C BB E Y P NNNNNN  (car line, price class, body, engine, year, plant, serial)
+// ---------------------------------------------------------------------------
+const CHRYSLER_LINES = {
+  B: { make: 'Plymouth', model: 'Barracuda' },
+  C: { make: 'Chrysler', model: 'Newport / New Yorker' },
+  D: { make: 'Dodge', model: 'Polara / Monaco' },
+  J: { make: 'Dodge', model: 'Challenger' },
+  L: { make: 'Dodge', model: 'Dart' },
+  P: { make: 'Plymouth', model: 'Fury' },
+  R: { make: 'Plymouth', model: 'Belvedere / Satellite / Road Runner / GTX' },
+  V: { make: 'Plymouth', model: 'Valiant / Duster' },
+  W: { make: 'Dodge', model: 'Coronet / Charger' },
+  X: { make: 'Dodge', model: 'Charger' },
+  Y: { make: 'Imperial', model: 'Imperial' },
+};
+
+const CHRYSLER_PRICE_CLASSES = {
+  E: 'Economy', L: 'Low', M: 'Medium', H: 'High', P: 'Premium',
+  K: 'Police', T: 'Taxi', S: 'Special', O: 'Superstock',
+};
+
+const CHRYSLER_PLANTS = {
+  A: 'Lynch Road, Detroit, MI', B: 'Hamtramck, MI', C: 'Jefferson Avenue, Detroit, MI',
+  D: 'Belvidere, IL', E: 'Los Angeles, CA', F: 'Newark, DE', G: 'St. Louis, MO',
+  R: 'Windsor, ON',
+};
+
+const CHRYSLER_BODIES = {
+  21: '2-door coupe', 23: '2-door hardtop', 27: 'Convertible', 29: '2-door sport hardtop',
+  41: '4-door sedan', 43: '4-door hardtop', 45: 'Station wagon (2 seats)', 46: 'Station wagon (3 seats)',
+};
+
+function decodeChrysler(vin) {
+  if (!/^[A-Z][A-Z]\d{2}[A-Z0-9]\d[A-Z]\d{6}$/.test(vin)) return null;
+  const line = CHRYSLER_LINES[vin[0]];
+  if (!line) return null;
+  const years = yearsForDigit(vin[5], 1968, 1980);
+  const body = vin.slice(2, 4);
+
+  return {
+    format: 'Chrysler 1968-1980 (13 characters)',
+    manufacturer: 'Chrysler Corporation',
+    make: line.make,
+    model: line.model,
+    possible_years: years,
+    year_range: yearRange(years),
+    plant: { code: vin[6], name: CHRYSLER_PLANTS[vin[6]] || null },
+    body: { code: body, description: CHRYSLER_BODIES[body] || null },
+    price_class: CHRYSLER_PRICE_CLASSES[vin[1]] || null,
+    engine_code: vin[4],
+    serial: vin.slice(7),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Volkswagen chassis numbers (1965-1979)
+// TT Y NNNNNN(N)  (type, year, serial). Each model year's serials restarted
+// at 000001; busy 1960s years ran past a million (e.g. 116 1021 298), and
+// from 1970 the serial starts at 2 000 001, so a 10-digit number is only a
+// chassis number when its serial is in one of those two ranges and the year
+// digit falls in the type's production years.
+// All air-cooled VWs of the era were built in Germany (or Brazil/Mexico).
+// ---------------------------------------------------------------------------
+const VW_TYPES = {
+  11: { model: 'Beetle', from: 1965, to: 1979 },
+  13: { model: 'Super Beetle', from: 1971, to: 1975 },
+  14: { model: 'Karmann Ghia', from: 1965, to: 1974 },
+  15: { model: 'Beetle Convertible', from: 1965, to: 1979 },
+  21: { model: 'Type 2 (Panel Van)', from: 1965, to: 1979 },
+  22: { model: 'Type 2 (Microbus)', from: 1965, to: 1979 },
+  23: { model: 'Type 2 (Kombi)', from: 1965, to: 1979 },
+  24: { model: 'Type 2 (Deluxe Microbus)', from: 1965, to: 1979 },
+  26: { model: 'Type 2 (Pickup)', from: 1965, to: 1979 },
+  27: { model: 'Type 2 (Ambulance)', from: 1965, to: 1979 },
+  28: { model: 'Type 2 (Microbus)', from: 1965, to: 1979 },
+  31: { model: 'Type 3 (Notchback)', from: 1965, to: 1973 },
+  34: { model: 'Karmann Ghia Type 34', from: 1965, to: 1969 },
+  36: { model: 'Type 3 (Squareback / Fastback)', from: 1965, to: 1973 },
+  41: { model: 'Type 4 (411/412)', from: 1968, to: 1974 },
+  42: { model: 'Type 4 (411/412 Variant)', from: 1968, to: 1974 },
+  18: { model: 'Thing (Type 181)', from: 1969, to: 1979 },
+};
+
+// Model years a serial of this length and leading digit can belong to
+function vwEra(vin) {
+  if (vin.length === 9) return { from: 1965, to: 1969 };
+  if (vin[3] === '1' && vin[4] === '0') return { from: 1965, to: 1969 }; // past a million, below 1 100 000
+  if (vin[3] === '2' || vin[3] === '3') return { from: 1970, to: 1979 };
+  return null;
+}
+
+function decodeVw(vin) {
+  if (!/^\d{9,10}$/.test(vin)) return null;
+  const type = VW_TYPES[vin.slice(0, 2)];
+  const era = vwEra(vin);
+  if (!type || !era || /^0+$/.test(vin.slice(3))) return null;
+  const years = yearsForDigit(vin[2], Math.max(era.from, type.from), Math.min(era.to, type.to));
+  if (years.length === 0) return null;
+
+  return {
+    format: era.from === 1970 ? 'Volkswagen 1970-1979 (10 digits)' : `Volkswagen 1965-1969 (${vin.length} digits)`,
+    manufacturer: 'Volkswagen',
+    make: 'Volkswagen',
+    model: type.model,
+    possible_years: years,
+    year_range: yearRange(years),
+    plant: null,
+    body: { code: vin.slice(0, 2), description: type.model },
+    serial: vin.slice(3),
+  };
+}
+
+// Tried in order; the first decoder whose layout matches wins
+const DECODERS = [decodeGm, decodeChrysler, decodeFord, decodeVw];
+
+// Serial lengths that can be a pre-standard VIN (the shortest layout decoded
+// is the 9-digit VW chassis number)
+export const LEGACY_MIN_LENGTH = 9;
+export const LEGACY_MAX_LENGTH = 13;
+
+// ---------------------------------------------------------------------------
+// decodeLegacyVin(vin)
+// Decode a normalized pre-1981 serial, or null if no known layout matches.
+// ---------------------------------------------------------------------------
+export function decodeLegacyVin(vin) {
+  if (typeof vin !== 'string') return null;
+  if (vin.length < LEGACY_MIN_LENGTH || vin.length > LEGACY_MAX_LENGTH) return null;
+  if (!/^[A-Z0-9]+$/.test(vin)) return null;
+
+  for (const decode of DECODERS) {
+    const result = decode(vin);
+    if (result) return result;
+  }
+  return null;
+}
@@ -0,0 +1,104 @@
+// Attribute matching helpers
+// Normalize the free-text drivetrain / body / cab descriptions used by vPIC,
+// NCAP and EPA into comparable classes so records from different sources can
+// be scored against the decoded vehicle. All computation is local.
+
+// ---------------------------------------------------------------------------
+// driveClass(text)
+// 'AWD' | '4WD' | 'FWD' | 'RWD' | null
+// ---------------------------------------------------------------------------
+export function driveClass(text) {
+  if (!text) return null;
+  const t = String(text).toUpperCase();
+  if (/\bAWD\b|ALL[- ]WHEEL/.test(t)) return 'AWD';
+  if (/\b4WD\b|\b4X4\b|4-WHEEL|FOUR[- ]WHEEL/.test(t)) return '4WD';
+  if (/\bFWD\b|FRONT[- ]WHEEL/.test(t)) return 'FWD';
+  if (/\bRWD\b|REAR[- ]WHEEL|\b4X2\b|\b2WD\b/.test(t)) return 'RWD';
+  return null;
+}
+
+// AWD and 4WD are often used interchangeably across sources
+export function drivesCompatible(a, b) {
+  if (!a || !b) return null;
+  if (a === b) return true;
+  const fourCorners = new Set(['AWD', '4WD']);
+  if (fourCorners.has(a) && fourCorners.has(b)) return 'partial';
+  return false;
+}
+
+// ---------------------------------------------------------------------------
+// bodyClass(text)
+// 'pickup' | 'suv' | 'van' | 'wagon' | 'convertible' | 'coupe' |
+// 'hatchback' | 'sedan' | null
+// ---------------------------------------------------------------------------
+export function bodyClass(text) {
+  if (!text) return null;
+  const t = String(text).toUpperCase();
+  if (/PICKUP|\bPU\b|\bPU\/|TRUCK/.test(t)) return 'pickup';
+  if (/SPORT UTILITY|\bSUV\b|\bCUV\b|CROSSOVER/.test(t)) return 'suv';
+  if (/MINIVAN|\bVAN\b/.test(t)) return 'van';
+  if (/WAGON/.test(t)) return 'wagon';
+  if (/CONVERTIBLE|CABRIOLET|ROADSTER/.test(t)) return 'convertible';
+  if (/COUPE|\b2 ?DR\b|2-DOOR/.test(t)) return 'coupe';
+  if (/HATCHBACK|LIFTBACK|\bHB\b|\b5 ?DR\b|\b3 ?DR\b/.test(t)) return 'hatchback';
+  if (/SEDAN|SALOON|\b4 ?DR\b|4-DOOR/.test(t)) return 'sedan';
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// cabClass(text)
+// Pickup cab size: 'crew' | 'extended' | 'regular' | null
+// ---------------------------------------------------------------------------
+export function cabClass(text) {
+  if (!text) return null;
+  const t = String(text).toUpperCase();
+  if (/CREW|CREWMAX|SUPERCREW|\bCC\b|PU\/CC/.test(t)) return 'crew';
+  if (/EXTENDED|EXTRA|SUPER ?CAB|QUAD|DOUBLE|KING|ACCESS|CLUB|\bEC\b|PU\/EC/.test(t)) return 'extended';
+  if (/REGULAR|STANDARD CAB|\bRC\b|PU\/RC/.test(t)) return 'regular';
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// transmissionClass(text)
+// 'manual' | 'cvt' | 'dct' | 'automatic' | null
+// ---------------------------------------------------------------------------
+export function transmissionClass(text) {
+  if (!text) return null;
+  const t = String(text).toUpperCase();
+  if (/CVT|CONTINUOUSLY|VARIABLE GEAR|\(AV\b/.test(t)) return 'cvt';
+  if (/DUAL[- ]CLUTCH|\bDCT\b|\(AM[-\d]|\bAM-S\d/.test(t)) return 'dct';
+  if (/MANUAL|\bMAN\b|STANDARD/.test(t)) return 'manual';
+  if (/AUTO/.test(t)) return 'automatic';
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// transmissionSpeeds(text)
+// Gear count from strings like "Automatic (S6)", "Manual 5-spd", "6-speed".
+// ---------------------------------------------------------------------------
+export function transmissionSpeeds(text) {
+  if (!text) return null;
+  const m = String(text).match(/\((?:[A-Z]+-)?[A-Z]*(\d{1,2})\)|(\d{1,2})[- ]?SP(?:D|EED)/i);
+  return m ? Number(m[1] || m[2]) : null;
+}
+
+// ---------------------------------------------------------------------------
+// tokens(text)
+// Uppercased alphanumeric word tokens (for trim/series matching).
+// ---------------------------------------------------------------------------
+export function tokens(text) {
+  if (!text) return [];
+  return String(text).toUpperCase().split(/[^A-Z0-9.]+/).filter(Boolean);
+}
+
+// ---------------------------------------------------------------------------
+// confidence(score, possible, runnerUp)
+// Turn a raw match score into a 0-1 confidence. `possible` is the best score
+// achievable given which attributes were known; a tie with the runner-up
+// halves the confidence because the choice was effectively arbitrary.
+// ---------------------------------------------------------------------------
+export function confidence(score, possible, runnerUp = null) {
+  let c = possible > 0 ? Math.max(0, score) / possible : 0;
+  if (runnerUp !== null && runnerUp >= score) c /= 2;
+  return Math.round(Math.min(1, c) * 100) / 100;
+}
@@ -0,0 +1,209 @@
+/**
+ * Model-name normalization across data sources.
+ * vPIC, the NHTSA recalls/complaints APIs, NCAP, EPA and IMAGIN spell the same
+ * model differently ("F-150" vs "F150 Pickup 4WD", "MAZDA3" vs "3", "Model 3"
+ * vs "Model3"). resolveModel() maps the decoded vPIC model onto the name each
+ * source actually uses:
+ *   1. exact (case-insensitive) match in the source's model list
+ *   2. the maintained alias table below
+ *   3. fuzzy match against the source's model list
+ * and reports how it got there so callers can show "resolved as" metadata.
+ */
+
+import { getNhtsaModels, getNcapModels } from './nhtsa.mjs';
+import { getEpaModels } from './epa.mjs';
+import { driveClass, drivesCompatible, cabClass, tokens } from './match.mjs';
+
+/**
+ * Known spellings that normalization and fuzzy matching cannot derive.
+ * Keyed by vPIC make/model; each source lists the names it may use (the first
+ * one present in the source's model list wins, drive/cab hints breaking ties).
+ * IMAGIN has no model list, so its entry is used as-is.
+ */
+const MODEL_ALIASES = [
+  { make: 'CHEVROLET', model: 'Silverado', recalls: ['SILVERADO 1500'], complaints: ['SILVERADO 1500'], safety_ratings: ['SILVERADO 1500'], fuel_economy: ['Silverado C15 2WD', 'Silverado K15 4WD', 'Silverado 2WD', 'Silverado 4WD'] },
+  { make: 'GMC', model: 'Sierra', recalls: ['SIERRA 1500'], complaints: ['SIERRA 1500'], safety_ratings: ['SIERRA 1500'], fuel_economy: ['Sierra C15 2WD', 'Sierra K15 4WD', 'Sierra 2WD', 'Sierra 4WD'] },
+  { make: 'RAM', model: '1500', fuel_economy: ['1500 2WD', '1500 4WD'] },
+  { make: 'FORD', model: 'F-150', fuel_economy: ['F150 Pickup 2WD', 'F150 Pickup 4WD', 'F150 2WD', 'F150 4WD'] },
+  { make: 'TOYOTA', model: 'Tacoma', fuel_economy: ['Tacoma 2WD', 'Tacoma 4WD'] },
+  { make: 'TOYOTA', model: 'Tundra', fuel_economy: ['Tundra 2WD', 'Tundra 4WD'] },
+  { make: 'NISSAN', model: 'Frontier', fuel_economy: ['Frontier 2WD', 'Frontier 4WD'] },
+  { make: 'MAZDA', model: 'MAZDA3', fuel_economy: ['3', 'Mazda3', '3 4-Door', '3 5-Door'], photos: '3' },
+  { make: 'MAZDA', model: 'MAZDA6', fuel_economy: ['6', 'Mazda6'], photos: '6' },
+  { make: 'MAZDA', model: 'CX-5', fuel_economy: ['CX-5 2WD', 'CX-5 4WD'] },
+];
+
+// Model-list fetchers per source; IMAGIN is a URL builder with no list
+const MODEL_LISTS = {
+  recalls: (make, year) => getNhtsaModels(make, year, 'r'),
+  complaints: (make, year) => getNhtsaModels(make, year, 'c'),
+  safety_ratings: getNcapModels,
+  fuel_economy: getEpaModels,
+};
+
+export const MODEL_SOURCES = [...Object.keys(MODEL_LISTS), 'photos'];
+
+// Fuzzy matches scoring below this are treated as "no match"
+const MIN_FUZZY_SCORE = 0.6;
+
+// Words sources append to a model name that do not identify the model itself
+const GENERIC_WORDS = new Set(['PICKUP', 'TRUCK', 'CAB', 'CHASSIS', 'FFV', '2WD', '4WD', 'AWD', 'FWD', 'RWD', '4X2', '4X4']);
+
+function norm(text) {
+  return String(text ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function core(text) {
+  return norm(tokens(text).filter(w => !GENERIC_WORDS.has(w)).join(''));
+}
+
+/**
+ * Dice coefficient over character bigrams (0-1).
+ */
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const grams = s => {
+    const out = new Map();
+    for (let i = 0; i < s.length - 1; i++) {
+      const g = s.slice(i, i + 2);
+      out.set(g, (out.get(g) || 0) + 1);
+    }
+    return out;
+  };
+  const ga = grams(a);
+  let overlap = 0;
+  for (const [g, n] of grams(b)) overlap += Math.min(n, ga.get(g) || 0);
+  return (2 * overlap) / (a.length + b.length - 2);
+}
+
+/**
+ * Score how well a source's model name matches the wanted one (0-1).
+ * "MAZDA3" and "3" compare equal once the make prefix is dropped, and
+ * "F-150" and "F150 Pickup 4WD" once generic body/drive words are.
+ */
+function nameScore(want, candidate, make) {
+  const mk = norm(make);
+  const strip = s => (s.startsWith(mk) && s.length > mk.length ? s.slice(mk.length) : s);
+
+  const w = norm(want);
+  const c = norm(candidate);
+  if (!w || !c) return 0;
+  if (w === c) return 1;
+  if (strip(w) === strip(c)) return 0.95;
+
+  const wc = strip(core(want));
+  const cc = strip(core(candidate));
+  if (wc && wc === cc) return 0.9;
+  if (wc.length >= 2 && cc.length >= 2 && (cc.startsWith(wc) || wc.startsWith(cc))) return 0.7;
+  return 0.8 * similarity(wc, cc);
+}
+
+/**
+ * Nudge candidates whose drive (2WD/4WD/AWD) or cab suffix agrees with the
+ * decode, and push down those that contradict it.
+ */
+function hintAdjust(candidate, hints) {
+  let adj = 0;
+  const drive = drivesCompatible(driveClass(hints.drive), driveClass(candidate));
+  if (drive === true) adj += 0.05;
+  else if (drive === 'partial') adj += 0.02;
+  else if (drive === false) adj -= 0.05;
+
+  const wantCab = cabClass(hints.cab);
+  const gotCab = cabClass(candidate);
+  if (wantCab && gotCab) adj += wantCab === gotCab ? 0.05 : -0.05;
+  return adj;
+}
+
+function findAlias(make, model) {
+  return MODEL_ALIASES.find(a => norm(a.make) === norm(make) && norm(a.model) === norm(model)) || null;
+}
+
+/**
+ * Resolve the model name one source uses for a decoded vehicle.
+ *
+ * @param {string} source - 'recalls' | 'complaints' | 'safety_ratings' | 'fuel_economy' | 'photos'
+ * @param {string} make - Decoded make
+ * @param {string} model - Decoded (vPIC) model
+ * @param {number|string} year - Model year
+ * @param {object} [hints] - { drive, cab, series } from the decode, used to break ties
+ * @returns {object} { input, model, method, score } where method is
+ *   'exact' | 'alias' | 'fuzzy' | 'unresolved' (no match, raw name kept) |
+ *   'passthrough' (source has no model list or it could not be fetched)
+ */
+export async function resolveModel(source, make, model, year, hints = {}) {
+  const result = { input: model ?? null, model: model ?? null, method: 'passthrough', score: null };
+  if (!make || !model) return result;
+
+  const alias = findAlias(make, model);
+  const listFor = MODEL_LISTS[source];
+  if (!listFor) {
+    if (typeof alias?.[source] === 'string') Object.assign(result, { model: alias[source], method: 'alias' });
+    return result;
+  }
+
+  let list;
+  try {
+    list = year ? await listFor(make, year) : [];
+  } catch (err) {
+    console.error(`[model-aliases] ${source} model list for ${make} ${year} failed:`, err.message);
+    return result;
+  }
+  if (list.length === 0) return { ...result, method: 'unresolved' };
+
+  const exact = list.find(m => String(m).toUpperCase() === String(model).toUpperCase());
+  if (exact) return { ...result, model: exact, method: 'exact', score: 1 };
+
+  // Alias candidates that the source actually lists
+  const wanted = (Array.isArray(alias?.[source]) ? alias[source] : []).map(a => a.toUpperCase());
+  const aliased = list.filter(m => wanted.includes(String(m).toUpperCase()));
+  if (aliased.length > 0) {
+    const best = aliased
+      .map((m, i) => ({ m, adj: hintAdjust(m, hints), i }))
+      .sort((a, b) => b.adj - a.adj || a.i - b.i)[0];
+    return { ...result, model: best.m, method: 'alias', score: 1 };
+  }
+
+  // Fuzzy fallback: the model name, or failing that the series (e.g. "C300")
+  let best = null;
+  for (const candidate of list) {
+    const base = Math.max(
+      nameScore(model, candidate, make),
+      hints.series ? 0.9 * nameScore(hints.series, candidate, make) : 0,
+    );
+    const score = Math.round(Math.min(1, base + hintAdjust(candidate, hints)) * 100) / 100;
+    if (!best || score > best.score) best = { candidate, score };
+  }
+
+  if (best && best.score >= MIN_FUZZY_SCORE) {
+    return { ...result, model: best.candidate, method: 'fuzzy', score: best.score };
+  }
+  return { ...result, method: 'unresolved', score: best ? best.score : null };
+}
+
+/**
+ * Resolve the model name for every source in parallel.
+ *
+ * @param {string} make
+ * @param {string} model
+ * @param {number|string} year
+ * @param {object} [hints] - { drive, cab, series }
+ * @returns {object} { recalls, complaints, safety_ratings, fuel_economy, photos }
+ */
+export async function resolveModels(make, model, year, hints = {}) {
+  const entries = await Promise.all(MODEL_SOURCES.map(async source => [source, await resolveModel(source, make, model, year, hints)]));
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Resolution hints taken from a parseDecodedResult() output.
+ */
+export function modelHints(decoded) {
+  return {
+    drive: decoded?.transmission?.drive_type || null,
+    cab: decoded?.vehicle?.cab_type || null,
+    series: decoded?.vehicle?.series || null,
+  };
+}
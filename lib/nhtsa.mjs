@@ -4,18 +4,28 @@
  * Docs: https://vpic.nhtsa.dot.gov/api/
  */
 
-const VPIC_BASE = 'https://vpic.nhtsa.dot.gov/api/vehicles';
-const RECALLS_BASE = 'https://api.nhtsa.gov/recalls/recallsByVehicle';
-const COMPLAINTS_BASE = 'https://api.nhtsa.gov/complaints/complaintsByVehicle';
-const SAFETY_BASE = 'https://api.nhtsa.gov/SafetyRatings';
+import { decodeVinLocal } from './vpic-local.mjs';
+import { upstreamFetch, errorStatus, UpstreamError, UPSTREAM_BASES } from './provider.mjs';
+import { ratingCache, ncapVehicleCache, modelListCache, vinCache, decodeCache, recallCache, complaintCache } from './cache.mjs';
+import { normalizeVin, validateVin } from './validate.mjs';
+import { driveClass, drivesCompatible, bodyClass, cabClass, tokens, confidence } from './match.mjs';
 
-const FETCH_TIMEOUT = 10_000;
+const VPIC_BASE = UPSTREAM_BASES.vpic;
+const RECALLS_BASE = `${UPSTREAM_BASES.nhtsa}/recalls/recallsByVehicle`;
+const COMPLAINTS_BASE = `${UPSTREAM_BASES.nhtsa}/complaints/complaintsByVehicle`;
+const SAFETY_BASE = `${UPSTREAM_BASES.nhtsa}/SafetyRatings`;
+const PRODUCTS_BASE = `${UPSTREAM_BASES.nhtsa}/products/vehicle/models`;
+
+// VPIC_OFFLINE=1 disables the remote vPIC fallback entirely (local snapshot only)
+const VPIC_OFFLINE = process.env.VPIC_OFFLINE === '1';
 
 /**
- * Create an AbortSignal that times out after the specified ms.
+ * Throw an UpstreamError of kind 'error' for a non-OK (4xx) answer.
  */
-function timeoutSignal(ms = FETCH_TIMEOUT) {
-  return AbortSignal.timeout(ms);
+function assertOk(res, what) {
+  if (!res.ok) {
+    throw new UpstreamError(`${what} HTTP ${res.status}`, { kind: 'error', status: res.status });
+  }
 }
 
 /**
@@ -41,6 +51,59 @@ function num(value) {
   return Number.isNaN(n) ? null : n;
 }
 
+// vPIC error codes that still leave a usable decode (everything except 0 and
+// these is treated as an error): 1 check digit wrong, 4 VIN corrected in one
+// position, 14 not every position could be decoded
+const WARNING_CODES = new Set([1, 4, 14]);
+
+/**
+ * Parse vPIC's ErrorCode / ErrorText / AdditionalErrorText / SuggestedVIN /
+ * PossibleValues fields into a structured decode quality report.
+ * `level` is 'clean', 'warning' or 'error'; only 'clean' decodes are trusted.
+ * Unresolved positions come from '!' placeholders in SuggestedVIN and from
+ * PossibleValues entries like "(12:0123456789)".
+ */
+function parseDecodeQuality(r) {
+  const codes = String(r.ErrorCode ?? '')
+    .split(/[,;\s]+/)
+    .map(c => parseInt(c, 10))
+    .filter(Number.isFinite);
+  const errorCodes = codes.length > 0 ? [...new Set(codes)] : [0];
+
+  const messages = String(r.ErrorText ?? '')
+    .split(/;\s*(?=\d+\s*-)/)
+    .map(m => m.trim())
+    .filter(Boolean);
+  const additional = clean(r.AdditionalErrorText);
+  if (additional) messages.push(additional);
+
+  const positions = new Set();
+  const suggested = clean(r.SuggestedVIN);
+  if (suggested) {
+    [...suggested].forEach((ch, i) => { if (ch === '!') positions.add(i + 1); });
+  }
+  const possibleValues = {};
+  for (const [, pos, chars] of String(r.PossibleValues ?? '').matchAll(/\((\d+):([^)]*)\)/g)) {
+    possibleValues[pos] = chars;
+    positions.add(Number(pos));
+  }
+
+  const nonZero = errorCodes.filter(c => c !== 0);
+  const level = nonZero.length === 0 ? 'clean'
+    : nonZero.every(c => WARNING_CODES.has(c)) ? 'warning'
+    : 'error';
+
+  return {
+    level,
+    trusted: level === 'clean',
+    error_codes: errorCodes,
+    messages,
+    suggested_vin: suggested,
+    unresolved_positions: [...positions].sort((a, b) => a - b),
+    possible_values: possibleValues,
+  };
+}
+
 /**
  * Parse a NHTSA decoded result into categorized fields.
  */
@@ -53,7 +116,9 @@ function parseDecodedResult(r) {
       model: clean(r.Model),
       model_id: num(r.ModelID),
       trim: clean(r.Trim),
+      series: clean(r.Series),
       body_class: clean(r.BodyClass),
+      cab_type: clean(r.BodyCabType),
       doors: num(r.Doors),
       vehicle_type: clean(r.VehicleType),
     },
@@ -110,19 +175,38 @@ function parseDecodedResult(r) {
       pretensioner: clean(r.Pretensioner),
       seat_belt_type: clean(r.SeatBeltsAll),
     },
+    decode_quality: parseDecodeQuality(r),
     raw: { ...r },
   };
 }
 
 /**
- * Decode a single VIN using the NHTSA vPIC API.
+ * Decode a single VIN using the local vPIC snapshot when available,
+ * falling back to the NHTSA vPIC API (cached per VIN).
  * @param {string} vin - 17-character VIN
  * @returns {object|null} Parsed vehicle data or null on error
  */
 export async function decodeVin(vin) {
+  const local = decodeVinLocal(vin);
+  if (local?.Model || (local && VPIC_OFFLINE)) return parseDecodedResult(local);
+  if (VPIC_OFFLINE) return null;
+
+  // Local snapshot missing or only partially decoded: try the remote API,
+  // keeping the partial local decode if that fails too.
+  const remote = await decodeCache.getOrLoad(vin, () => decodeVinRemote(vin));
+  if (remote) return remote;
+  return local ? parseDecodedResult(local) : null;
+}
+
+/**
+ * Decode a single VIN using the NHTSA vPIC API.
+ * @param {string} vin - 17-character VIN
+ * @returns {object|null} Parsed vehicle data or null on error
+ */
+async function decodeVinRemote(vin) {
   try {
     const url = `${VPIC_BASE}/DecodeVinValues/${encodeURIComponent(vin)}?format=json`;
-    const res = await fetch(url, { signal: timeoutSignal() });
+    const res = await upstreamFetch(url);
 
     if (!res.ok) {
       console.error(`[nhtsa] decodeVin HTTP ${res.status} for ${vin}`);
@@ -143,61 +227,151 @@ export async function decodeVin(vin) {
   }
 }
 
+// vPIC's DecodeVINValuesBatch accepts at most 50 VINs per request
+const BATCH_CHUNK_SIZE = 50;
+
 /**
- * Batch decode up to 50 VINs in a single request.
- * @param {string[]} vins - Array of VINs (max 50)
- * @returns {object[]} Array of parsed results (null entries for failures)
+ * Batch decode any number of VINs. Each input is validated locally first.
+ * Valid VINs with a cached full report or decode are answered from the cache, VINs the
+ * local vPIC snapshot fully decodes are answered locally, and the rest go to
+ * the vPIC batch API in chunks of 50 with bounded concurrency. A failed chunk
+ * only fails its own VINs.
+ * @param {string[]} vins - VINs to decode (duplicates are decoded once)
+ * @param {object} [opts]
+ * @param {number} [opts.concurrency=3] - Parallel vPIC batch requests
+ * @returns {Promise<object[]>} One entry per input, in input order:
+ *   { input, vin, status: 'ok'|'invalid'|'error', source: 'cache'|'local'|'vpic'|null, error, decoded }
  */
-export async function batchDecode(vins) {
+export async function batchDecode(vins, { concurrency = 3 } = {}) {
   if (!Array.isArray(vins) || vins.length === 0) return [];
 
-  const batch = vins.slice(0, 50);
-
-  try {
-    const url = `${VPIC_BASE}/DecodeVINValuesBatch/`;
-    // Format: "vin1,;vin2,;vin3,"
-    const body = `DATA=${batch.map(v => `${v},`).join(';')}&format=json`;
-
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body,
-      signal: timeoutSignal(),
-    });
+  const outcomes = new Map(); // normalized VIN -> { status, source, error, decoded }
+  const pending = [];
+  const partial = new Map(); // partial local decodes, used if vPIC fails
+
+  for (const input of vins) {
+    const vin = normalizeVin(input);
+    if (outcomes.has(vin) || partial.has(vin)) continue;
+
+    const validation = validateVin(vin);
+    if (validation.status !== 'valid') {
+      const error = validation.status === 'pre-standard'
+        ? 'Pre-1981 serial: vPIC only decodes 17-character VINs'
+        : validation.errors.join('; ');
+      outcomes.set(vin, { status: 'invalid', source: null, error, decoded: null });
+      continue;
+    }
 
-    if (!res.ok) {
-      console.error(`[nhtsa] batchDecode HTTP ${res.status}`);
-      return batch.map(() => null);
+    const cached = vinCache.get(vin)?.raw_nhtsa;
+    if (cached) {
+      outcomes.set(vin, { status: 'ok', source: 'cache', error: null, decoded: parseDecodedResult(cached) });
+      continue;
+    }
+    const decoded = decodeCache.get(vin);
+    if (decoded) {
+      outcomes.set(vin, { status: 'ok', source: 'cache', error: null, decoded });
+      continue;
     }
 
-    const data = await res.json();
-    const results = data?.Results;
-    if (!results || results.length === 0) {
-      console.error(`[nhtsa] batchDecode no results`);
-      return batch.map(() => null);
+    const local = decodeVinLocal(vin);
+    if (local?.Model || (local && VPIC_OFFLINE)) {
+      outcomes.set(vin, { status: 'ok', source: 'local', error: null, decoded: parseDecodedResult(local) });
+      continue;
     }
+    if (VPIC_OFFLINE) {
+      outcomes.set(vin, { status: 'error', source: null, error: 'Not in the local vPIC snapshot (VPIC_OFFLINE=1)', decoded: null });
+      continue;
+    }
+    partial.set(vin, local);
+    pending.push(vin);
+  }
 
-    return results.map(r => {
+  const chunks = [];
+  for (let i = 0; i < pending.length; i += BATCH_CHUNK_SIZE) chunks.push(pending.slice(i, i + BATCH_CHUNK_SIZE));
+
+  let next = 0;
+  const worker = async () => {
+    while (next < chunks.length) {
+      const chunk = chunks[next++];
+      let remote = new Map();
+      let failure = null;
       try {
-        return parseDecodedResult(r);
-      } catch {
-        return null;
+        remote = await batchDecodeRemote(chunk);
+      } catch (err) {
+        console.error(`[nhtsa] batchDecode error for ${chunk.length} VINs:`, err.message);
+        failure = err.message;
       }
-    });
-  } catch (err) {
-    console.error(`[nhtsa] batchDecode error:`, err.message);
-    return batch.map(() => null);
-  }
+      for (const vin of chunk) {
+        const local = partial.get(vin);
+        if (remote.has(vin)) {
+          decodeCache.set(vin, remote.get(vin));
+          outcomes.set(vin, { status: 'ok', source: 'vpic', error: null, decoded: remote.get(vin) });
+        } else if (local) {
+          outcomes.set(vin, { status: 'ok', source: 'local', error: null, decoded: parseDecodedResult(local) });
+        } else {
+          outcomes.set(vin, { status: 'error', source: null, error: failure || 'vPIC returned no result for this VIN', decoded: null });
+        }
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, chunks.length)) }, worker));
+
+  return vins.map(input => {
+    const vin = normalizeVin(input);
+    return { input, vin, ...outcomes.get(vin) };
+  });
+}
+
+/**
+ * Decode one chunk of up to 50 VINs with a single vPIC batch request.
+ * @param {string[]} batch - Array of VINs (max 50)
+ * @returns {Promise<Map<string, object>>} Parsed results keyed by VIN
+ * @throws {Error} If the request fails or returns no results
+ */
+async function batchDecodeRemote(batch) {
+  const url = `${VPIC_BASE}/DecodeVINValuesBatch/`;
+  // Format: "vin1,;vin2,;vin3,"
+  const body = `DATA=${batch.map(v => `${v},`).join(';')}&format=json`;
+
+  const res = await upstreamFetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body,
+  });
+  if (!res.ok) throw new UpstreamError(`vPIC batch decode HTTP ${res.status}`, { kind: 'error', status: res.status });
+
+  const data = await res.json();
+  const results = data?.Results;
+  if (!results || results.length === 0) throw new UpstreamError('vPIC batch decode returned no results', { kind: 'error' });
+
+  // Results echo each VIN; fall back to request order if one does not
+  const parsed = new Map();
+  results.forEach((r, i) => {
+    const vin = String(r.VIN || batch[i] || '').toUpperCase();
+    try {
+      if (batch.includes(vin)) parsed.set(vin, parseDecodedResult(r));
+    } catch {
+      // unparseable entry: reported as an error for this VIN
+    }
+  });
+  return parsed;
 }
 
 /**
  * Get recall data for a specific vehicle.
+ * `status` is 'ok' when NHTSA answered (even with zero recalls), otherwise
+ * 'unavailable' or 'error' with `count: null` so callers never mistake a
+ * failed lookup for "no recalls". Answered lookups are cached per make|model|year.
  * @param {string} make
  * @param {string} model
  * @param {number|string} year
- * @returns {object} { count, recalls }
+ * @returns {object} { status, count, recalls }
  */
 export async function getRecalls(make, model, year) {
+  return recallCache.getOrLoad(`${make}|${model}|${year}`, () => fetchRecalls(make, model, year), { cacheable: r => r.status === 'ok' });
+}
+
+async function fetchRecalls(make, model, year) {
   try {
     const params = new URLSearchParams({
       make: String(make),
@@ -205,12 +379,8 @@ export async function getRecalls(make, model, year) {
       modelYear: String(year),
     });
     const url = `${RECALLS_BASE}?${params}`;
-    const res = await fetch(url, { signal: timeoutSignal() });
-
-    if (!res.ok) {
-      console.error(`[nhtsa] getRecalls HTTP ${res.status}`);
-      return { count: 0, recalls: [] };
-    }
+    const res = await upstreamFetch(url);
+    assertOk(res, 'getRecalls');
 
     const data = await res.json();
     const results = data?.results || [];
@@ -225,21 +395,26 @@ export async function getRecalls(make, model, year) {
       manufacturer: clean(r.Manufacturer),
     }));
 
-    return { count: recalls.length, recalls };
+    return { status: 'ok', count: recalls.length, recalls };
   } catch (err) {
     console.error(`[nhtsa] getRecalls error:`, err.message);
-    return { count: 0, recalls: [] };
+    return { status: errorStatus(err), error: err.message, count: null, recalls: [] };
   }
 }
 
 /**
- * Get complaint data for a specific vehicle.
+ * Get complaint data for a specific vehicle. Answered lookups are cached per
+ * make|model|year; `status` is as for getRecalls().
  * @param {string} make
  * @param {string} model
  * @param {number|string} year
- * @returns {object} { count, complaints, summary }
+ * @returns {object} { status, count, complaints, summary }
  */
 export async function getComplaints(make, model, year) {
+  return complaintCache.getOrLoad(`${make}|${model}|${year}`, () => fetchComplaints(make, model, year), { cacheable: c => c.status === 'ok' });
+}
+
+async function fetchComplaints(make, model, year) {
   try {
     const params = new URLSearchParams({
       make: String(make),
@@ -247,12 +422,8 @@ export async function getComplaints(make, model, year) {
       modelYear: String(year),
     });
     const url = `${COMPLAINTS_BASE}?${params}`;
-    const res = await fetch(url, { signal: timeoutSignal() });
-
-    if (!res.ok) {
-      console.error(`[nhtsa] getComplaints HTTP ${res.status}`);
-      return { count: 0, complaints: [], summary: { crashes: 0, fires: 0, injuries: 0, deaths: 0 } };
-    }
+    const res = await upstreamFetch(url);
+    assertOk(res, 'getComplaints');
 
     const data = await res.json();
     const results = data?.results || [];
@@ -287,26 +458,175 @@ export async function getComplaints(make, model, year) {
     });
 
     return {
+      status: 'ok',
       count: complaints.length,
       complaints,
       summary: { crashes, fires, injuries, deaths },
     };
   } catch (err) {
     console.error(`[nhtsa] getComplaints error:`, err.message);
-    return { count: 0, complaints: [], summary: { crashes: 0, fires: 0, injuries: 0, deaths: 0 } };
+    return { status: errorStatus(err), error: err.message, count: null, complaints: [], summary: null };
   }
 }
 
+/**
+ * List the model names NHTSA files recalls or complaints under for a
+ * make/year (cached per issue type, make and year).
+ * @param {string} make
+ * @param {number|string} year
+ * @param {'r'|'c'} [issueType] - 'r' for recalls, 'c' for complaints
+ * @returns {string[]} Model names as the recalls/complaints APIs spell them
+ */
+export async function getNhtsaModels(make, year, issueType = 'r') {
+  const key = `nhtsa-${issueType}|${make}|${year}`;
+  return modelListCache.getOrLoad(key, async () => {
+    const params = new URLSearchParams({
+      modelYear: String(year),
+      make: String(make),
+      issueType,
+    });
+    const res = await upstreamFetch(`${PRODUCTS_BASE}?${params}`);
+    assertOk(res, 'getNhtsaModels');
+
+    const data = await res.json();
+    return [...new Set((data?.results || []).map(r => clean(r.model)).filter(Boolean))];
+  });
+}
+
+/**
+ * List the model names NCAP has ratings under for a make/year (cached).
+ * @param {string} make
+ * @param {number|string} year
+ * @returns {string[]} Model names as the SafetyRatings API spells them
+ */
+export async function getNcapModels(make, year) {
+  const key = `ncap|${make}|${year}`;
+  return modelListCache.getOrLoad(key, async () => {
+    const res = await upstreamFetch(`${SAFETY_BASE}/modelyear/${encodeURIComponent(year)}/make/${encodeURIComponent(make)}?format=json`);
+    assertOk(res, 'getNcapModels');
+
+    const data = await res.json();
+    return [...new Set((data?.Results || []).map(r => clean(r.Model)).filter(Boolean))];
+  });
+}
+
+/**
+ * Fetch the NCAP variant list for a year/make/model (cached per make|model|year).
+ */
+async function getNcapVariants(make, model, year) {
+  const key = `${make}|${model}|${year}`;
+  return ratingCache.getOrLoad(key, async () => {
+    const listUrl = `${SAFETY_BASE}/modelyear/${encodeURIComponent(year)}/make/${encodeURIComponent(make)}/model/${encodeURIComponent(model)}?format=json`;
+    const listRes = await upstreamFetch(listUrl);
+    assertOk(listRes, 'getSafetyRatings list');
+
+    const listData = await listRes.json();
+    return (listData?.Results || [])
+      .filter(v => v.VehicleId)
+      .map(v => ({ vehicle_id: v.VehicleId, description: clean(v.VehicleDescription) }));
+  });
+}
+
+/**
+ * Fetch the ratings for one NCAP variant (cached per VehicleId).
+ */
+async function getNcapVariant(vehicleId) {
+  return ncapVehicleCache.getOrLoad(vehicleId, async () => {
+    const detailUrl = `${SAFETY_BASE}/VehicleId/${vehicleId}?format=json`;
+    const detailRes = await upstreamFetch(detailUrl);
+    assertOk(detailRes, `getSafetyRatings detail ${vehicleId}`);
+
+    const detailData = await detailRes.json();
+    const r = detailData?.Results?.[0];
+    if (!r) return null;
+
+    const variant = {
+      vehicle_id: vehicleId,
+      description: clean(r.VehicleDescription),
+      overall: num(r.OverallRating),
+      frontal_driver: num(r.FrontCrashDriversideRating),
+      frontal_passenger: num(r.FrontCrashPassengersideRating),
+      side_driver: num(r.SideCrashDriversideRating),
+      side_passenger: num(r.SideCrashPassengersideRating),
+      rollover: num(r.RolloverRating),
+      side_pole: num(r.SidePoleCrashRating),
+    };
+    return variant;
+  });
+}
+
+/**
+ * Score an NCAP VehicleDescription (e.g. "2020 Ford F-150 SuperCrew 4WD")
+ * against the decoded vehicle. Drive type, body style and cab type are worth
+ * the most; trim/series words appearing in the description add a little.
+ *
+ * @param {string} description - NCAP VehicleDescription
+ * @param {object} decoded - parseDecodedResult() output
+ * @returns {object} { score, possible, reasons }
+ */
+export function scoreNcapVariant(description, decoded) {
+  const v = decoded?.vehicle || {};
+  const t = decoded?.transmission || {};
+  const reasons = [];
+  let score = 0;
+  let possible = 0;
+
+  const drive = drivesCompatible(driveClass(t.drive_type), driveClass(description));
+  if (drive !== null) {
+    possible += 3;
+    if (drive === true) { score += 3; reasons.push(`drive type matches (${driveClass(description)})`); }
+    else if (drive === 'partial') { score += 1.5; reasons.push(`drive type close (${driveClass(t.drive_type)} vs ${driveClass(description)})`); }
+    else { score -= 3; reasons.push(`drive type differs (${driveClass(t.drive_type)} vs ${driveClass(description)})`); }
+  }
+
+  const wantBody = bodyClass(v.body_class);
+  const gotBody = bodyClass(description);
+  if (wantBody && gotBody) {
+    possible += 2;
+    if (wantBody === gotBody) { score += 2; reasons.push(`body style matches (${gotBody})`); }
+    else { score -= 2; reasons.push(`body style differs (${wantBody} vs ${gotBody})`); }
+  }
+
+  const wantCab = cabClass(v.cab_type);
+  const gotCab = cabClass(description);
+  if (wantCab && gotCab) {
+    possible += 2;
+    if (wantCab === gotCab) { score += 2; reasons.push(`cab type matches (${gotCab})`); }
+    else { score -= 2; reasons.push(`cab type differs (${wantCab} vs ${gotCab})`); }
+  }
+
+  const descTokens = new Set(tokens(description));
+  const trimTokens = [...new Set([...tokens(v.trim), ...tokens(v.series)])].filter(w => w.length > 1);
+  if (trimTokens.length > 0) {
+    possible += 1;
+    const hits = trimTokens.filter(w => descTokens.has(w));
+    if (hits.length > 0) {
+      score += Math.min(1, hits.length / trimTokens.length + 0.5);
+      reasons.push(`trim/series words matched: ${hits.join(', ')}`);
+    }
+  }
+
+  return { score, possible, reasons };
+}
+
 /**
  * Get NCAP safety ratings for a specific vehicle.
- * Two-step: first find vehicle variants, then fetch details.
+ * Two-step: first find vehicle variants, then fetch details for all of them
+ * in parallel. When the decoded vehicle is given, every variant is scored
+ * against its body class, drive type, cab type and trim, and the best match
+ * becomes the primary rating (reported in `match` with a 0-1 confidence).
+ * `status` is 'ok' when NCAP answered (`rated: false` then means the vehicle
+ * genuinely has no ratings), otherwise 'unavailable' or 'error'.
  * @param {string} make
  * @param {string} model
  * @param {number|string} year
+ * @param {object} [decoded] - parseDecodedResult() output for variant matching
  * @returns {object} Safety ratings
  */
-export async function getSafetyRatings(make, model, year) {
-  const empty = {
+export async function getSafetyRatings(make, model, year, decoded = null) {
+  const empty = (status = 'ok', error = null) => ({
+    status,
+    ...(error ? { error } : {}),
     rated: false,
     overall: null,
     frontal_driver: null,
@@ -315,66 +635,45 @@ export async function getSafetyRatings(make, model, year) {
     side_passenger: null,
     rollover: null,
     side_pole: null,
+    match: null,
     variants: [],
-  };
+  });
 
   try {
     // Step 1: Find vehicle variants
-    const listUrl = `${SAFETY_BASE}/modelyear/${encodeURIComponent(year)}/make/${encodeURIComponent(make)}/model/${encodeURIComponent(model)}?format=json`;
-    const listRes = await fetch(listUrl, { signal: timeoutSignal() });
-
-    if (!listRes.ok) {
-      console.error(`[nhtsa] getSafetyRatings list HTTP ${listRes.status}`);
-      return empty;
-    }
-
-    const listData = await listRes.json();
-    const variants = listData?.Results || [];
-
+    const variants = await getNcapVariants(make, model, year);
     if (variants.length === 0) {
-      return empty;
+      return empty();
     }
 
-    // Step 2: Fetch details for each variant
-    const detailedVariants = [];
-    for (const variant of variants) {
-      const vehicleId = variant.VehicleId;
-      if (!vehicleId) continue;
-
-      try {
-        const detailUrl = `${SAFETY_BASE}/VehicleId/${vehicleId}?format=json`;
-        const detailRes = await fetch(detailUrl, { signal: timeoutSignal() });
-
-        if (!detailRes.ok) continue;
-
-        const detailData = await detailRes.json();
-        const r = detailData?.Results?.[0];
-        if (!r) continue;
-
-        detailedVariants.push({
-          vehicle_id: vehicleId,
-          description: clean(r.VehicleDescription),
-          overall: num(r.OverallRating),
-          frontal_driver: num(r.FrontCrashDriversideRating),
-          frontal_passenger: num(r.FrontCrashPassengersideRating),
-          side_driver: num(r.SideCrashDriversideRating),
-          side_passenger: num(r.SideCrashPassengersideRating),
-          rollover: num(r.RolloverRating),
-          side_pole: num(r.SidePoleCrashRating),
-        });
-      } catch (innerErr) {
-        console.error(`[nhtsa] getSafetyRatings detail error for ${vehicleId}:`, innerErr.message);
-      }
-    }
+    // Step 2: Fetch details for every variant in parallel
+    let detailError = null;
+    const details = await Promise.all(variants.map(v =>
+      getNcapVariant(v.vehicle_id).catch(err => {
+        detailError = err;
+        console.error(`[nhtsa] getSafetyRatings detail error for ${v.vehicle_id}:`, err.message);
+        return null;
+      })
+    ));
+    const detailedVariants = details.filter(Boolean);
 
     if (detailedVariants.length === 0) {
-      return empty;
+      // Variants exist but none could be fetched: that is a failure, not "unrated"
+      return detailError ? empty(errorStatus(detailError), detailError.message) : empty();
     }
 
-    // Use the first variant's ratings as the primary result
-    const primary = detailedVariants[0];
+    // Step 3: Rank variants against the decoded vehicle (stable for ties)
+    const scored = detailedVariants.map((variant, i) => {
+      const { score, possible, reasons } = scoreNcapVariant(variant.description, decoded);
+      return { variant, score, possible, reasons, i };
+    }).sort((a, b) => b.score - a.score || a.i - b.i);
+
+    const best = scored[0];
+    const runnerUp = scored.length > 1 ? scored[1].score : null;
+    const primary = best.variant;
 
     return {
+      status: 'ok',
       rated: true,
       overall: primary.overall,
       frontal_driver: primary.frontal_driver,
@@ -383,10 +682,16 @@ export async function getSafetyRatings(make, model, year) {
       side_passenger: primary.side_passenger,
       rollover: primary.rollover,
       side_pole: primary.side_pole,
-      variants: detailedVariants,
+      match: {
+        vehicle_id: primary.vehicle_id,
+        description: primary.description,
+        confidence: scored.length === 1 ? 1 : confidence(best.score, best.possible, runnerUp),
+        reasons: scored.length === 1 ? ['only rated variant'] : best.reasons,
+      },
+      variants: scored.map(s => ({ ...s.variant, match_score: s.score })),
     };
   } catch (err) {
     console.error(`[nhtsa] getSafetyRatings error:`, err.message);
-    return empty;
+    return empty(errorStatus(err), err.message);
   }
 }
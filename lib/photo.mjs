@@ -4,7 +4,9 @@
  * Docs: https://www.imagin.studio/
  */
 
-const CDN_BASE = 'https://cdn.imagin.studio/getImage';
+import { UPSTREAM_BASES } from './provider.mjs';
+
+const CDN_BASE = UPSTREAM_BASES.imagin;
 
 /**
  * Standard angle mappings for IMAGIN.studio.
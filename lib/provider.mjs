@@ -0,0 +1,353 @@
+/**
+ * Upstream provider layer.
+ * Every outbound request to NHTSA, EPA and IMAGIN goes through this module so
+ * base URLs can be repointed and responses recorded to / replayed from disk.
+ *
+ * UPSTREAM_MODE:
+ *   live   - plain fetch (default)
+ *   record - fetch, then save each raw response as a fixture file
+ *   replay - serve responses from fixture files only; no network access
+ *
+ * UPSTREAM_FIXTURES sets the fixture directory (default: fixtures/).
+ *
+ * Live requests are retried with jittered exponential backoff and guarded by a
+ * per-host circuit breaker, so a degraded source fails fast with an
+ * UpstreamError instead of stalling every report:
+ *   UPSTREAM_TIMEOUT_MS       per-attempt timeout (default 10000)
+ *   UPSTREAM_RETRIES          retries after the first attempt (default 2)
+ *   UPSTREAM_BACKOFF_MS       base backoff delay (default 250)
+ *   UPSTREAM_BACKOFF_MAX_MS   backoff cap (default 4000)
+ *   BREAKER_THRESHOLD         consecutive failed calls that open a host's breaker (default 5)
+ *   BREAKER_COOLDOWN_MS       how long an open breaker rejects calls (default 30000)
+ *
+ * withUpstreamSignal() ties every upstream call made inside a piece of work
+ * to one AbortSignal, so a caller that goes away (e.g. a disconnected
+ * streaming client) cancels its outstanding fetches without the signal being
+ * passed through each source module.
+ */
+
+import crypto from 'node:crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { setMaxListeners } from 'node:events';
+import path from 'node:path';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MODES = new Set(['live', 'record', 'replay']);
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const TIMEOUT_MS = envInt('UPSTREAM_TIMEOUT_MS', 10_000);
+const RETRIES = envInt('UPSTREAM_RETRIES', 2);
+const BACKOFF_MS = envInt('UPSTREAM_BACKOFF_MS', 250);
+const BACKOFF_MAX_MS = envInt('UPSTREAM_BACKOFF_MAX_MS', 4000);
+const BREAKER_THRESHOLD = envInt('BREAKER_THRESHOLD', 5);
+const BREAKER_COOLDOWN_MS = envInt('BREAKER_COOLDOWN_MS', 30_000);
+
+export const UPSTREAM_MODE = MODES.has(process.env.UPSTREAM_MODE) ? process.env.UPSTREAM_MODE : 'live';
+export const FIXTURE_DIR = process.env.UPSTREAM_FIXTURES || path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Base URLs for each upstream source (overridable for mirrors / mock servers).
+ */
+export const UPSTREAM_BASES = {
+  vpic: process.env.VPIC_BASE_URL || 'https://vpic.nhtsa.dot.gov/api/vehicles',
+  nhtsa: process.env.NHTSA_BASE_URL || 'https://api.nhtsa.gov',
+  epa: process.env.EPA_BASE_URL || 'https://fueleconomy.gov/ws/rest/vehicle',
+  imagin: process.env.IMAGIN_BASE_URL || 'https://cdn.imagin.studio/getImage',
+};
+
+const callerSignal = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `signal` as the default signal of every upstreamFetch() it
+ * makes, directly or through nested async calls.
+ * @param {AbortSignal} signal
+ * @param {Function} fn
+ * @returns {*} Whatever `fn` returns
+ */
+export function withUpstreamSignal(signal, fn) {
+  // Each in-flight fetch listens on the signal; a full report runs a dozen at once
+  setMaxListeners(0, signal);
+  return callerSignal.run(signal, fn);
+}
+
+/**
+ * The signal set by the innermost withUpstreamSignal() around the caller, if any.
+ * @returns {AbortSignal|undefined}
+ */
+export function currentUpstreamSignal() {
+  return callerSignal.getStore();
+}
+
+/**
+ * Error thrown for upstream failures.
+ * `kind` is 'unavailable' when the source could not be reached (network
+ * error, timeout, 5xx/429 after retries, open circuit breaker, missing replay
+ * fixture) and 'error' when it answered with something unusable.
+ */
+export class UpstreamError extends Error {
+  constructor(message, { kind = 'unavailable', host = null, status = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.kind = kind;
+    this.host = host;
+    this.status = status;
+  }
+}
+
+/**
+ * Map any error thrown while talking to a source to a section status.
+ */
+export function errorStatus(err) {
+  return err instanceof UpstreamError ? err.kind : 'error';
+}
+
+// ---------------------------------------------------------------------------
+// Circuit breaker (per host)
+// closed -> open after BREAKER_THRESHOLD consecutive failed calls;
+// open -> half-open after BREAKER_COOLDOWN_MS, letting one trial call through;
+// half-open -> closed on success, back to open on failure. A trial the caller
+// aborts proves nothing either way, so it frees the slot for the next call.
+// ---------------------------------------------------------------------------
+
+const breakers = new Map(); // host -> { state, failures, opened_at, trial }
+
+function breakerFor(host) {
+  let b = breakers.get(host);
+  if (!b) {
+    b = { state: 'closed', failures: 0, opened_at: null, trial: false };
+    breakers.set(host, b);
+  }
+  return b;
+}
+
+function breakerAllows(b) {
+  if (b.state === 'closed') return true;
+  if (b.state === 'open' && Date.now() - b.opened_at >= BREAKER_COOLDOWN_MS) {
+    b.state = 'half-open';
+    b.trial = false;
+  }
+  if (b.state === 'half-open' && !b.trial) {
+    b.trial = true;
+    return true;
+  }
+  return false;
+}
+
+function breakerSuccess(b) {
+  b.state = 'closed';
+  b.failures = 0;
+  b.opened_at = null;
+  b.trial = false;
+}
+
+function breakerAbandon(b) {
+  if (b.state === 'half-open') b.trial = false;
+}
+
+function breakerFailure(b, host) {
+  b.failures++;
+  if (b.state === 'half-open' || b.failures >= BREAKER_THRESHOLD) {
+    if (b.state !== 'open') console.error(`[provider] circuit open for ${host} after ${b.failures} failure(s)`);
+    b.state = 'open';
+    b.opened_at = Date.now();
+    b.trial = false;
+  }
+}
+
+/**
+ * Breaker state for every upstream host seen so far.
+ */
+export function upstreamHealth() {
+  const out = {};
+  for (const [host, b] of breakers) {
+    out[host] = {
+      state: b.state,
+      consecutive_failures: b.failures,
+      opened_at: b.opened_at ? new Date(b.opened_at).toISOString() : null,
+    };
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Retry helpers
+// ---------------------------------------------------------------------------
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Full-jitter exponential backoff, honoring Retry-After when given.
+ */
+function backoffDelay(attempt, retryAfter) {
+  const seconds = retryAfter ? Number(retryAfter) : NaN;
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.min(seconds * 1000, BACKOFF_MAX_MS);
+  const cap = Math.min(BACKOFF_MAX_MS, BACKOFF_MS * 2 ** attempt);
+  return Math.floor(Math.random() * cap);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => { clearTimeout(timer); reject(signal.reason); };
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Per-attempt signal: aborts on the attempt timeout or the caller's signal.
+ * `release()` detaches it from the caller's signal once the attempt has an
+ * answer; one caller signal can outlive many fetches (see withUpstreamSignal).
+ */
+function attemptSignal(callerSignal, timeout) {
+  const timeoutSignal = AbortSignal.timeout(timeout);
+  if (!callerSignal) return { signal: timeoutSignal, release() {} };
+  const controller = new AbortController();
+  const onCaller = () => controller.abort(callerSignal.reason);
+  if (callerSignal.aborted) onCaller();
+  else callerSignal.addEventListener('abort', onCaller, { once: true });
+  timeoutSignal.addEventListener('abort', () => controller.abort(timeoutSignal.reason), { once: true });
+  return { signal: controller.signal, release: () => callerSignal.removeEventListener('abort', onCaller) };
+}
+
+/**
+ * Stable fixture path for a request: <dir>/<host>/<sha256(method url body)>.json
+ */
+function fixturePath(url, init) {
+  const method = (init.method || 'GET').toUpperCase();
+  const body = typeof init.body === 'string' ? init.body : '';
+  const hash = crypto.createHash('sha256').update(`${method} ${url}\n${body}`).digest('hex').slice(0, 24);
+  const host = new URL(url).host.replace(/[^a-z0-9.-]/gi, '_');
+  return path.join(FIXTURE_DIR, host, `${hash}.json`);
+}
+
+/**
+ * Save a raw upstream response as a fixture. JSON bodies are stored parsed so
+ * fixture files stay readable and diffable.
+ */
+async function recordFixture(url, init, res) {
+  const text = await res.clone().text();
+  const contentType = res.headers.get('content-type') || '';
+  let json;
+  if (contentType.includes('json')) {
+    try { json = JSON.parse(text); } catch {}
+  }
+
+  const fixture = {
+    request: { method: (init.method || 'GET').toUpperCase(), url, body: typeof init.body === 'string' ? init.body : null },
+    response: {
+      status: res.status,
+      content_type: contentType,
+      ...(json !== undefined ? { json } : { text }),
+    },
+    recorded_at: new Date().toISOString(),
+  };
+
+  const file = fixturePath(url, init);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n');
+}
+
+/**
+ * Build a Response from a recorded fixture, or throw if none was recorded.
+ */
+function replayFixture(url, init) {
+  const file = fixturePath(url, init);
+  if (!fs.existsSync(file)) {
+    throw new UpstreamError(`No recorded fixture for ${(init.method || 'GET').toUpperCase()} ${url}`, { host: new URL(url).host });
+  }
+  const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const body = response.json !== undefined ? JSON.stringify(response.json) : response.text;
+  return new Response(body, {
+    status: response.status,
+    headers: response.content_type ? { 'Content-Type': response.content_type } : {},
+  });
+}
+
+/**
+ * fetch() replacement used for all upstream calls.
+ *
+ * Resolves with the Response for 2xx/3xx/4xx answers (callers decide what a
+ * 4xx means). Network errors, timeouts and 429/5xx answers are retried; once
+ * retries are exhausted, or while the host's breaker is open, it rejects with
+ * an UpstreamError of kind 'unavailable'. A caller-supplied `signal` (by
+ * default the one set by withUpstreamSignal) aborts immediately without
+ * retrying, and does not count against the host's breaker.
+ *
+ * @param {string} url - Absolute upstream URL
+ * @param {object} [init] - fetch options (method, headers, body, signal)
+ * @param {number} [init.timeout] - Per-attempt timeout in ms
+ * @returns {Promise<Response>}
+ */
+export async function upstreamFetch(url, init = {}) {
+  if (UPSTREAM_MODE === 'replay') return replayFixture(url, init);
+
+  const { timeout = TIMEOUT_MS, signal = callerSignal.getStore(), ...fetchInit } = init;
+  const host = new URL(url).host;
+  const breaker = breakerFor(host);
+
+  if (!breakerAllows(breaker)) {
+    throw new UpstreamError(`Circuit open for ${host}`, { host });
+  }
+  const trial = breaker.state === 'half-open';
+
+  try {
+    return await attempts(url, init, fetchInit, { host, breaker, signal, timeout });
+  } catch (err) {
+    // Aborted by the caller: neither a success nor a failure of the host
+    if (trial && signal?.aborted) breakerAbandon(breaker);
+    throw err;
+  }
+}
+
+async function attempts(url, init, fetchInit, { host, breaker, signal, timeout }) {
+  let lastError = null;
+  for (let attempt = 0; attempt <= RETRIES; attempt++) {
+    if (signal?.aborted) throw signal.reason;
+
+    let res;
+    const { signal: fetchSignal, release } = attemptSignal(signal, timeout);
+    try {
+      res = await fetch(url, { ...fetchInit, signal: fetchSignal });
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason;
+      lastError = new UpstreamError(`${host}: ${err.name === 'TimeoutError' ? `timed out after ${timeout}ms` : err.message}`, { host });
+    } finally {
+      release();
+    }
+
+    if (res && !isRetryableStatus(res.status)) {
+      breakerSuccess(breaker);
+      if (UPSTREAM_MODE === 'record') {
+        try {
+          await recordFixture(url, init, res);
+        } catch (err) {
+          console.error(`[provider] failed to record fixture for ${url}:`, err.message);
+        }
+      }
+      return res;
+    }
+
+    if (res) {
+      lastError = new UpstreamError(`${host}: HTTP ${res.status}`, { host, status: res.status });
+    }
+
+    if (attempt < RETRIES) {
+      const delay = backoffDelay(attempt, res?.headers.get('retry-after'));
+      console.error(`[provider] ${lastError.message} — retry ${attempt + 1}/${RETRIES} in ${delay}ms`);
+      await sleep(delay, signal);
+    }
+  }
+
+  breakerFailure(breaker, host);
+  throw lastError;
+}
@@ -0,0 +1,193 @@
+// Spreadsheet Decoding
+// Takes an uploaded CSV with a VIN column and returns the same file - every
+// original column, row and the delimiter kept - with decoded columns appended.
+// XLSX workbooks go through the same path: the first worksheet's values come
+// back as a one-sheet workbook.
+//
+// Columns from the vPIC decode (year, make, model, trim, engine, drive) come
+// from batchDecode. Recall, complaint, fuel economy and NCAP columns need the
+// full report, which costs several upstream calls per VIN, so full reports are
+// only built when one of those columns is asked for. Each distinct VIN is
+// decoded once however often it appears.
+
+import { validateVin } from './validate.mjs';
+import { batchDecode } from './nhtsa.mjs';
+import { parseCsv, detectDelimiter, csvRow } from './csv.mjs';
+import { findVinColumn } from './bulk.mjs';
+import { readXlsx, writeXlsx } from './xlsx.mjs';
+
+export const MAX_SHEET_ROWS = 1000;
+const REPORT_CONCURRENCY = 3;
+
+function engineSummary(engine) {
+  if (!engine) return null;
+  const parts = [
+    engine.displacement_l ? `${Math.round(engine.displacement_l * 10) / 10}L` : null,
+    engine.cylinders ? `${engine.cylinders}-cyl` : null,
+    engine.hp ? `${engine.hp} hp` : null,
+    engine.fuel_type,
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : null;
+}
+
+// Upstream sections that failed are left blank rather than reported as zero
+function okValue(section, value) {
+  return section?.status === 'ok' ? value : null;
+}
+
+// `source` is what a column needs: the decode, the full report or neither.
+// NHTSA lists recall campaigns per make, model and year, not per VIN, so the
+// recall count is every campaign for the model year, remedied or not.
+// `preference` is the output_preferences flag that includes it by default.
+export const SHEET_COLUMNS = [
+  { key: 'year', header: 'Year', source: 'decode', preference: 'show_overview', value: d => d.vehicle?.year },
+  { key: 'make', header: 'Make', source: 'decode', preference: 'show_overview', value: d => d.vehicle?.make },
+  { key: 'model', header: 'Model', source: 'decode', preference: 'show_overview', value: d => d.vehicle?.model },
+  { key: 'trim', header: 'Trim', source: 'decode', preference: 'show_overview', value: d => d.vehicle?.trim },
+  { key: 'engine', header: 'Engine', source: 'decode', preference: 'show_engine', value: d => engineSummary(d.engine) },
+  { key: 'drive', header: 'Drive', source: 'decode', preference: 'show_engine', value: d => d.transmission?.drive_type },
+  { key: 'mpg', header: 'MPG (combined)', source: 'report', preference: 'show_fuel_economy', value: r => okValue(r.fuel_economy, r.fuel_economy?.combined_mpg) },
+  { key: 'recalls', header: 'Recalls (model year)', source: 'report', preference: 'show_recalls', value: r => okValue(r.recalls, r.recalls?.count) },
+  { key: 'complaints', header: 'Complaints', source: 'report', preference: 'show_complaints', value: r => okValue(r.complaints, r.complaints?.count) },
+  { key: 'ncap_overall', header: 'NCAP overall', source: 'report', preference: 'show_safety_ratings', value: r => okValue(r.safety_ratings, r.safety_ratings?.overall) },
+  { key: 'validation_errors', header: 'Validation errors', source: null, preference: null, value: () => null },
+];
+const COLUMN_KEYS = SHEET_COLUMNS.map(c => c.key);
+
+// ---------------------------------------------------------------------------
+// sheetColumns({ columns, preferences })
+// Explicit `columns` (keys) win; otherwise a saved output_preferences row
+// picks them (validation errors are always included); with neither, every
+// column. Returns { columns } or { error }.
+// ---------------------------------------------------------------------------
+export function sheetColumns({ columns, preferences } = {}) {
+  if (columns !== undefined) {
+    const keys = Array.isArray(columns) ? columns : String(columns).split(',').map(k => k.trim()).filter(Boolean);
+    const unknown = keys.filter(k => !COLUMN_KEYS.includes(k));
+    if (keys.length === 0 || unknown.length > 0) {
+      return { error: `columns must be a comma-separated list of: ${COLUMN_KEYS.join(', ')}` };
+    }
+    return { columns: SHEET_COLUMNS.filter(c => keys.includes(c.key)) };
+  }
+  if (!preferences) return { columns: SHEET_COLUMNS };
+  return { columns: SHEET_COLUMNS.filter(c => c.preference === null || preferences[c.preference]) };
+}
+
+async function fullReports(vins, fullReport, mode) {
+  const reports = new Map();
+  let next = 0;
+  const worker = async () => {
+    while (next < vins.length) {
+      const vin = vins[next++];
+      try {
+        reports.set(vin, await fullReport(vin, { mode }));
+      } catch (err) {
+        reports.set(vin, { valid: true, vin, error: err.message });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: REPORT_CONCURRENCY }, worker));
+  return reports;
+}
+
+// ---------------------------------------------------------------------------
+// appendColumns(rows, { columns, column, mode, fullReport })
+// The parsed sheet with `columns` appended to the header and every row.
+// Returns { rows, stats } or { error }.
+// ---------------------------------------------------------------------------
+async function appendColumns(rows, { columns, column, mode, fullReport }) {
+  const found = findVinColumn(rows[0].map(String), column);
+  if (found.error) return found;
+  const hasHeader = found.index !== -1;
+  const index = hasHeader ? found.index : 0;
+  const body = hasHeader ? rows.slice(1) : rows;
+  if (body.length > MAX_SHEET_ROWS) {
+    return { error: `Too many rows: ${body.length} (max ${MAX_SHEET_ROWS.toLocaleString('en-US')}; use /api/jobs for larger files)` };
+  }
+
+  // Validate every row; decode each distinct valid VIN once
+  const checks = body.map(fields => {
+    const input = String(fields[index] ?? '').trim();
+    return input ? validateVin(input, { mode }) : null;
+  });
+  const vins = [...new Set(checks.filter(v => v?.valid).map(v => v.vin))];
+
+  const needsReport = columns.some(c => c.source === 'report');
+  const sources = new Map(); // VIN -> { data, error }
+  if (needsReport) {
+    for (const [vin, report] of await fullReports(vins, fullReport, mode)) {
+      sources.set(vin, { data: report, error: report.error || null });
+    }
+  } else if (columns.some(c => c.source === 'decode')) {
+    for (const d of await batchDecode(vins)) {
+      sources.set(d.vin, { data: d.decoded, error: d.status === 'ok' ? null : d.error });
+    }
+  }
+
+  const width = Math.max(...rows.map(r => r.length));
+  const pad = fields => [...fields, ...Array(width - fields.length).fill('')];
+  const stats = { rows: body.length, valid: 0, invalid: 0, empty: 0, decoded: 0, failed: 0 };
+
+  const out = hasHeader ? [[...pad(rows[0]), ...columns.map(c => c.header)]] : [];
+  body.forEach((fields, i) => {
+    const check = checks[i];
+    const source = check?.valid ? sources.get(check.vin) : null;
+    let errors = null;
+    if (!check) {
+      stats.empty++;
+    } else if (!check.valid) {
+      stats.invalid++;
+      errors = check.errors.join('; ') || 'Not a 17-character VIN';
+    } else {
+      stats.valid++;
+      if (source?.error || (source && !source.data)) {
+        stats.failed++;
+        errors = `Decode failed: ${source.error || 'no result'}`;
+      } else if (source) {
+        stats.decoded++;
+      }
+    }
+
+    const values = columns.map(c => {
+      if (c.key === 'validation_errors') return errors;
+      return source?.data && !source.error ? c.value(source.data) ?? null : null;
+    });
+    out.push([...pad(fields), ...values]);
+  });
+
+  return { rows: out, stats };
+}
+
+// ---------------------------------------------------------------------------
+// decodeSpreadsheet(text, { columns, column, mode, fullReport })
+// `columns` is the list from sheetColumns(). `column` names the VIN column
+// (default: the first header containing "vin", or the first column of a file
+// without a header). `fullReport(vin, { mode })` builds report columns.
+// Returns { csv, stats } or { error }.
+// ---------------------------------------------------------------------------
+export async function decodeSpreadsheet(text, { columns = SHEET_COLUMNS, column, mode, fullReport } = {}) {
+  if (typeof text !== 'string') return { error: 'Expected a CSV body' };
+  const bom = text.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const delimiter = detectDelimiter(text.slice(bom.length).split(/\r?\n/, 1)[0]);
+  const rows = parseCsv(text, { delimiter });
+  if (rows.length === 0) return { error: 'The CSV is empty' };
+
+  const result = await appendColumns(rows, { columns, column, mode, fullReport });
+  if (result.error) return result;
+  return { csv: bom + result.rows.map(r => csvRow(r, delimiter)).join(''), stats: result.stats };
+}
+
+// ---------------------------------------------------------------------------
+// decodeWorkbook(buffer, options)
+// decodeSpreadsheet() for an .xlsx upload: decodes the first worksheet and
+// returns it as a one-sheet workbook. Returns { xlsx, stats } or { error }.
+// ---------------------------------------------------------------------------
+export async function decodeWorkbook(buffer, { columns = SHEET_COLUMNS, column, mode, fullReport } = {}) {
+  const sheet = readXlsx(buffer);
+  if (sheet.error) return sheet;
+  if (sheet.rows.length === 0) return { error: 'The worksheet is empty' };
+
+  const result = await appendColumns(sheet.rows, { columns, column, mode, fullReport });
+  if (result.error) return result;
+  return { xlsx: writeXlsx(result.rows, { sheet: sheet.sheet ?? undefined }), stats: result.stats };
+}
@@ -0,0 +1,171 @@
+// VIN Correction Suggestions
+// Proposes the VINs a mistyped or mis-scanned VIN was most likely meant to be.
+// All computation is local - no external API calls.
+//
+// Candidates are single-character substitutions and adjacent transpositions
+// (plus the mandatory I/O/Q replacements) that yield a valid check digit, a
+// known WMI and a legal model-year code. They are ranked by how plausible the
+// edit is: OCR/handwriting confusions first, then transpositions, a wrong
+// check digit, keyboard-neighbour typos and finally arbitrary substitutions.
+
+import { normalizeVin, validateVin, checkDigit, knownWmi, isYearCode, VIN_CHARS } from './validate.mjs';
+
+// ---------------------------------------------------------------------------
+// Characters commonly confused by OCR and by people reading stamped plates.
+// I, O and Q never appear in a VIN, so they only map one way.
+// ---------------------------------------------------------------------------
+const CONFUSIONS = {
+  I: ['1'], O: ['0'], Q: ['0'],
+  S: ['5'], 5: ['S'],
+  B: ['8'], 8: ['B'],
+  Z: ['2'], 2: ['Z'],
+  G: ['6'], 6: ['G'],
+  D: ['0'], 0: ['D'],
+  L: ['1'], 1: ['L'],
+  U: ['V'], V: ['U'],
+};
+
+// ---------------------------------------------------------------------------
+// QWERTY neighbours, for fat-finger typos
+// ---------------------------------------------------------------------------
+const KEY_ROWS = ['1234567890', 'QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'];
+
+function buildNeighbours() {
+  const map = {};
+  KEY_ROWS.forEach((row, r) => {
+    for (let c = 0; c < row.length; c++) {
+      const near = new Set();
+      for (const [dr, dc] of [[0, -1], [0, 1], [-1, 0], [-1, 1], [1, 0], [1, -1]]) {
+        const ch = KEY_ROWS[r + dr]?.[c + dc];
+        if (ch) near.add(ch);
+      }
+      map[row[c]] = near;
+    }
+  });
+  return map;
+}
+
+const NEIGHBOURS = buildNeighbours();
+
+// ---------------------------------------------------------------------------
+// Edit costs (lower = more plausible)
+// ---------------------------------------------------------------------------
+const COST = {
+  ocr: 1,
+  transposition: 1.5,
+  check_digit: 2,
+  keyboard: 2.5,
+  typo: 4,
+};
+
+const MAX_LIMIT = 50;
+
+function substitutionKind(position, from, to) {
+  if (CONFUSIONS[from]?.includes(to)) return 'ocr';
+  if (position === 9) return 'check_digit';
+  if (NEIGHBOURS[from]?.has(to)) return 'keyboard';
+  return 'typo';
+}
+
+// A candidate is acceptable if it has a valid check digit, a known WMI and
+// a legal model-year code
+function acceptable(vin) {
+  return checkDigit(vin) === vin[8] && knownWmi(vin.slice(0, 3)) !== null && isYearCode(vin[9]);
+}
+
+// ---------------------------------------------------------------------------
+// replaceIllegal(vin)
+// Replace every I/O/Q with its digit look-alike. Returns the fixed VIN and the
+// changes made (these are mandatory, so they apply to every candidate).
+// ---------------------------------------------------------------------------
+function replaceIllegal(vin) {
+  const changes = [];
+  const chars = [...vin].map((ch, i) => {
+    if (ch !== 'I' && ch !== 'O' && ch !== 'Q') return ch;
+    const to = CONFUSIONS[ch][0];
+    changes.push({ position: i + 1, from: ch, to, kind: 'ocr' });
+    return to;
+  });
+  return { vin: chars.join(''), changes };
+}
+
+// ---------------------------------------------------------------------------
+// suggestCorrections(vin, { limit })
+// Ranked list of plausible intended VINs for a VIN that fails validation.
+// ---------------------------------------------------------------------------
+export function suggestCorrections(vin, { limit = 10 } = {}) {
+  const normalized = normalizeVin(vin);
+  const validation = validateVin(normalized);
+  const max = Math.min(Math.max(1, limit), MAX_LIMIT);
+
+  if (validation.valid) {
+    return { vin: normalized, valid: true, suggestions: [], note: 'VIN is already valid' };
+  }
+  if (normalized.length !== 17) {
+    return { vin: normalized, valid: false, suggestions: [], note: 'Corrections are only suggested for 17-character VINs' };
+  }
+  if ([...normalized].some(ch => !(ch in CONFUSIONS) && !VIN_CHARS.includes(ch))) {
+    return { vin: normalized, valid: false, suggestions: [], note: 'VIN contains characters that cannot be corrected' };
+  }
+
+  const base = replaceIllegal(normalized);
+  const found = new Map(); // vin -> { changes, cost }
+
+  const consider = (candidate, extra) => {
+    if (!acceptable(candidate)) return;
+    const changes = [...base.changes, ...extra];
+    const cost = changes.reduce((sum, c) => sum + COST[c.kind], 0);
+    const prev = found.get(candidate);
+    if (!prev || cost < prev.cost) found.set(candidate, { changes, cost });
+  };
+
+  // The mandatory I/O/Q replacements alone may already fix it
+  if (base.changes.length > 0) consider(base.vin, []);
+
+  const chars = [...base.vin];
+  const replaced = new Set(base.changes.map(c => c.position - 1));
+  for (let i = 0; i < 17; i++) {
+    const from = chars[i];
+    if (replaced.has(i)) continue;
+
+    // Single-character substitutions
+    for (const to of VIN_CHARS) {
+      if (to === from) continue;
+      const next = [...chars];
+      next[i] = to;
+      consider(next.join(''), [{ position: i + 1, from, to, kind: substitutionKind(i + 1, from, to) }]);
+    }
+
+    // Adjacent transpositions
+    if (i < 16 && chars[i + 1] !== from) {
+      const next = [...chars];
+      [next[i], next[i + 1]] = [next[i + 1], next[i]];
+      consider(next.join(''), [{ position: i + 1, from: `${from}${chars[i + 1]}`, to: `${chars[i + 1]}${from}`, kind: 'transposition' }]);
+    }
+  }
+
+  // Rank by cost; turn costs into relative likelihoods that sum to 1
+  const ranked = [...found.entries()]
+    .map(([candidate, { changes, cost }]) => ({ vin: candidate, changes, cost }))
+    .sort((a, b) => a.cost - b.cost || a.vin.localeCompare(b.vin));
+  const total = ranked.reduce((sum, r) => sum + Math.exp(-r.cost), 0);
+
+  const suggestions = ranked.slice(0, max).map(r => {
+    const v = validateVin(r.vin);
+    return {
+      vin: r.vin,
+      confidence: Math.round((Math.exp(-r.cost) / total) * 1000) / 1000,
+      changes: r.changes,
+      manufacturer: v.wmi.manufacturer,
+      possible_years: v.year.possible_years,
+    };
+  });
+
+  return {
+    vin: normalized,
+    valid: false,
+    errors: validation.errors,
+    candidates_found: ranked.length,
+    suggestions,
+  };
+}
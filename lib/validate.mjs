@@ -1,11 +1,15 @@
 // VIN Validation Module
 // All computation is local - no external API calls.
 
+import { decodeLegacyVin } from './legacy.mjs';
+import { countryFor, manufacturerFor } from './wmi.mjs';
+import { decodeVds } from './vds/index.mjs';
+
 // ---------------------------------------------------------------------------
 // Transliteration table  (VIN characters -> numeric values)
 // I, O, Q are illegal and intentionally omitted.
 // ---------------------------------------------------------------------------
-const TRANSLITERATION = {
+export const TRANSLITERATION = {
   A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
   J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
   S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9,
@@ -15,7 +19,7 @@ const TRANSLITERATION = {
 // ---------------------------------------------------------------------------
 // Position weights for checksum calculation (positions 1-17)
 // ---------------------------------------------------------------------------
-const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+export const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
 
 // ---------------------------------------------------------------------------
 // Illegal characters in a VIN
@@ -49,278 +53,6 @@ function buildYearMap() {
 
 const YEAR_MAP = buildYearMap();
 
-// ---------------------------------------------------------------------------
-// Country codes  (first character of VIN -> country / region)
-// ---------------------------------------------------------------------------
-const COUNTRY_MAP = {
-  '1': { country: 'United States', region: 'North America' },
-  '2': { country: 'Canada', region: 'North America' },
-  '3': { country: 'Mexico', region: 'North America' },
-  '4': { country: 'United States', region: 'North America' },
-  '5': { country: 'United States', region: 'North America' },
-  '6': { country: 'Australia', region: 'Oceania' },
-  '7': { country: 'New Zealand', region: 'Oceania' },
-  '8': { country: 'Argentina', region: 'South America' },
-  '9': { country: 'Brazil', region: 'South America' },
-  A: { country: 'South Africa', region: 'Africa' },
-  B: { country: 'Angola', region: 'Africa' },
-  C: { country: 'Benin', region: 'Africa' },
-  D: { country: 'Egypt', region: 'Africa' },
-  E: { country: 'Ethiopia', region: 'Africa' },
-  F: { country: 'Ghana', region: 'Africa' },
-  G: { country: 'Ghana', region: 'Africa' },
-  H: { country: 'Ivory Coast', region: 'Africa' },
-  J: { country: 'Japan', region: 'Asia' },
-  K: { country: 'South Korea', region: 'Asia' },
-  L: { country: 'China', region: 'Asia' },
-  M: { country: 'India', region: 'Asia' },
-  N: { country: 'Turkey', region: 'Asia' },
-  P: { country: 'Philippines', region: 'Asia' },
-  R: { country: 'Taiwan', region: 'Asia' },
-  S: { country: 'United Kingdom', region: 'Europe' },
-  T: { country: 'Switzerland', region: 'Europe' },
-  U: { country: 'Romania', region: 'Europe' },
-  V: { country: 'France', region: 'Europe' },
-  W: { country: 'Germany', region: 'Europe' },
-  X: { country: 'Russia', region: 'Europe' },
-  Y: { country: 'Sweden', region: 'Europe' },
-  Z: { country: 'Italy', region: 'Europe' },
-};
-
-// ---------------------------------------------------------------------------
-// WMI -> Manufacturer  (first 3 characters)
-// Comprehensive list of 50+ major manufacturers.
-// ---------------------------------------------------------------------------
-const WMI_MAP = {
-  // --- United States ---
-  '1B3': 'Dodge',
-  '1B4': 'Dodge',
-  '1B7': 'Dodge',
-  '1C3': 'Chrysler',
-  '1C4': 'Chrysler',
-  '1C6': 'Ram',
-  '1D7': 'Dodge',
-  '1FA': 'Ford',
-  '1FB': 'Ford',
-  '1FC': 'Ford',
-  '1FD': 'Ford',
-  '1FM': 'Ford',
-  '1FT': 'Ford',
-  '1FU': 'Freightliner',
-  '1FV': 'Freightliner',
-  '1G1': 'Chevrolet',
-  '1G2': 'Pontiac',
-  '1G3': 'Oldsmobile',
-  '1G4': 'Buick',
-  '1G6': 'Cadillac',
-  '1G8': 'Saturn',
-  '1GC': 'Chevrolet',
-  '1GM': 'Pontiac',
-  '1GT': 'GMC',
-  '1GY': 'Cadillac',
-  '1HG': 'Honda',
-  '1J4': 'Jeep',
-  '1J8': 'Jeep',
-  '1LN': 'Lincoln',
-  '1ME': 'Mercury',
-  '1N4': 'Nissan',
-  '1N6': 'Nissan',
-  '1NX': 'NUMMI (Toyota/GM)',
-  '1VW': 'Volkswagen',
-  '1YV': 'Mazda',
-  '1ZV': 'Ford',
-
-  // --- Canada ---
-  '2C3': 'Chrysler',
-  '2D3': 'Dodge',
-  '2FA': 'Ford',
-  '2FB': 'Ford',
-  '2FM': 'Ford',
-  '2FT': 'Ford',
-  '2G1': 'Chevrolet',
-  '2G2': 'Pontiac',
-  '2HG': 'Honda',
-  '2HK': 'Honda',
-  '2HJ': 'Honda',
-  '2HM': 'Hyundai',
-  '2T1': 'Toyota',
-  '2T2': 'Toyota',
-  '2T3': 'Toyota',
-
-  // --- Mexico ---
-  '3C4': 'Chrysler',
-  '3D7': 'Dodge',
-  '3FA': 'Ford',
-  '3G5': 'Chevrolet',
-  '3GN': 'GMC',
-  '3GT': 'GMC',
-  '3GW': 'Buick',
-  '3HG': 'Honda',
-  '3N1': 'Nissan',
-  '3N6': 'Nissan',
-  '3TM': 'Toyota',
-  '3VV': 'Volkswagen',
-  '3VW': 'Volkswagen',
-
-  // --- Japan ---
-  JA3: 'Mitsubishi',
-  JA4: 'Mitsubishi',
-  JAE: 'Mitsubishi',
-  JF1: 'Subaru',
-  JF2: 'Subaru',
-  JHM: 'Honda',
-  JHL: 'Honda',
-  JHG: 'Honda',
-  JM1: 'Mazda',
-  JM3: 'Mazda',
-  JMZ: 'Mazda',
-  JN1: 'Nissan',
-  JN3: 'Nissan',
-  JN6: 'Nissan',
-  JN8: 'Nissan',
-  JS1: 'Suzuki',
-  JS2: 'Suzuki',
-  JSA: 'Suzuki',
-  JT2: 'Toyota',
-  JT3: 'Toyota',
-  JTD: 'Toyota',
-  JTE: 'Toyota',
-  JTH: 'Lexus',
-  JTJ: 'Lexus',
-  JTK: 'Toyota',
-  JTN: 'Toyota',
-  JYA: 'Yamaha',
-
-  // --- South Korea ---
-  KL1: 'GM Daewoo/Chevrolet',
-  KL7: 'GM Daewoo/Chevrolet',
-  KM8: 'Hyundai',
-  KMH: 'Hyundai',
-  KNA: 'Kia',
-  KNB: 'Kia',
-  KND: 'Kia',
-  KNM: 'Renault Samsung',
-
-  // --- China ---
-  LFV: 'FAW-Volkswagen',
-  LGB: 'Dongfeng Nissan',
-  LHG: 'Beijing Hyundai',
-  LSG: 'SAIC GM',
-  LTV: 'Toyota China',
-  LVS: 'Ford China',
-  LVV: 'Chery',
-
-  // --- India ---
-  MA1: 'Mahindra',
-  MA3: 'Suzuki India',
-  MAJ: 'Ford India',
-  MAK: 'Honda India',
-  MAL: 'Hyundai India',
-  MAT: 'Tata',
-  MBH: 'Suzuki India',
-
-  // --- United Kingdom ---
-  SAJ: 'Jaguar',
-  SAL: 'Land Rover',
-  SAR: 'Rover',
-  SCA: 'Rolls-Royce',
-  SCB: 'Bentley',
-  SCE: 'DeLorean',
-  SCF: 'Aston Martin',
-  SCC: 'Lotus',
-  SDB: 'Peugeot UK',
-  SFD: 'Alexander Dennis',
-
-  // --- Germany ---
-  WAU: 'Audi',
-  WAP: 'Alpina',
-  WA1: 'Audi',
-  WBA: 'BMW',
-  WBS: 'BMW M',
-  WBY: 'BMW (electric)',
-  WDB: 'Mercedes-Benz',
-  WDC: 'Mercedes-Benz',
-  WDD: 'Mercedes-Benz',
-  WDF: 'Mercedes-Benz',
-  WF0: 'Ford Germany',
-  WMW: 'MINI',
-  WP0: 'Porsche',
-  WP1: 'Porsche',
-  WUA: 'Audi',
-  WVG: 'Volkswagen',
-  WVW: 'Volkswagen',
-  WV1: 'Volkswagen Commercial',
-  WV2: 'Volkswagen Commercial',
-
-  // --- Sweden ---
-  YK1: 'Saab',
-  YS3: 'Saab',
-  YS2: 'Scania',
-  YV1: 'Volvo',
-  YV2: 'Volvo Truck',
-  YV3: 'Volvo Bus',
-  YV4: 'Volvo',
-
-  // --- France ---
-  VF1: 'Renault',
-  VF3: 'Peugeot',
-  VF6: 'Renault Truck',
-  VF7: 'Citroen',
-  VF8: 'Matra',
-  VNE: 'Irisbus',
-  VR1: 'Dacia',
-
-  // --- Italy ---
-  ZAM: 'Maserati',
-  ZAP: 'Piaggio/Vespa',
-  ZAR: 'Alfa Romeo',
-  ZCF: 'Iveco',
-  ZDM: 'Ducati',
-  ZFA: 'Fiat',
-  ZFF: 'Ferrari',
-  ZHW: 'Lamborghini',
-  ZLA: 'Lancia',
-
-  // --- Spain ---
-  VSS: 'SEAT',
-  VS6: 'Ford Spain',
-  VS7: 'Citroen Spain',
-  VS9: 'Opel Spain',
-
-  // --- Czech Republic / Slovakia ---
-  TMA: 'Hyundai Czech',
-  TMB: 'Skoda',
-  TMP: 'Skoda',
-  TMT: 'Tatra',
-
-  // --- Turkey ---
-  NMT: 'Toyota Turkey',
-  NM0: 'Ford Turkey',
-  NM4: 'Tofas/Fiat Turkey',
-
-  // --- Brazil ---
-  '9BG': 'Chevrolet Brazil',
-  '9BW': 'Volkswagen Brazil',
-  '9BF': 'Ford Brazil',
-  '9BD': 'Fiat Brazil',
-  '93H': 'Honda Brazil',
-
-  // --- Electric / Newer ---
-  '5YJ': 'Tesla',
-  '7SA': 'Tesla',
-  '5UX': 'BMW (US)',
-  '5UN': 'Lincoln',
-  '5NM': 'Hyundai (US)',
-  '5N1': 'Nissan (US)',
-  '5FN': 'Honda (US)',
-  '5J6': 'Honda (US)',
-  '5J8': 'Acura',
-  '5LM': 'Lincoln',
-  '5TD': 'Toyota (US)',
-  '5TF': 'Toyota (US)',
-  '5XY': 'Kia (US)',
-};
-
 // ---------------------------------------------------------------------------
 // normalizeVin(vin)
 // Uppercase, trim, strip spaces and dashes.
@@ -336,7 +68,7 @@ export function normalizeVin(vin) {
 
 function checkLength(vin) {
   if (vin.length !== 17) {
-    return `VIN must be exactly 17 characters (got ${vin.length})`;
+    return `VIN must be exactly 17 characters (got ${vin.length}), or a recognised pre-1981 serial`;
   }
   return null;
 }
@@ -389,10 +121,10 @@ function computeChecksum(vin) {
 
 function decodeWmi(vin) {
   const code = vin.substring(0, 3);
-  const firstChar = vin[0];
 
-  const location = COUNTRY_MAP[firstChar] || { country: 'Unknown', region: 'Unknown' };
-  const manufacturer = WMI_MAP[code] || 'Unknown';
+  // Country from the ISO 3780 range of positions 1-2; manufacturer from the WMI registry
+  const location = countryFor(vin);
+  const manufacturer = manufacturerFor(vin) || 'Unknown';
 
   return {
     code,
@@ -402,70 +134,311 @@ function decodeWmi(vin) {
   };
 }
 
-function decodeYear(vin) {
+function decodeYear(vin, wmi) {
   const code = vin[9];
   const possibleYears = YEAR_MAP[code] || [];
   return {
     code,
     possible_years: possibleYears,
+    ...resolveYear(vin, wmi, possibleYears),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Model-year disambiguation
+// Position 10 repeats every 30 years, so 'A' means 1980 or 2010. The single
+// most likely year is picked by, in order:
+//   1. calendar   - a model year can be at most next calendar year; this is
+//                   a hard limit, while position 7 is only a convention
+//   2. position 7 - light vehicles for North America: a digit in position 7
+//                   means 1980-2009, a letter means 2010-2039 (49 CFR 565)
+//   3. WMI era    - where position 7 does not apply or cannot decide: the
+//                   WMI was only in use for part of the range
+//   4. position 7 for WMIs outside North America, which only follow the
+//                   rule when built for that market
+//   5. latest     - otherwise assume the most recent cycle (low confidence)
+// ---------------------------------------------------------------------------
+
+// WMIs only issued for part of the 1980-2039 range: [first, last] model year
+const WMI_ERAS = {
+  '1G2': [1981, 2010], // Pontiac
+  '1G3': [1981, 2004], // Oldsmobile
+  '1G8': [1991, 2010], // Saturn
+  '1GM': [1981, 2010], // Pontiac
+  '1ME': [1981, 2011], // Mercury
+  '1NX': [1985, 2010], // NUMMI
+  '2G2': [1981, 2010], // Pontiac
+  '5YJ': [2008, null], // Tesla
+  '7SA': [2022, null], // Tesla
+  SAR: [1981, 2005],   // Rover
+  SCE: [1981, 1983],   // DeLorean
+  VF8: [1981, 2003],   // Matra
+  YK1: [1981, 2003],   // Saab-Valmet
+  YS3: [1981, 2011],   // Saab
+};
+
+// Makers of heavy trucks and buses, which the position-7 rule does not cover
+const HEAVY_VEHICLE_MAKERS = new Set(['Freightliner']);
+
+// A letter in position 7 is only required from 2010; a few earlier vehicles
+// used one anyway, so that direction is weaker evidence than a digit. Imports
+// follow the rule only if they were built for the North American market, so
+// non-North-American WMIs get one confidence step less.
+function positionSeven(vin, wmi) {
+  if (HEAVY_VEHICLE_MAKERS.has(wmi?.manufacturer)) return null;
+  const local = wmi?.region === 'North America';
+  const note = local ? '' : ' (if built for the North American market)';
+  const ch = vin[6];
+  if (/[0-9]/.test(ch)) {
+    return { local, test: y => y < 2010, confidence: local ? 'high' : 'medium', reason: `Position 7 '${ch}' is a digit, which means a 1980-2009 model year${note}` };
+  }
+  if (/[A-Z]/.test(ch)) {
+    return { local, test: y => y >= 2010, confidence: local ? 'medium' : 'low', reason: `Position 7 '${ch}' is a letter, which means a 2010-2039 model year${note}` };
+  }
+  return null;
+}
+
+function resolveYear(vin, wmi, possibleYears) {
+  if (possibleYears.length === 0) {
+    return { resolved: null, confidence: null, rule: null, reason: 'Position 10 is not a model-year code' };
+  }
+  if (possibleYears.length === 1) {
+    return { resolved: possibleYears[0], confidence: 'high', rule: 'single', reason: 'Only one model year uses this code' };
+  }
+
+  let candidates = possibleYears;
+  const narrow = test => {
+    const next = candidates.filter(test);
+    if (next.length === 0 || next.length === candidates.length) return false;
+    candidates = next;
+    return true;
+  };
+  const pick = (rule, confidence, reason) => (
+    candidates.length === 1 ? { resolved: candidates[0], confidence, rule, reason } : null
+  );
+
+  const latest = new Date().getFullYear() + 1;
+  narrow(y => y <= latest);
+  const future = pick('calendar', 'high', `${possibleYears.filter(y => y > latest).join(', ')} is still in the future`);
+  if (future) return future;
+
+  const p7 = positionSeven(vin, wmi);
+  const applySeven = () => {
+    narrow(p7.test);
+    return pick('position-7', p7.confidence, p7.reason);
+  };
+  if (p7?.local) {
+    const hit = applySeven();
+    if (hit) return hit;
+  }
+
+  const era = WMI_ERAS[wmi?.code];
+  if (era) {
+    const [from, to] = era;
+    narrow(y => y >= from && (to === null || y <= to));
+    const span = to === null ? `since ${from}` : `from ${from} to ${to}`;
+    const hit = pick('wmi-era', 'medium', `WMI ${wmi.code} (${wmi.manufacturer}) was only used ${span}`);
+    if (hit) return hit;
+  }
+
+  if (p7 && !p7.local) {
+    const hit = applySeven();
+    if (hit) return hit;
+  }
+
+  return {
+    resolved: candidates[candidates.length - 1],
+    confidence: 'low',
+    rule: 'latest',
+    reason: `Could be ${candidates.join(' or ')}; assuming the most recent`,
   };
 }
 
 // ---------------------------------------------------------------------------
-// validateVin(vin)
+// Exported building blocks (used by the correction engine)
+// ---------------------------------------------------------------------------
+
+// Every character allowed in a VIN
+export const VIN_CHARS = 'ABCDEFGHJKLMNPRSTUVWXYZ0123456789';
+
+// ---------------------------------------------------------------------------
+// checkDigit(vin)
+// Expected position-9 check digit for a 17-character VIN (its current
+// position 9 is ignored), or null if it contains characters with no value.
+// ---------------------------------------------------------------------------
+export function checkDigit(vin) {
+  if (typeof vin !== 'string' || vin.length !== 17) return null;
+  const { expected } = computeChecksum(vin);
+  return expected === '?' ? null : expected;
+}
+
+// ---------------------------------------------------------------------------
+// knownWmi(code)
+// Manufacturer for a known 3-character WMI, or null.
+// ---------------------------------------------------------------------------
+export function knownWmi(code) {
+  return manufacturerFor(code);
+}
+
+// ---------------------------------------------------------------------------
+// isYearCode(ch)
+// Whether a character can appear in position 10 (model year).
+// ---------------------------------------------------------------------------
+export function isYearCode(ch) {
+  return ch in YEAR_MAP;
+}
+
+// ---------------------------------------------------------------------------
+// yearsForCode(ch)
+// Calendar years a position-10 code can stand for (one per 30-year cycle).
+// ---------------------------------------------------------------------------
+export function yearsForCode(ch) {
+  return [...(YEAR_MAP[ch] || [])];
+}
+
+// ---------------------------------------------------------------------------
+// yearCode(year)
+// Position-10 code for a model year (1980-2039), or null.
+// ---------------------------------------------------------------------------
+export function yearCode(year) {
+  if (!Number.isInteger(year) || year < 1980 || year > 2039) return null;
+  return YEAR_CODES[(year - 1980) % YEAR_CODES.length];
+}
+
+// ---------------------------------------------------------------------------
+// Validation modes
+// North American rules (49 CFR 565) require the position-9 check digit;
+// ISO 3779 does not, so European and most Asian VINs may legitimately fail
+// the checksum.
+//   auto   - North American rules for WMIs in a North American range, ISO 3779 otherwise
+//   strict - North American rules for every VIN
+//   iso    - ISO 3779 rules for every VIN
+// Under ISO 3779 a checksum mismatch is reported in `warnings`, not `errors`.
+// ---------------------------------------------------------------------------
+export const VALIDATION_MODES = ['auto', 'strict', 'iso'];
+
+function ruleSet(mode, wmi) {
+  const northAmerica = { mode, applied: 'north-america', check_digit: 'required' };
+  const iso = { mode, applied: 'iso-3779', check_digit: 'advisory' };
+  if (mode === 'strict') return { ...northAmerica, reason: 'Strict mode applies North American rules to every VIN' };
+  if (mode === 'iso') return { ...iso, reason: 'ISO mode: the check digit is not required' };
+  if (wmi.region === 'North America') {
+    return { ...northAmerica, reason: `WMI ${wmi.code} is in a North American range (${wmi.country}), where a check digit is required` };
+  }
+  return { ...iso, reason: `WMI ${wmi.code} is outside North America (${wmi.country}), where ISO 3779 does not require a check digit` };
+}
+
+// ---------------------------------------------------------------------------
+// validateVin(vin, { mode })
 // Full validation returning a structured result object.
+// `status` is 'valid', 'invalid' or 'pre-standard' (a recognised pre-1981
+// manufacturer serial, decoded into `legacy`; `valid` stays false because
+// there is no check digit or WMI to verify). `rules` reports the rule set
+// applied for `mode` (see VALIDATION_MODES). `error_codes` gives each entry
+// in `errors` a stable category: length, illegal_characters,
+// invalid_characters or checksum.
 // ---------------------------------------------------------------------------
-export function validateVin(vin) {
+export function validateVin(vin, { mode = 'auto' } = {}) {
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new RangeError(`Unknown validation mode '${mode}' (expected ${VALIDATION_MODES.join(', ')})`);
+  }
   const normalized = normalizeVin(vin);
   const errors = [];
+  const errorCodes = []; // machine-readable category of each error, in the same order
+  const warnings = [];
+  const fail = (code, message) => {
+    errorCodes.push(code);
+    errors.push(message);
+  };
+
+  if (normalized.length !== 17) {
+    const legacy = decodeLegacyVin(normalized);
+    if (legacy) {
+      return {
+        valid: false,
+        status: 'pre-standard',
+        vin: normalized,
+        errors: [],
+        error_codes: [],
+        warnings: [],
+        rules: { mode, applied: 'pre-standard', check_digit: 'none', reason: 'Pre-1981 serials have no check digit' },
+        checksum: { valid: false, expected: '?', actual: '?' },
+        wmi: { code: '', country: 'Unknown', region: 'Unknown', manufacturer: legacy.manufacturer },
+        vds: '',
+        year: {
+          code: '',
+          possible_years: legacy.possible_years,
+          resolved: legacy.possible_years.length === 1 ? legacy.possible_years[0] : null,
+          confidence: legacy.possible_years.length === 1 ? 'high' : null,
+          rule: 'legacy',
+          reason: legacy.possible_years.length === 1 ? `${legacy.format} serial` : `${legacy.format} serials reuse the year digit every decade`,
+        },
+        plant: legacy.plant?.code || '',
+        sequential: legacy.serial,
+        legacy,
+      };
+    }
+  }
 
   // Length check
   const lengthErr = checkLength(normalized);
-  if (lengthErr) errors.push(lengthErr);
+  if (lengthErr) fail('length', lengthErr);
 
   // Illegal characters (I, O, Q)
   const illegalErr = checkIllegalChars(normalized);
-  if (illegalErr) errors.push(illegalErr);
+  if (illegalErr) fail('illegal_characters', illegalErr);
 
   // Any non-alphanumeric or otherwise unrecognized characters
   const validErr = checkValidChars(normalized);
-  if (validErr) errors.push(validErr);
+  if (validErr) fail('invalid_characters', validErr);
+
+  // Decode sections (best-effort even if VIN is invalid)
+  const wmi = normalized.length >= 3
+    ? decodeWmi(normalized)
+    : { code: normalized.substring(0, 3), country: 'Unknown', region: 'Unknown', manufacturer: 'Unknown' };
+
+  const rules = ruleSet(mode, wmi);
 
   // Checksum (only meaningful if length is 17 and chars are valid)
   let checksum = { valid: false, expected: '?', actual: '?' };
   if (normalized.length === 17 && !illegalErr && !validErr) {
     checksum = computeChecksum(normalized);
     if (!checksum.valid) {
-      errors.push(
-        `Checksum invalid: position 9 is '${checksum.actual}' but expected '${checksum.expected}'`
-      );
+      const message = `Checksum invalid: position 9 is '${checksum.actual}' but expected '${checksum.expected}'`;
+      if (rules.check_digit === 'required') fail('checksum', message);
+      else warnings.push(`${message} (advisory: not required under ISO 3779)`);
     }
   }
 
-  // Decode sections (best-effort even if VIN is invalid)
-  const wmi = normalized.length >= 3
-    ? decodeWmi(normalized)
-    : { code: normalized.substring(0, 3), country: 'Unknown', region: 'Unknown', manufacturer: 'Unknown' };
-
   const vds = normalized.length >= 8 ? normalized.substring(3, 8) : normalized.substring(3);
 
   const year = normalized.length >= 10
-    ? decodeYear(normalized)
-    : { code: '', possible_years: [] };
+    ? decodeYear(normalized, wmi)
+    : { code: '', possible_years: [], resolved: null, confidence: null, rule: null, reason: 'VIN is too short to contain a model-year code' };
 
   const plant = normalized.length >= 11 ? normalized[10] : '';
 
   const sequential = normalized.length >= 12 ? normalized.substring(11) : '';
 
+  // Per-manufacturer explanation of positions 4-8 and 11 (null if no decoder covers the WMI)
+  const localDecode = normalized.length === 17 && !illegalErr && !validErr
+    ? decodeVds(normalized, { year: year.resolved })
+    : null;
+
   return {
     valid: errors.length === 0,
+    status: errors.length === 0 ? 'valid' : 'invalid',
     vin: normalized,
     errors,
+    error_codes: errorCodes,
+    warnings,
+    rules,
     checksum,
     wmi,
     vds,
     year,
     plant,
     sequential,
+    local_decode: localDecode,
   };
 }
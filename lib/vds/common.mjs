@@ -0,0 +1,58 @@
+// Shared helpers for the per-manufacturer VDS decoders.
+//
+// A decoder is { name, wmis: Set<string>, decode(vin, year) } where decode()
+// returns the object built by createResult() for a normalized 17-character
+// VIN. `year` is the resolved model year (or null) and selects between
+// table entries whose meaning changed over time.
+
+// ---------------------------------------------------------------------------
+// meaningOf(table, code, year)
+// A table entry is either a string or a list of { from, to, meaning } eras
+// (open-ended when from/to is omitted). Without a year, an era entry only
+// resolves if it has a single meaning.
+// ---------------------------------------------------------------------------
+export function meaningOf(table, code, year) {
+  const entry = table[code];
+  if (entry === undefined) return null;
+  if (typeof entry === 'string') return entry;
+  if (!year) return entry.length === 1 ? entry[0].meaning : null;
+  const hit = entry.find(e => (e.from ?? 0) <= year && year <= (e.to ?? Infinity));
+  return hit ? hit.meaning : null;
+}
+
+// ---------------------------------------------------------------------------
+// createResult(name, fields)
+// `fields` are the summary fields the decoder has tables for (model_line,
+// series, body_style, cab, drive, restraint_system, engine); only those
+// appear in the result, null until a position decodes them.
+// ---------------------------------------------------------------------------
+export function createResult(name, fields) {
+  return {
+    decoder: name,
+    ...Object.fromEntries(fields.map(field => [field, null])),
+    plant: null,
+    positions: [],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// explain(result, field, positions, code, meaning)
+// Record what a VIN position (or range, e.g. '7-8') means. Codes missing from
+// the position's table are still listed, with meaning null, so callers can
+// see what was not decoded.
+// ---------------------------------------------------------------------------
+export function explain(result, field, positions, code, meaning) {
+  result.positions.push({ positions, code, field, meaning: meaning ?? null });
+  if (meaning && field in result && field !== 'plant' && result[field] === null) result[field] = meaning;
+}
+
+// ---------------------------------------------------------------------------
+// explainPlant(result, plants, vin)
+// Position 11 is the assembly plant for every manufacturer.
+// ---------------------------------------------------------------------------
+export function explainPlant(result, plants, vin) {
+  const code = vin[10];
+  const name = plants[code] ?? null;
+  result.plant = { code, name };
+  explain(result, 'plant', '11', code, name);
+}
@@ -0,0 +1,61 @@
+// Ford / Lincoln / Mercury
+// 4: restraint system (cars) or GVWR / brakes (trucks)
+// Cars:   5: vehicle type (P = passenger car)  6-7: line, series and body
+// Trucks: 5: cab  6: series (1 = F-150, 2 = F-250, 3 = F-350)  7: drive
+// 8: engine   11: assembly plant
+// Truck GVWR / brake codes and car line codes are not decoded.
+
+import { createResult, explain, explainPlant, meaningOf } from './common.mjs';
+
+const CAR_WMIS = ['1FA', '1FB', '1FC', '1ZV', '2FA', '2FB', '3FA', '1LN', '3LN', '1ME', '2ME', '3ME'];
+const TRUCK_WMIS = ['1FD', '1FM', '1FT', '2FM', '2FT', '3FT', '5LM', '5UN'];
+const PICKUPS = new Set(['1FD', '1FT', '2FT', '3FT']);
+
+// Passenger-car restraint codes
+const RESTRAINTS = {
+  F: 'Active belts, front airbags',
+  H: 'Active belts, front and side airbags',
+  6: [{ from: 2013, meaning: 'Active belts, front, side, curtain and knee airbags' }],
+};
+
+const CABS = { F: 'Regular Cab', X: 'SuperCab', W: 'SuperCrew' };
+const SERIES = { 1: 'F-150', 2: 'F-250', 3: 'F-350' };
+
+// 2009+ F-series drive letter (earlier trucks encode drive in 6-7)
+const DRIVES = { C: [{ from: 2009, meaning: '4x2' }], E: [{ from: 2009, meaning: '4x4' }] };
+
+const ENGINES = {
+  N: [{ from: 2005, to: 2010, meaning: '4.0L V6' }],
+  H: [{ from: 2005, to: 2010, meaning: '4.6L V8 (3-valve)' }, { from: 2015, meaning: '2.3L EcoBoost I4' }],
+  F: [{ from: 2011, meaning: '5.0L V8 (Coyote)' }],
+  M: [{ from: 2011, to: 2017, meaning: '3.7L V6' }],
+  T: [{ from: 2011, to: 2016, meaning: '3.5L EcoBoost V6' }],
+  P: [{ from: 2015, meaning: '2.7L EcoBoost V6' }],
+  G: [{ from: 2017, meaning: '3.5L EcoBoost V6' }],
+};
+
+const PLANTS = {
+  F: 'Dearborn, MI', K: 'Kansas City, MO', 5: 'Flat Rock, MI', R: 'Hermosillo, Mexico',
+  G: 'Chicago, IL', L: 'Wayne, MI (Michigan Assembly)', E: 'Louisville, KY (Kentucky Truck)',
+  U: 'Louisville, KY (Louisville Assembly)', B: 'Oakville, ON', D: 'Avon Lake, OH',
+};
+
+function decode(vin, year) {
+  const wmi = vin.slice(0, 3);
+  const pickup = PICKUPS.has(wmi);
+  const result = createResult('Ford', pickup ? ['model_line', 'cab', 'drive', 'engine'] : ['restraint_system', 'engine']);
+
+  if (pickup) {
+    explain(result, 'cab', '5', vin[4], meaningOf(CABS, vin[4], year));
+    explain(result, 'model_line', '6', vin[5], meaningOf(SERIES, vin[5], year));
+    explain(result, 'drive', '7', vin[6], meaningOf(DRIVES, vin[6], year));
+  } else {
+    explain(result, 'restraint_system', '4', vin[3], meaningOf(RESTRAINTS, vin[3], year));
+    explain(result, 'vehicle_type', '5', vin[4], vin[4] === 'P' ? 'Passenger car' : null);
+  }
+  explain(result, 'engine', '8', vin[7], meaningOf(ENGINES, vin[7], year));
+  explainPlant(result, PLANTS, vin);
+  return result;
+}
+
+export default { name: 'Ford', wmis: new Set([...CAR_WMIS, ...TRUCK_WMIS]), decode };
@@ -0,0 +1,98 @@
+// General Motors (Chevrolet, GMC, Buick, Cadillac, Pontiac, Oldsmobile, Saturn)
+// Cars:   4: car line  5: series  6: body style  7: restraint system  8: engine
+// Trucks: 4: GVWR / brakes  5: chassis (C = 2WD, K = 4WD)  6: series
+//         7: cab / body  8: engine
+// 11: assembly plant
+// Car series and truck GVWR / brake codes are not decoded.
+
+import { createResult, explain, explainPlant, meaningOf } from './common.mjs';
+
+const CAR_WMIS = ['1G1', '1G2', '1G3', '1G4', '1G6', '1G8', '1GM', '1GY', '2G1', '2G2', '2G4', '3G1', '3G5', '3GW', 'KL1', 'KL7'];
+const TRUCK_WMIS = ['1GB', '1GC', '1GK', '1GN', '1GT', '2GC', '2GT', '3GC', '3GN', '3GT'];
+const TRUCKS = new Set(TRUCK_WMIS);
+
+// Chevrolet car lines
+const CAR_LINES = {
+  Y: 'Corvette',
+  F: 'Camaro',
+  Z: 'Malibu',
+  W: [{ to: 1999, meaning: 'Lumina' }, { from: 2000, to: 2013, meaning: 'Impala' }],
+  1: [{ from: 2014, to: 2020, meaning: 'Impala' }],
+  J: [{ to: 2005, meaning: 'Cavalier' }, { from: 2012, to: 2020, meaning: 'Sonic' }],
+  A: [{ from: 2005, to: 2010, meaning: 'Cobalt' }],
+  P: [{ from: 2011, to: 2016, meaning: 'Cruze' }],
+  B: [{ from: 2016, to: 2019, meaning: 'Cruze' }],
+  R: [{ from: 2011, to: 2019, meaning: 'Volt' }],
+};
+
+const BODY_STYLES = {
+  1: '2-door coupe',
+  2: '2-door coupe',
+  3: 'Convertible',
+  5: '4-door sedan',
+  6: '4-door hatchback',
+};
+
+// Passenger-car restraint codes (letters since the 2010 layout)
+const RESTRAINTS = {
+  1: [{ to: 2009, meaning: 'Active manual belts' }],
+  2: [{ to: 2009, meaning: 'Active manual belts, driver and passenger front airbags' }],
+  4: [{ to: 2009, meaning: 'Automatic belts' }],
+  5: [{ to: 2009, meaning: 'Active manual belts, front and side airbags' }],
+  E: [{ from: 2010, meaning: 'Active manual belts, front, side and roof-rail airbags' }],
+};
+
+const CHASSIS = { C: '2WD', K: '4WD' };
+
+// Truck series and cab before the 2014 layout change
+const TRUCK_SERIES = {
+  1: [{ to: 2013, meaning: '1/2 ton' }],
+  2: [{ to: 2013, meaning: '3/4 ton' }],
+  3: [{ to: 2013, meaning: '1 ton' }],
+};
+const TRUCK_CABS = {
+  3: [{ to: 2013, meaning: 'Four-door (crew cab or utility)' }],
+  4: [{ to: 2013, meaning: 'Regular cab' }],
+  9: [{ to: 2013, meaning: 'Extended cab' }],
+};
+
+const ENGINES = {
+  G: [{ from: 1997, to: 2004, meaning: '5.7L V8 (LS1)' }],
+  S: [{ from: 2001, to: 2005, meaning: '5.7L V8 (LS6)' }],
+  U: [{ from: 1999, to: 2007, meaning: '6.0L V8 (LQ4 / LS2)' }],
+  T: [{ from: 1999, to: 2007, meaning: '5.3L V8 (LM7)' }, { from: 2009, to: 2013, meaning: '6.2L supercharged V8 (LS9)' }],
+  E: [{ from: 2006, to: 2013, meaning: '7.0L V8 (LS7)' }],
+  W: [{ from: 2008, to: 2013, meaning: '6.2L V8 (LS3)' }],
+  C: [{ from: 2014, to: 2018, meaning: '5.3L V8 (L83)' }],
+  7: [{ from: 2014, to: 2019, meaning: '6.2L V8 (LT1)' }],
+};
+
+const PLANTS = {
+  5: 'Bowling Green, KY', R: 'Arlington, TX', Z: 'Fort Wayne, IN', G: 'Silao, Mexico',
+  F: 'Flint, MI', 1: 'Oshawa, ON', 4: 'Orion, MI', 0: 'Lansing Grand River, MI', U: 'Detroit-Hamtramck, MI',
+};
+
+function decode(vin, year) {
+  const wmi = vin.slice(0, 3);
+  const truck = TRUCKS.has(wmi);
+  const result = createResult('General Motors', truck
+    ? ['drive', 'series', 'cab', 'engine']
+    : ['model_line', 'body_style', 'restraint_system', 'engine']);
+
+  if (truck) {
+    explain(result, 'drive', '5', vin[4], meaningOf(CHASSIS, vin[4], year));
+    explain(result, 'series', '6', vin[5], meaningOf(TRUCK_SERIES, vin[5], year));
+    explain(result, 'cab', '7', vin[6], meaningOf(TRUCK_CABS, vin[6], year));
+  } else {
+    // The car-line table is Chevrolet's; other divisions reuse the letters
+    const lines = wmi === '1G1' || wmi === '2G1' || wmi === '3G1' ? CAR_LINES : {};
+    explain(result, 'model_line', '4', vin[3], meaningOf(lines, vin[3], year));
+    explain(result, 'body_style', '6', vin[5], meaningOf(BODY_STYLES, vin[5], year));
+    explain(result, 'restraint_system', '7', vin[6], meaningOf(RESTRAINTS, vin[6], year));
+  }
+  explain(result, 'engine', '8', vin[7], meaningOf(ENGINES, vin[7], year));
+  explainPlant(result, PLANTS, vin);
+  return result;
+}
+
+export default { name: 'General Motors', wmis: new Set([...CAR_WMIS, ...TRUCK_WMIS]), decode };
@@ -0,0 +1,41 @@
+// Honda / Acura
+// 4-5: model line (chassis prefix)   4-6: chassis code
+// 7:   body style and transmission   8: grade (trim)
+// 11:  assembly plant
+// Positions 7 and 8 differ per model line and are not decoded.
+
+import { createResult, explain, explainPlant, meaningOf } from './common.mjs';
+
+const WMIS = ['1HG', '2HG', '3HG', '2HJ', '2HK', '5FN', '5J6', '5J8', '19U', '19X', 'JHG', 'JHL', 'JHM', 'JH4', 'SHH', 'SHS'];
+
+const MODEL_LINES = {
+  CB: 'Accord (1990-1993)', CD: 'Accord (1994-1997)', CG: 'Accord (1998-2002)',
+  CM: 'Accord (2003-2007)', CP: 'Accord (2008-2012)', CS: 'Accord Coupe (2008-2012)',
+  CR: 'Accord (2013-2017)', CT: 'Accord Coupe (2013-2017)', CV: 'Accord (2018-2022)', CY: 'Accord (2023-)',
+  EJ: 'Civic (1996-2000)', EM: 'Civic Coupe (2001-2005)', ES: 'Civic (2001-2005)',
+  FA: 'Civic (2006-2011)', FG: 'Civic Coupe (2006-2015)', FB: 'Civic (2012-2015)',
+  FC: 'Civic (2016-2021)', FK: 'Civic Hatchback (2017-2021)', FE: 'Civic (2022-)', FL: 'Civic Hatchback (2022-)',
+  RD: 'CR-V (1997-2006)', RE: 'CR-V (2007-2011)', RM: 'CR-V (2012-2016)', RW: 'CR-V (2017-2022)', RS: 'CR-V (2023-)',
+  RL: 'Odyssey', YF: 'Pilot', YK: 'Ridgeline',
+  GD: 'Fit (2007-2008)', GE: 'Fit (2009-2013)', GK: 'Fit (2015-2020)',
+  RU: 'HR-V (2016-2022)', RV: 'HR-V (2023-)', ZE: 'Insight', ZF: 'CR-Z', AP: 'S2000',
+  // Acura
+  DC: 'Integra (1994-2001)', DE: 'ILX', CL: 'TSX (2004-2008)', CU: 'TSX (2009-2014)',
+  UA: 'TL', UB: 'TLX', YD: 'MDX', TB: 'RDX (2007-2018)', TC: 'RDX (2019-)', KB: 'RL', NA: 'NSX',
+};
+
+const PLANTS = {
+  A: 'Marysville, OH', L: 'East Liberty, OH', B: 'Lincoln, AL', E: 'Greensburg, IN',
+  H: 'Alliston, ON', C: 'Sayama, Japan', S: 'Suzuka, Japan',
+};
+
+function decode(vin, year) {
+  const result = createResult('Honda', ['model_line']);
+  const line = meaningOf(MODEL_LINES, vin.slice(3, 5), year);
+  explain(result, 'model_line', '4-5', vin.slice(3, 5), line);
+  explain(result, 'chassis_code', '4-6', vin.slice(3, 6), line ? `Chassis ${vin.slice(3, 6)}` : null);
+  explainPlant(result, PLANTS, vin);
+  return result;
+}
+
+export default { name: 'Honda', wmis: new Set(WMIS), decode };
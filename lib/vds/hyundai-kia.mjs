@@ -0,0 +1,54 @@
+// Hyundai / Kia
+// 4: vehicle line   5: series   6: body type   7: restraint system   8: engine
+// 11: assembly plant
+// Positions 5, 7 and 8 differ per vehicle line and are not decoded.
+
+import { createResult, explain, explainPlant, meaningOf } from './common.mjs';
+
+const HYUNDAI_WMIS = ['KMH', 'KM8', '5NP', '5NM', '2HM'];
+const KIA_WMIS = ['KNA', 'KNB', 'KND', '5XX', '5XY', '3KP'];
+const KIA = new Set(KIA_WMIS);
+
+// `car` marks lines whose position 6 uses the passenger-car body codes
+const HYUNDAI_LINES = {
+  C: { name: 'Accent', car: true },
+  D: { name: 'Elantra', car: true },
+  E: { name: 'Sonata', car: true },
+  F: { name: 'Azera', car: true },
+  G: { name: 'Genesis', car: true },
+  T: { name: 'Veloster', car: true },
+  J: { name: 'Tucson' },
+  S: { name: 'Santa Fe' },
+  K: { name: 'Kona' },
+  N: { name: 'Veracruz' },
+  R: { name: 'Palisade' },
+};
+
+const KIA_LINES = {
+  D: { name: 'Rio', car: true },
+  F: { name: 'Forte', car: true },
+  G: { name: 'Optima', car: true },
+  E: { name: 'Stinger', car: true },
+  J: { name: 'Soul' },
+  M: { name: 'Sedona' },
+};
+
+const CAR_BODIES = { 4: '4-door sedan', 5: '5-door hatchback' };
+
+const PLANTS = {
+  hyundai: { U: 'Ulsan, South Korea', A: 'Asan, South Korea', H: 'Montgomery, AL' },
+  kia: { G: 'West Point, GA' },
+};
+
+function decode(vin, year) {
+  const kia = KIA.has(vin.slice(0, 3));
+  const result = createResult(kia ? 'Kia' : 'Hyundai', ['model_line', 'body_style']);
+  const line = (kia ? KIA_LINES : HYUNDAI_LINES)[vin[3]] || null;
+
+  explain(result, 'model_line', '4', vin[3], line?.name);
+  explain(result, 'body_style', '6', vin[5], line?.car ? meaningOf(CAR_BODIES, vin[5], year) : null);
+  explainPlant(result, kia ? PLANTS.kia : PLANTS.hyundai, vin);
+  return result;
+}
+
+export default { name: 'Hyundai / Kia', wmis: new Set([...HYUNDAI_WMIS, ...KIA_WMIS]), decode };
@@ -0,0 +1,57 @@
+// Local VDS / Plant Decoding
+// Explains the Vehicle Descriptor Section (positions 4-8) and the assembly
+// plant (position 11) with per-manufacturer tables. Manufacturers lay these
+// positions out differently, so each has its own decoder; the WMI picks one.
+// All computation is local - no external API calls.
+//
+// The tables cover common North American models; the README lists the fields
+// each decoder covers. Codes a decoder does not know are still listed in
+// `positions`, with meaning null.
+
+import honda from './honda.mjs';
+import toyota from './toyota.mjs';
+import gm from './gm.mjs';
+import ford from './ford.mjs';
+import stellantis from './stellantis.mjs';
+import volkswagen from './volkswagen.mjs';
+import hyundaiKia from './hyundai-kia.mjs';
+
+const DECODERS = [honda, toyota, gm, ford, stellantis, volkswagen, hyundaiKia];
+
+// ---------------------------------------------------------------------------
+// registerVdsDecoder(decoder)
+// Add a decoder ({ name, wmis: Set|string[], decode(vin, year) }). It takes
+// precedence over the built-in ones for the WMIs it lists.
+// ---------------------------------------------------------------------------
+export function registerVdsDecoder(decoder) {
+  if (!decoder?.name || typeof decoder.decode !== 'function') {
+    throw new TypeError('A VDS decoder needs a name and a decode(vin, year) function');
+  }
+  DECODERS.unshift({ ...decoder, wmis: new Set(decoder.wmis) });
+}
+
+// ---------------------------------------------------------------------------
+// vdsDecoderFor(wmi)
+// The decoder responsible for a WMI, or null.
+// ---------------------------------------------------------------------------
+export function vdsDecoderFor(wmi) {
+  return DECODERS.find(d => d.wmis.has(wmi)) || null;
+}
+
+// ---------------------------------------------------------------------------
+// listVdsDecoders()
+// ---------------------------------------------------------------------------
+export function listVdsDecoders() {
+  return DECODERS.map(d => ({ name: d.name, wmis: [...d.wmis].sort() }));
+}
+
+// ---------------------------------------------------------------------------
+// decodeVds(vin, { year })
+// Decode a normalized 17-character VIN, or null if no decoder covers its WMI.
+// `year` (the resolved model year) selects between era-specific codes.
+// ---------------------------------------------------------------------------
+export function decodeVds(vin, { year = null } = {}) {
+  if (typeof vin !== 'string' || vin.length !== 17) return null;
+  const decoder = vdsDecoderFor(vin.slice(0, 3));
+  return decoder ? decoder.decode(vin, year) : null;
+}
@@ -0,0 +1,48 @@
+// Stellantis North America (Chrysler, Dodge, Jeep, Ram, Plymouth)
+// 4: restraint system / GVWR   5: vehicle line   6: series (price class)
+// 7: body style                8: engine
+// 11: assembly plant
+// Positions 4, 5 and 7 differ per vehicle line and are not decoded.
+
+import { createResult, explain, explainPlant, meaningOf } from './common.mjs';
+
+const WMIS = [
+  '1C3', '1C4', '1C6', '1C8', '2C3', '2C4', '2C7', '3C4', '3C6', '3C7',
+  '1B3', '1B4', '1B7', '1D3', '1D4', '1D7', '1D8', '2B3', '2D3', '2D4', '3D3', '3D4', '3D7',
+  '1J4', '1J8', '1P3', '2P4',
+];
+
+// Series letters before the 2011 layout change
+const PRICE_CLASSES = {
+  L: [{ to: 2010, meaning: 'Low line' }],
+  M: [{ to: 2010, meaning: 'Medium line' }],
+  H: [{ to: 2010, meaning: 'High line' }],
+  P: [{ to: 2010, meaning: 'Premium' }],
+  S: [{ to: 2010, meaning: 'Sport / Special' }],
+};
+
+const ENGINES = {
+  N: [{ from: 1999, to: 2007, meaning: '4.7L V8' }],
+  D: [{ from: 2003, to: 2008, meaning: '5.7L HEMI V8' }],
+  T: [{ from: 2009, meaning: '5.7L HEMI V8' }],
+  G: [{ from: 2011, meaning: '3.6L Pentastar V6' }],
+  J: [{ from: 2011, meaning: '6.4L HEMI V8' }],
+  9: [{ from: 2015, meaning: '6.2L supercharged HEMI V8' }],
+  M: [{ from: 2014, meaning: '3.0L EcoDiesel V6' }],
+  L: [{ from: 2007, meaning: '6.7L Cummins I6 turbo diesel' }],
+};
+
+const PLANTS = {
+  C: 'Detroit (Jefferson North), MI', H: 'Brampton, ON', R: 'Windsor, ON', G: 'Saltillo, Mexico',
+  D: 'Belvidere, IL', S: 'Warren, MI (Warren Truck)', N: 'Sterling Heights, MI', L: 'Toledo, OH', T: 'Toluca, Mexico',
+};
+
+function decode(vin, year) {
+  const result = createResult('Stellantis', ['series', 'engine']);
+  explain(result, 'series', '6', vin[5], meaningOf(PRICE_CLASSES, vin[5], year));
+  explain(result, 'engine', '8', vin[7], meaningOf(ENGINES, vin[7], year));
+  explainPlant(result, PLANTS, vin);
+  return result;
+}
+
+export default { name: 'Stellantis', wmis: new Set(WMIS), decode };
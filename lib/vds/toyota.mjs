@@ -0,0 +1,53 @@
+// Toyota / Lexus (North American layout)
+// 4: vehicle line / grade   5: engine   6: restraint system
+// 7: series (generation)    8: model line
+// 11: assembly plant
+// Positions 4, 6 and 7 differ per model line and are not decoded.
+
+import { createResult, explain, explainPlant, meaningOf } from './common.mjs';
+
+const WMIS = [
+  '2T1', '2T2', '2T3', '3TM', '3TY', '4T1', '4T3', '4T4', '5TB', '5TD', '5TE', '5TF', '5YF',
+  'JT2', 'JT3', 'JTD', 'JTE', 'JTH', 'JTJ', 'JTK', 'JTL', 'JTM', 'JTN', '1NX',
+];
+
+const ENGINES = {
+  R: '1.8L I4 (1ZZ-FE)',
+  U: '1.8L I4 (2ZR-FE)',
+  N: '1.8L I4 hybrid (2ZR-FXE)',
+  E: '2.4L I4 (2AZ-FE)',
+  F: '2.5L I4 (2AR-FE)',
+  D: '2.5L I4 hybrid',
+  A: '2.7L I4 (1AR-FE)',
+  K: '3.5L V6 (2GR-FE)',
+  M: '4.6L V8 (1UR-FE)',
+  W: '5.7L V8 (3UR-FE)',
+};
+
+const MODEL_LINES = {
+  K: 'Camry',
+  E: 'Corolla',
+  B: 'Avalon',
+  U: 'Prius',
+  V: 'RAV4',
+  H: 'Highlander',
+  C: 'Sienna',
+  R: '4Runner',
+  N: 'Tacoma',
+  1: 'Tundra',
+};
+
+const PLANTS = {
+  U: 'Georgetown, KY', S: 'Princeton, IN', X: 'San Antonio, TX', M: 'Tijuana, Mexico',
+  Z: 'Fremont, CA (NUMMI)', C: 'Cambridge, ON', W: 'Woodstock, ON',
+};
+
+function decode(vin, year) {
+  const result = createResult('Toyota', ['engine', 'model_line']);
+  explain(result, 'engine', '5', vin[4], meaningOf(ENGINES, vin[4], year));
+  explain(result, 'model_line', '8', vin[7], meaningOf(MODEL_LINES, vin[7], year));
+  explainPlant(result, PLANTS, vin);
+  return result;
+}
+
+export default { name: 'Toyota', wmis: new Set(WMIS), decode };
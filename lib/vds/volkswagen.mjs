@@ -0,0 +1,37 @@
+// Volkswagen
+// North America: 4: series / trim  5: engine  6: restraint system
+// Elsewhere:     4-6: filler (ZZZ)
+// 7-8: model type   11: assembly plant
+// The North American positions 4-6 differ per model and are not decoded.
+
+import { createResult, explain, explainPlant, meaningOf } from './common.mjs';
+
+const WMIS = ['1VW', '1V1', '1V2', '3VV', '3VW', 'WVW', 'WVG', 'WV1', 'WV2', '9BW'];
+
+const MODEL_TYPES = {
+  '1C': 'New Beetle (1998-2010)', AT: 'Beetle (2012-2019)',
+  '1J': 'Golf / GTI (Mk4)', '9M': 'Jetta (Mk4)', '1K': 'Golf / Jetta (Mk5)',
+  '5K': 'Golf (Mk6)', AJ: 'Golf (Mk6) / Jetta (A6)', '5G': 'Golf (Mk7)', AU: 'Golf (Mk7)', CD: 'Golf (Mk8)',
+  BU: 'Jetta (2019-)', '3B': 'Passat (B5)', '3C': 'Passat (B6 / B7)', A3: 'Passat (2012-2022)',
+  '5N': 'Tiguan (2008-2017)', AX: 'Tiguan (2018-)', CA: 'Atlas',
+  '7L': 'Touareg (2002-2010)', '7P': 'Touareg (2011-2018)', CR: 'Touareg (2019-)',
+  '6R': 'Polo (Mk5)', AW: 'Polo (Mk6)', '1T': 'Touran', '7N': 'Sharan', '2K': 'Caddy',
+  '7H': 'Transporter (T5)', '7E': 'Transporter (T6)', '2H': 'Amarok',
+};
+
+const PLANTS = {
+  W: 'Wolfsburg, Germany', E: 'Emden, Germany', H: 'Hanover, Germany', Y: 'Pamplona, Spain',
+  M: 'Puebla, Mexico', C: 'Chattanooga, TN',
+};
+
+function decode(vin, year) {
+  const result = createResult('Volkswagen', ['model_line']);
+  if (vin.slice(3, 6) === 'ZZZ') {
+    explain(result, 'filler', '4-6', 'ZZZ', 'Filler (positions 4-6 are only used in North America)');
+  }
+  explain(result, 'model_line', '7-8', vin.slice(6, 8), meaningOf(MODEL_TYPES, vin.slice(6, 8), year));
+  explainPlant(result, PLANTS, vin);
+  return result;
+}
+
+export default { name: 'Volkswagen', wmis: new Set(WMIS), decode };
@@ -0,0 +1,461 @@
+/**
+ * Offline vPIC decoder backed by NHTSA's standalone vPIC dataset.
+ *
+ * NHTSA publishes the full vPIC database (WMI, VIN schema, pattern and
+ * element tables) as a standalone download. `importVpic()` loads a CSV
+ * export of those tables into a local SQLite file, and `decodeVinLocal()`
+ * replays vPIC's pattern-matching decode against it so decodes keep working
+ * when vpic.nhtsa.dot.gov is slow or unreachable.
+ *
+ * Dataset: https://vpic.nhtsa.dot.gov/api/ (see "Standalone vPIC database")
+ */
+
+import Database from 'better-sqlite3';
+import path from 'node:path';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { readCsvFile } from './csv.mjs';
+import { normalizeVin, validateVin } from './validate.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const VPIC_DB_PATH = process.env.VPIC_DB_PATH || path.join(__dirname, '..', 'data', 'vpic.db');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+
+  CREATE TABLE IF NOT EXISTS wmi (
+    id INTEGER PRIMARY KEY,
+    wmi TEXT NOT NULL,
+    manufacturer_id INTEGER,
+    make_id INTEGER,
+    vehicle_type_id INTEGER,
+    country_id INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_wmi_code ON wmi(wmi);
+
+  CREATE TABLE IF NOT EXISTS vin_schema (id INTEGER PRIMARY KEY, name TEXT);
+
+  CREATE TABLE IF NOT EXISTS wmi_vin_schema (
+    wmi_id INTEGER NOT NULL,
+    vin_schema_id INTEGER NOT NULL,
+    year_from INTEGER,
+    year_to INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_wvs_wmi ON wmi_vin_schema(wmi_id);
+
+  CREATE TABLE IF NOT EXISTS pattern (
+    id INTEGER PRIMARY KEY,
+    vin_schema_id INTEGER NOT NULL,
+    keys TEXT NOT NULL,
+    element_id INTEGER NOT NULL,
+    attribute_id TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_pattern_schema ON pattern(vin_schema_id);
+
+  CREATE TABLE IF NOT EXISTS element (
+    id INTEGER PRIMARY KEY,
+    name TEXT,
+    code TEXT,
+    lookup_table TEXT,
+    data_type TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS make_model (make_id INTEGER, model_id INTEGER);
+  CREATE INDEX IF NOT EXISTS idx_make_model ON make_model(model_id);
+
+  -- Every Id/Name lookup table (Make, Model, BodyStyle, DriveType, ...)
+  CREATE TABLE IF NOT EXISTS lookup (
+    tbl TEXT NOT NULL,
+    id INTEGER NOT NULL,
+    name TEXT,
+    PRIMARY KEY (tbl, id)
+  );
+`;
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Case-insensitive column accessor for CSV rows.
+ */
+function col(row, name) {
+  if (name in row) return row[name];
+  const lower = name.toLowerCase();
+  for (const key of Object.keys(row)) {
+    if (key.toLowerCase() === lower) return row[key];
+  }
+  return undefined;
+}
+
+/**
+ * Convert an empty/NULL CSV cell to null, otherwise an integer or string.
+ */
+function intOrNull(value) {
+  if (value === undefined || value === null) return null;
+  const s = String(value).trim();
+  if (s === '' || s.toUpperCase() === 'NULL') return null;
+  const n = Number(s);
+  return Number.isInteger(n) ? n : null;
+}
+
+function strOrNull(value) {
+  if (value === undefined || value === null) return null;
+  const s = String(value).trim();
+  return s === '' || s.toUpperCase() === 'NULL' ? null : s;
+}
+
+/**
+ * Wrap a row mapper so rows whose primary key (first value) is missing are skipped.
+ */
+function keyed(mapRow) {
+  return r => {
+    const values = mapRow(r);
+    return values[0] === null ? null : values;
+  };
+}
+
+const TABLE_IMPORTS = {
+  wmi: {
+    sql: 'INSERT OR REPLACE INTO wmi (id, wmi, manufacturer_id, make_id, vehicle_type_id, country_id) VALUES (?, ?, ?, ?, ?, ?)',
+    row: keyed(r => [intOrNull(col(r, 'Id')), strOrNull(col(r, 'Wmi'))?.toUpperCase(), intOrNull(col(r, 'ManufacturerId')), intOrNull(col(r, 'MakeId')), intOrNull(col(r, 'VehicleTypeId')), intOrNull(col(r, 'CountryId'))]),
+  },
+  vinschema: {
+    sql: 'INSERT OR REPLACE INTO vin_schema (id, name) VALUES (?, ?)',
+    row: keyed(r => [intOrNull(col(r, 'Id')), strOrNull(col(r, 'Name'))]),
+  },
+  wmi_vinschema: {
+    sql: 'INSERT INTO wmi_vin_schema (wmi_id, vin_schema_id, year_from, year_to) VALUES (?, ?, ?, ?)',
+    row: r => [intOrNull(col(r, 'WmiId')), intOrNull(col(r, 'VinSchemaId')), intOrNull(col(r, 'YearFrom')), intOrNull(col(r, 'YearTo'))],
+  },
+  pattern: {
+    sql: 'INSERT OR REPLACE INTO pattern (id, vin_schema_id, keys, element_id, attribute_id) VALUES (?, ?, ?, ?, ?)',
+    row: keyed(r => [intOrNull(col(r, 'Id')), intOrNull(col(r, 'VinSchemaId')), strOrNull(col(r, 'Keys'))?.toUpperCase(), intOrNull(col(r, 'ElementId')), strOrNull(col(r, 'AttributeId'))]),
+  },
+  element: {
+    sql: 'INSERT OR REPLACE INTO element (id, name, code, lookup_table, data_type) VALUES (?, ?, ?, ?, ?)',
+    row: keyed(r => [intOrNull(col(r, 'Id')), strOrNull(col(r, 'Name')), strOrNull(col(r, 'Code')), strOrNull(col(r, 'LookupTable')), strOrNull(col(r, 'DataType'))]),
+  },
+  make_model: {
+    sql: 'INSERT INTO make_model (make_id, model_id) VALUES (?, ?)',
+    row: r => [intOrNull(col(r, 'MakeId')), intOrNull(col(r, 'ModelId'))],
+  },
+};
+
+const REQUIRED_TABLES = ['wmi', 'vinschema', 'wmi_vinschema', 'pattern', 'element'];
+
+/**
+ * Stream one CSV file into the database in batched transactions.
+ */
+async function importCsv(db, file, sql, mapRow, log) {
+  const stmt = db.prepare(sql);
+  const flush = db.transaction(rows => { for (const r of rows) stmt.run(r); });
+  let batch = [];
+  let count = 0;
+
+  for await (const row of readCsvFile(file)) {
+    const values = mapRow(row);
+    if (!values) continue;
+    batch.push(values);
+    if (batch.length >= 10_000) {
+      flush(batch);
+      count += batch.length;
+      batch = [];
+      log(`  ${path.basename(file)}: ${count} rows`);
+    }
+  }
+  if (batch.length) { flush(batch); count += batch.length; }
+  return count;
+}
+
+/**
+ * Import a CSV export of the standalone vPIC database into SQLite.
+ *
+ * `dir` must contain Wmi.csv, VinSchema.csv, Wmi_VinSchema.csv, Pattern.csv
+ * and Element.csv. Make_Model.csv and any Id/Name lookup table referenced by
+ * Element.LookupTable (Make.csv, Model.csv, BodyStyle.csv, ...) are imported
+ * when present. The database is built in a temp file and swapped in at the
+ * end so a running server never sees a half-imported snapshot.
+ *
+ * @param {string} dir - Directory containing the exported CSV files
+ * @param {object} [options]
+ * @param {string} [options.dbPath] - Output SQLite path (default data/vpic.db)
+ * @param {function} [options.log] - Progress logger
+ * @returns {object} Row counts per table
+ */
+export async function importVpic(dir, { dbPath = VPIC_DB_PATH, log = () => {} } = {}) {
+  const files = new Map();
+  for (const name of fs.readdirSync(dir)) {
+    if (name.toLowerCase().endsWith('.csv')) {
+      files.set(name.slice(0, -4).toLowerCase(), path.join(dir, name));
+    }
+  }
+
+  const missing = REQUIRED_TABLES.filter(t => !files.has(t));
+  if (missing.length) {
+    throw new Error(`Missing vPIC table export(s) in ${dir}: ${missing.map(t => `${t}.csv`).join(', ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const tmpPath = `${dbPath}.importing`;
+  fs.rmSync(tmpPath, { force: true });
+
+  const db = new Database(tmpPath);
+  db.pragma('journal_mode = OFF');
+  db.pragma('synchronous = OFF');
+  db.exec(SCHEMA);
+
+  const counts = {};
+  try {
+    for (const [table, spec] of Object.entries(TABLE_IMPORTS)) {
+      const file = files.get(table);
+      if (!file) continue;
+      log(`Importing ${path.basename(file)}`);
+      counts[table] = await importCsv(db, file, spec.sql, spec.row, log);
+    }
+
+    // Lookup tables: Make/Model/Manufacturer/VehicleType/Country plus every
+    // table the element definitions reference.
+    const lookupNames = new Set(['make', 'model', 'manufacturer', 'vehicletype', 'country']);
+    for (const { lookup_table } of db.prepare('SELECT DISTINCT lookup_table FROM element WHERE lookup_table IS NOT NULL').all()) {
+      lookupNames.add(lookup_table.toLowerCase());
+    }
+
+    for (const name of lookupNames) {
+      const file = files.get(name);
+      if (!file) continue;
+      const tbl = path.basename(file, path.extname(file));
+      log(`Importing ${path.basename(file)}`);
+      counts[tbl] = await importCsv(
+        db, file,
+        'INSERT OR REPLACE INTO lookup (tbl, id, name) VALUES (?, ?, ?)',
+        r => {
+          const id = intOrNull(col(r, 'Id'));
+          return id === null ? null : [tbl.toLowerCase(), id, strOrNull(col(r, 'Name'))];
+        },
+        log,
+      );
+    }
+
+    const meta = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+    meta.run('imported_at', new Date().toISOString());
+    meta.run('source_dir', path.resolve(dir));
+    meta.run('counts', JSON.stringify(counts));
+
+    db.exec('ANALYZE');
+    db.close();
+  } catch (err) {
+    db.close();
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+
+  fs.renameSync(tmpPath, dbPath);
+  closeLocalVpic();
+  return counts;
+}
+
+// ---------------------------------------------------------------------------
+// Decode
+// ---------------------------------------------------------------------------
+
+let vpicDb = null;
+let stmts = null;
+
+/**
+ * Open the local snapshot read-only on first use. Returns null when no
+ * snapshot has been imported.
+ */
+function openDb() {
+  if (vpicDb) return vpicDb;
+  if (!fs.existsSync(VPIC_DB_PATH)) return null;
+  try {
+    vpicDb = new Database(VPIC_DB_PATH, { readonly: true, fileMustExist: true });
+    stmts = {
+      wmi: vpicDb.prepare('SELECT * FROM wmi WHERE wmi = ?'),
+      schemas: vpicDb.prepare('SELECT vin_schema_id FROM wmi_vin_schema WHERE wmi_id = ? AND (year_from IS NULL OR year_from <= ?) AND (year_to IS NULL OR year_to >= ?)'),
+      schemasAnyYear: vpicDb.prepare('SELECT vin_schema_id FROM wmi_vin_schema WHERE wmi_id = ?'),
+      patterns: vpicDb.prepare(`
+        SELECT p.id, p.keys, p.attribute_id, e.id AS element_id, e.code, e.name, e.lookup_table
+        FROM pattern p JOIN element e ON e.id = p.element_id
+        WHERE p.vin_schema_id = ?`),
+      lookup: vpicDb.prepare('SELECT name FROM lookup WHERE tbl = ? AND id = ?'),
+      makeForModel: vpicDb.prepare('SELECT make_id FROM make_model WHERE model_id = ? LIMIT 1'),
+    };
+    return vpicDb;
+  } catch (err) {
+    console.error(`[vpic-local] cannot open ${VPIC_DB_PATH}:`, err.message);
+    vpicDb = null;
+    return null;
+  }
+}
+
+/**
+ * Close the local snapshot (it is reopened lazily on the next decode).
+ */
+export function closeLocalVpic() {
+  if (vpicDb) vpicDb.close();
+  vpicDb = null;
+  stmts = null;
+  keyRegexCache.clear();
+}
+
+/**
+ * Whether a local vPIC snapshot is available for offline decoding.
+ */
+export function isLocalVpicAvailable() {
+  return openDb() !== null;
+}
+
+/**
+ * Snapshot metadata (import time, row counts), or null if none imported.
+ */
+export function localVpicInfo() {
+  const db = openDb();
+  if (!db) return null;
+  const rows = db.prepare('SELECT key, value FROM meta').all();
+  const info = Object.fromEntries(rows.map(r => [r.key, r.value]));
+  if (info.counts) {
+    try { info.counts = JSON.parse(info.counts); } catch {}
+  }
+  return { path: VPIC_DB_PATH, ...info };
+}
+
+function lookupName(table, id) {
+  if (id === null || id === undefined) return null;
+  return stmts.lookup.get(String(table).toLowerCase(), Number(id))?.name ?? null;
+}
+
+// vPIC pattern keys use '*' for any character and SQL-Server style [A-C]
+// character classes. They are matched as a prefix of the VIN descriptor.
+const keyRegexCache = new Map();
+
+function keyRegex(keys) {
+  let re = keyRegexCache.get(keys);
+  if (re) return re;
+  let src = '^';
+  for (let i = 0; i < keys.length; i++) {
+    const ch = keys[i];
+    if (ch === '*') src += '.';
+    else if (ch === '[') {
+      const end = keys.indexOf(']', i);
+      if (end === -1) { src += '\\['; continue; }
+      src += `[${keys.slice(i + 1, end).replace(/[\\^]/g, '\\$&')}]`;
+      i = end;
+    } else src += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  re = new RegExp(src);
+  if (keyRegexCache.size > 50_000) keyRegexCache.clear();
+  keyRegexCache.set(keys, re);
+  return re;
+}
+
+/**
+ * Specificity of a pattern key: literal positions count fully, character
+ * classes partially, wildcards not at all.
+ */
+function keySpecificity(keys) {
+  let score = 0;
+  for (let i = 0; i < keys.length; i++) {
+    const ch = keys[i];
+    if (ch === '*' || ch === '|') continue;
+    if (ch === '[') {
+      const end = keys.indexOf(']', i);
+      if (end !== -1) { score += 0.5; i = end; continue; }
+    }
+    score += 1;
+  }
+  return score;
+}
+
+/**
+ * Decode a VIN against the local vPIC snapshot.
+ *
+ * Returns a flat record shaped like one entry of vPIC's DecodeVinValues
+ * `Results` array (Make, Model, ModelYear, BodyClass, ...), so callers can
+ * feed it straight into the same parser as a remote decode. ModelYear is
+ * `validateVin().year.resolved`, so it always agrees with the report's
+ * `validation.year`. Returns null when no snapshot is loaded or the WMI is
+ * unknown to it.
+ *
+ * @param {string} vin - 17-character VIN
+ * @returns {object|null} DecodeVinValues-style record
+ */
+export function decodeVinLocal(vin) {
+  try {
+    if (!openDb()) return null;
+    vin = normalizeVin(vin);
+    if (vin.length !== 17) return null;
+
+    // Small manufacturers (<1000 vehicles/yr) use '9' in position 3 and
+    // positions 12-14 as a WMI extension.
+    const wmiCode = vin[2] === '9' ? vin.slice(0, 3) + vin.slice(11, 14) : vin.slice(0, 3);
+    const wmi = stmts.wmi.get(wmiCode) || (wmiCode.length > 3 ? stmts.wmi.get(vin.slice(0, 3)) : null);
+    if (!wmi) return null;
+
+    const vehicleType = lookupName('VehicleType', wmi.vehicle_type_id);
+    const validation = validateVin(vin);
+    const modelYear = validation.year.resolved;
+
+    // Descriptor vPIC matches pattern keys against: VDS | VIS
+    const descriptor = `${vin.slice(3, 8)}|${vin.slice(9)}`;
+
+    // Without a model year every schema of the WMI is a candidate
+    const schemas = modelYear ? stmts.schemas.all(wmi.id, modelYear, modelYear) : stmts.schemasAnyYear.all(wmi.id);
+
+    const best = new Map(); // element_id -> { pattern, specificity }
+    for (const { vin_schema_id } of schemas) {
+      for (const p of stmts.patterns.all(vin_schema_id)) {
+        if (!keyRegex(p.keys).test(descriptor)) continue;
+        const specificity = keySpecificity(p.keys);
+        const current = best.get(p.element_id);
+        if (!current || specificity > current.specificity ||
+            (specificity === current.specificity && p.id > current.pattern.id)) {
+          best.set(p.element_id, { pattern: p, specificity });
+        }
+      }
+    }
+
+    const record = {
+      VIN: vin,
+      ModelYear: modelYear ? String(modelYear) : '',
+      Manufacturer: lookupName('Manufacturer', wmi.manufacturer_id) || '',
+      ManufacturerId: wmi.manufacturer_id != null ? String(wmi.manufacturer_id) : '',
+      VehicleType: vehicleType || '',
+    };
+
+    for (const { pattern: p } of best.values()) {
+      if (!p.code) continue;
+      const value = p.lookup_table ? lookupName(p.lookup_table, p.attribute_id) : p.attribute_id;
+      if (value === null || value === undefined) continue;
+      record[p.code] = String(value);
+      if (p.lookup_table && (p.code === 'Make' || p.code === 'Model')) {
+        record[`${p.code}ID`] = String(p.attribute_id);
+      }
+    }
+
+    // Make comes from the model's parent make, else the WMI's make
+    if (!record.Make) {
+      const makeId = (record.ModelID && stmts.makeForModel.get(Number(record.ModelID))?.make_id) ?? wmi.make_id;
+      const make = lookupName('Make', makeId);
+      if (make) { record.Make = make; record.MakeID = String(makeId); }
+    }
+
+    const checksumOk = validation.checksum.valid;
+    if (!record.Model) {
+      record.ErrorCode = '8';
+      record.ErrorText = '8 - No detailed data available currently';
+    } else if (!checksumOk) {
+      record.ErrorCode = '1';
+      record.ErrorText = '1 - Check Digit (9th position) does not calculate properly';
+    } else {
+      record.ErrorCode = '0';
+      record.ErrorText = '0 - VIN decoded clean. Check Digit (9th position) is correct';
+    }
+
+    return record;
+  } catch (err) {
+    console.error(`[vpic-local] decode error for ${vin}:`, err.message);
+    return null;
+  }
+}
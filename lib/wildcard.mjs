@@ -0,0 +1,166 @@
+// Partial / Wildcard VIN Expansion
+// Enumerates the VINs matching a partially legible pattern such as
+// 1HGCM82*33A00*352 whose check digit is valid. All computation is local.
+//
+// Wildcards: '*', '?' or '_' (one character each). Position 10 wildcards only
+// take legal model-year codes. One wildcard is never enumerated: it is solved
+// from the check-digit equation instead (or, if position 9 itself is unknown,
+// position 9 is simply computed), which cuts the search space by ~33x.
+
+import { TRANSLITERATION, WEIGHTS, VIN_CHARS, isYearCode, yearsForCode, knownWmi } from './validate.mjs';
+
+const WILDCARDS = new Set(['*', '?', '_']);
+
+// Upper bound on enumerated combinations (four wildcards). The whole search
+// runs synchronously on the request thread: the worst case, ~100,000 matches
+// in as many groups, takes a few hundred milliseconds.
+const MAX_ENUMERATION = 100_000;
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 5000;
+const SAMPLES_PER_GROUP = 3;
+const MAX_GROUPS = 100;
+// Groups are only built for the first distinct WMI + VDS + year codes;
+// beyond that they are counted, not described
+const MAX_TRACKED_GROUPS = 5000;
+
+const YEAR_CHARS = [...VIN_CHARS].filter(isYearCode);
+
+// Multiplicative inverses mod 11 (every weight except position 9's is invertible)
+const INVERSE_MOD_11 = Array.from({ length: 11 }, (_, w) => {
+  for (let x = 1; x < 11; x++) if ((w * x) % 11 === 1) return x;
+  return null;
+});
+
+function optionsFor(index) {
+  return index === 9 ? YEAR_CHARS : [...VIN_CHARS];
+}
+
+// ---------------------------------------------------------------------------
+// normalizePattern(pattern)
+// Uppercase, trim, strip spaces and dashes (wildcards are kept).
+// ---------------------------------------------------------------------------
+export function normalizePattern(pattern) {
+  if (typeof pattern !== 'string') return '';
+  return pattern.toUpperCase().trim().replace(/[\s\-]/g, '');
+}
+
+// ---------------------------------------------------------------------------
+// expandWildcardVin(pattern, { limit })
+// Enumerate checksum-valid VINs matching the pattern and group them by the
+// shared WMI + VDS + model-year code (the part that decodes to make, model
+// and year even when the serial number is unknown). Only the first
+// MAX_TRACKED_GROUPS groups are described (`groups_truncated`); the largest
+// MAX_GROUPS of those are returned.
+// ---------------------------------------------------------------------------
+export function expandWildcardVin(pattern, { limit = DEFAULT_LIMIT } = {}) {
+  const p = normalizePattern(pattern);
+  const max = Math.min(Math.max(1, limit), MAX_LIMIT);
+  const fail = error => ({ pattern: p, error, total_matches: 0, candidates: [], groups: [] });
+
+  if (p.length !== 17) return fail(`Pattern must be exactly 17 characters (got ${p.length})`);
+
+  const wildcards = [];
+  for (let i = 0; i < 17; i++) {
+    if (WILDCARDS.has(p[i])) wildcards.push(i);
+    else if (!(p[i] in TRANSLITERATION)) return fail(`Pattern contains invalid character '${p[i]}' at position ${i + 1}`);
+  }
+  if (p[9] && !WILDCARDS.has(p[9]) && !isYearCode(p[9])) {
+    return fail(`Position 10 '${p[9]}' is not a valid model-year code`);
+  }
+  if (!WILDCARDS.has(p[8]) && !/[0-9X]/.test(p[8])) {
+    return fail(`Position 9 '${p[8]}' cannot be a check digit (must be 0-9 or X)`);
+  }
+
+  // Solve for the check digit if it is unknown, otherwise for the last wildcard
+  const solver = wildcards.includes(8) ? 8 : wildcards[wildcards.length - 1];
+  const enumerated = wildcards.filter(i => i !== solver);
+  const options = enumerated.map(optionsFor);
+  const space = options.reduce((n, o) => n * o.length, 1);
+
+  if (space > MAX_ENUMERATION) {
+    return fail(`Too many wildcards: ${wildcards.length} unknown positions would need ${space.toLocaleString('en-US')} combinations (max ${MAX_ENUMERATION.toLocaleString('en-US')})`);
+  }
+
+  let fixedSum = 0;
+  for (let i = 0; i < 17; i++) {
+    if (!wildcards.includes(i)) fixedSum += TRANSLITERATION[p[i]] * WEIGHTS[i];
+  }
+  const target = p[8] === 'X' ? 10 : Number(p[8]);
+  const solverChars = solver === undefined ? [] : optionsFor(solver);
+
+  const chars = [...p];
+  const candidates = [];
+  const groups = new Map();
+  const untracked = new Set();
+  let total = 0;
+
+  const emit = vin => {
+    total++;
+    if (candidates.length < max) candidates.push(vin);
+    const key = vin.slice(0, 8) + vin[9];
+    let g = groups.get(key);
+    if (!g && groups.size >= MAX_TRACKED_GROUPS) {
+      untracked.add(key);
+      return;
+    }
+    if (!g) {
+      const wmi = vin.slice(0, 3);
+      g = {
+        wmi,
+        vds: vin.slice(3, 8),
+        year_code: vin[9],
+        manufacturer: knownWmi(wmi) || 'Unknown',
+        possible_years: yearsForCode(vin[9]),
+        count: 0,
+        sample_vins: [],
+      };
+      groups.set(key, g);
+    }
+    g.count++;
+    if (g.sample_vins.length < SAMPLES_PER_GROUP) g.sample_vins.push(vin);
+  };
+
+  // Odometer over the enumerated wildcard positions
+  const digits = new Array(enumerated.length).fill(0);
+  for (let n = 0; n < space; n++) {
+    let sum = fixedSum;
+    for (let k = 0; k < enumerated.length; k++) {
+      const ch = options[k][digits[k]];
+      chars[enumerated[k]] = ch;
+      sum += TRANSLITERATION[ch] * WEIGHTS[enumerated[k]];
+    }
+
+    if (solver === undefined) {
+      if (sum % 11 === target) emit(chars.join(''));
+    } else if (solver === 8) {
+      const r = sum % 11;
+      chars[8] = r === 10 ? 'X' : String(r);
+      emit(chars.join(''));
+    } else {
+      const needed = (((target - sum) % 11 + 11) % 11 * INVERSE_MOD_11[WEIGHTS[solver]]) % 11;
+      for (const ch of solverChars) {
+        if (TRANSLITERATION[ch] !== needed) continue;
+        chars[solver] = ch;
+        emit(chars.join(''));
+      }
+    }
+
+    for (let k = enumerated.length - 1; k >= 0; k--) {
+      if (++digits[k] < options[k].length) break;
+      digits[k] = 0;
+    }
+  }
+
+  return {
+    pattern: p,
+    wildcard_positions: wildcards.map(i => i + 1),
+    search_space: space * (solver === undefined || solver === 8 ? 1 : solverChars.length),
+    total_matches: total,
+    candidates,
+    truncated: total > candidates.length,
+    total_groups: groups.size + untracked.size,
+    groups_truncated: untracked.size > 0,
+    groups: [...groups.values()].sort((a, b) => b.count - a.count).slice(0, MAX_GROUPS),
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * WMI registry.
+ *
+ * Maps World Manufacturer Identifiers (VIN positions 1-3) to manufacturers
+ * and resolves the country of manufacture from the two-character ISO 3780
+ * ranges. The data lives in a versioned JSON file (data/wmi.json, override
+ * with WMI_DATA_PATH) rather than in code, and `importWmi()` refreshes it from
+ * vPIC's manufacturer/WMI listing (`npm run wmi:import`).
+ *
+ * File format (schema 1):
+ *   { schema, version, source,
+ *     countries: [{ from, to, country, region }],   // ISO 3780 ranges
+ *     manufacturers: { "1HG": "Honda", "1G9ABC": "..." } }
+ *
+ * Manufacturers building fewer than 1,000 vehicles a year share a WMI ending
+ * in 9 and are identified by VIN positions 12-14 as well; those are stored
+ * under 6-character keys.
+ */
+
+import path from 'node:path';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { upstreamFetch, UPSTREAM_BASES } from './provider.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const WMI_DATA_PATH = process.env.WMI_DATA_PATH || path.join(__dirname, '..', 'data', 'wmi.json');
+
+const SCHEMA_VERSION = 1;
+
+// ISO 3780 orders the second character A-Z (without I, O, Q), then 1-9, 0
+const RANGE_ORDER = 'ABCDEFGHJKLMNPRSTUVWXYZ1234567890';
+
+// Continent by first character, for codes outside every assigned range
+const REGIONS = [
+  [/^[A-H]/, 'Africa'],
+  [/^[J-R]/, 'Asia'],
+  [/^[S-Z]/, 'Europe'],
+  [/^[1-5]/, 'North America'],
+  [/^[67]/, 'Oceania'],
+  [/^[89]/, 'South America'],
+];
+
+const DEFAULT_SEARCH_LIMIT = 100;
+const MAX_SEARCH_LIMIT = 500;
+
+function readRegistry(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (data.schema !== SCHEMA_VERSION) {
+    throw new Error(`Unsupported WMI registry schema ${data.schema} in ${file} (expected ${SCHEMA_VERSION})`);
+  }
+  const countries = data.countries.map(c => ({
+    ...c,
+    lo: RANGE_ORDER.indexOf(c.from[1]),
+    hi: RANGE_ORDER.indexOf(c.to[1]),
+  }));
+  return {
+    file,
+    version: data.version,
+    source: data.source,
+    countries,
+    manufacturers: new Map(Object.entries(data.manufacturers)),
+  };
+}
+
+let registry = readRegistry(WMI_DATA_PATH);
+
+/**
+ * Re-read the registry file (e.g. after `npm run wmi:import`).
+ *
+ * @param {string} [file] - Registry JSON path (default: the current one)
+ * @returns {object} Registry info, as from wmiRegistryInfo()
+ */
+export function reloadWmiRegistry(file = registry.file) {
+  registry = readRegistry(file);
+  return wmiRegistryInfo();
+}
+
+/**
+ * Version, source and size of the loaded registry.
+ */
+export function wmiRegistryInfo() {
+  return {
+    version: registry.version,
+    source: registry.source,
+    manufacturers: registry.manufacturers.size,
+    country_ranges: registry.countries.length,
+  };
+}
+
+/**
+ * Country and region for a WMI (or VIN) from its first two characters.
+ *
+ * @param {string} code
+ * @returns {{ country: string, region: string }}
+ */
+export function countryFor(code) {
+  const first = code?.[0];
+  const idx = RANGE_ORDER.indexOf(code?.[1]);
+  const range = idx === -1 ? null : registry.countries.find(c => c.from[0] === first && idx >= c.lo && idx <= c.hi);
+  if (range) return { country: range.country, region: range.region };
+  const region = REGIONS.find(([re]) => re.test(first ?? ''));
+  return { country: 'Unknown', region: region ? region[1] : 'Unknown' };
+}
+
+/**
+ * Manufacturer for a WMI or a full VIN, or null if unknown. Given a VIN whose
+ * WMI ends in 9, the 6-character small-manufacturer code is tried first.
+ *
+ * @param {string} code - 3- or 6-character WMI, or a 17-character VIN
+ * @returns {string|null}
+ */
+export function manufacturerFor(code) {
+  if (typeof code !== 'string') return null;
+  if (code.length === 17 && code[2] === '9') {
+    const small = registry.manufacturers.get(code.slice(0, 3) + code.slice(11, 14));
+    if (small) return small;
+  }
+  if (code.length === 6) return registry.manufacturers.get(code) || null;
+  return registry.manufacturers.get(code.slice(0, 3)) || null;
+}
+
+function describe(code) {
+  const manufacturer = manufacturerFor(code);
+  return { code, known: manufacturer !== null, manufacturer, ...countryFor(code) };
+}
+
+/**
+ * Look up one WMI.
+ *
+ * @param {string} code - 3-character WMI, or 6 characters for small manufacturers
+ * @returns {object} { code, known, manufacturer, country, region, registry_version } or { error }
+ */
+export function lookupWmi(code) {
+  const c = String(code ?? '').toUpperCase().trim();
+  if (!/^[A-HJ-NPR-Z0-9]{3}([A-HJ-NPR-Z0-9]{3})?$/.test(c)) {
+    return { code: c, error: 'WMI must be 3 characters (or 6 for small manufacturers), without I, O or Q' };
+  }
+  return { ...describe(c), registry_version: registry.version };
+}
+
+/**
+ * Find WMIs by manufacturer name (case-insensitive substring match).
+ *
+ * @param {string} manufacturer
+ * @param {object} [opts]
+ * @param {number} [opts.limit=100] - Maximum results (max 500)
+ * @returns {object} { manufacturer, count, truncated, results, registry_version }
+ */
+export function searchWmi(manufacturer, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const query = String(manufacturer ?? '').trim();
+  const max = Math.min(Math.max(1, limit), MAX_SEARCH_LIMIT);
+  const needle = query.toLowerCase();
+
+  const matches = needle
+    ? [...registry.manufacturers].filter(([, name]) => name.toLowerCase().includes(needle)).map(([code]) => code).sort()
+    : [];
+  return {
+    manufacturer: query,
+    count: matches.length,
+    truncated: matches.length > max,
+    results: matches.slice(0, max).map(describe),
+    registry_version: registry.version,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Import from vPIC
+// ---------------------------------------------------------------------------
+
+async function vpicJson(pathAndQuery) {
+  const res = await upstreamFetch(`${UPSTREAM_BASES.vpic}/${pathAndQuery}`);
+  if (!res.ok) throw new Error(`vPIC ${pathAndQuery}: HTTP ${res.status}`);
+  return (await res.json()).Results || [];
+}
+
+// "RIVIAN AUTOMOTIVE, LLC" -> "Rivian Automotive, LLC" (vowel-less words are abbreviations)
+function titleCase(name) {
+  return String(name).trim().split(/\s+/)
+    .map(w => (/^[^AEIOUY]+$/i.test(w.replace(/[^A-Z]/gi, '')) ? w : w[0] + w.slice(1).toLowerCase()))
+    .join(' ');
+}
+
+/**
+ * Rebuild the registry file from vPIC: every manufacturer (GetAllManufacturers)
+ * and the WMIs assigned to it (GetWMIsForManufacturer). Names already in the
+ * current file win, so curated short names ("Honda") are kept; country ranges
+ * are carried over unchanged. The file is written atomically.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.out] - Output path (default WMI_DATA_PATH)
+ * @param {number} [opts.concurrency=4] - Parallel GetWMIsForManufacturer calls
+ * @param {number} [opts.maxPages] - Stop after this many manufacturer pages
+ * @param {function} [opts.log] - Progress logger
+ * @returns {Promise<object>} { version, manufacturers, added }
+ */
+export async function importWmi({ out = WMI_DATA_PATH, concurrency = 4, maxPages = Infinity, log = () => {} } = {}) {
+  const current = fs.existsSync(out) ? readRegistry(out) : registry;
+
+  const makers = [];
+  for (let page = 1; page <= maxPages; page++) {
+    const results = await vpicJson(`GetAllManufacturers?format=json&page=${page}`);
+    if (results.length === 0) break;
+    makers.push(...results);
+    log(`Manufacturers page ${page}: ${makers.length} so far`);
+  }
+
+  const imported = new Map();
+  let next = 0;
+  let done = 0;
+  const worker = async () => {
+    while (next < makers.length) {
+      const maker = makers[next++];
+      const name = maker.Mfr_CommonName || titleCase(maker.Mfr_Name);
+      try {
+        for (const row of await vpicJson(`GetWMIsForManufacturer/${maker.Mfr_ID}?format=json`)) {
+          const code = String(row.WMI || '').toUpperCase().trim();
+          if (/^[A-HJ-NPR-Z0-9]{3}([A-HJ-NPR-Z0-9]{3})?$/.test(code) && !imported.has(code)) imported.set(code, name);
+        }
+      } catch (err) {
+        log(`Skipping ${maker.Mfr_Name}: ${err.message}`);
+      }
+      if (++done % 500 === 0) log(`WMIs: ${done}/${makers.length} manufacturers`);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+
+  const merged = new Map([...imported, ...current.manufacturers]);
+  const version = new Date().toISOString().slice(0, 10);
+  const data = {
+    schema: SCHEMA_VERSION,
+    version,
+    source: 'vpic+curated',
+    countries: current.countries.map(({ from, to, country, region }) => ({ from, to, country, region })),
+    manufacturers: Object.fromEntries([...merged].sort(([a], [b]) => a.localeCompare(b))),
+  };
+
+  const tmp = `${out}.importing`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmp, out);
+  return { version, manufacturers: merged.size, added: merged.size - current.manufacturers.size };
+}
@@ -0,0 +1,257 @@
+// Minimal XLSX reader and writer (no dependencies).
+// An .xlsx workbook is a zip of XML parts. readXlsx() reads the values of the
+// first worksheet; writeXlsx() builds a one-sheet workbook from rows. Cell
+// styles, formulas and other sheets are not carried over: the spreadsheet
+// decoder only needs the values.
+
+import zlib from 'node:zlib';
+
+const MAX_PART_BYTES = 50 * 1024 * 1024; // inflated size of one zip entry
+
+// ---------------------------------------------------------------------------
+// Zip container
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Map of entry name -> () => Buffer, read from the central directory
+function readZip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) return null;
+
+  const entries = new Map();
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== 0x02014b50) return null;
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const nameLength = buf.readUInt16LE(p + 28);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLength);
+    p += 46 + nameLength + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+
+    entries.set(name, () => {
+      if (local + 30 > buf.length || buf.readUInt32LE(local) !== 0x04034b50) throw new Error(`Bad zip entry ${name}`);
+      const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+      const data = buf.subarray(start, start + size);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_BYTES });
+      throw new Error(`Unsupported zip compression method ${method}`);
+    });
+  }
+  return entries;
+}
+
+function writeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of files) {
+    const data = Buffer.from(content, 'utf8');
+    const packed = zlib.deflateRawSync(data);
+    const nameBuf = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);           // version needed
+    local.writeUInt16LE(8, 8);            // deflate
+    local.writeUInt16LE(0x21, 12);        // 1980-01-01
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);         // version made by
+    central.writeUInt16LE(20, 6);         // version needed
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, packed);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + packed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// ---------------------------------------------------------------------------
+// XML helpers
+// ---------------------------------------------------------------------------
+
+function unescapeXml(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (m, e) => {
+    if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[e.toLowerCase()];
+  });
+}
+
+function escapeXml(s) {
+  return s
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function attr(attrs, name) {
+  const m = attrs.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return m ? unescapeXml(m[1]) : undefined;
+}
+
+// Text of every <t> run, skipping phonetic (<rPh>) runs
+function runText(xml) {
+  let text = '';
+  for (const m of xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) text += unescapeXml(m[1]);
+  return text;
+}
+
+// "BC12" -> 54 (0-based column index)
+function columnIndex(ref) {
+  let n = 0;
+  for (const ch of ref.match(/^[A-Z]+/)[0]) n = n * 26 + ch.charCodeAt(0) - 64;
+  return n - 1;
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  return name;
+}
+
+// Worksheet part of the first sheet in workbook order
+function firstSheetPath(entries) {
+  const text = name => entries.has(name) ? entries.get(name)().toString('utf8') : null;
+  const workbook = text('xl/workbook.xml');
+  const rels = text('xl/_rels/workbook.xml.rels');
+  const sheet = workbook?.match(/<sheet\b([^>]*)\/?>/);
+  if (!sheet || !rels) return { path: 'xl/worksheets/sheet1.xml', name: null };
+
+  const id = sheet[1].match(/\s\w+:id="([^"]+)"/)?.[1];
+  for (const [, attrs] of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    if (attr(attrs, 'Id') !== id) continue;
+    const target = attr(attrs, 'Target');
+    return { path: target.startsWith('/') ? target.slice(1) : `xl/${target}`, name: attr(sheet[1], 'name') ?? null };
+  }
+  return { path: 'xl/worksheets/sheet1.xml', name: attr(sheet[1], 'name') ?? null };
+}
+
+// ---------------------------------------------------------------------------
+// readXlsx(buffer)
+// Values of the first worksheet as rows of cells: numbers stay numbers,
+// booleans booleans, everything else (shared, inline and formula strings)
+// becomes a string; missing cells are ''. Date cells come back as Excel
+// serial numbers. Returns { rows, sheet } or { error }.
+// ---------------------------------------------------------------------------
+export function readXlsx(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) return { error: 'Expected an XLSX body' };
+  try {
+    const entries = readZip(buffer);
+    if (!entries?.has('[Content_Types].xml')) return { error: 'Not an XLSX workbook' };
+
+    const shared = [];
+    if (entries.has('xl/sharedStrings.xml')) {
+      for (const m of entries.get('xl/sharedStrings.xml')().toString('utf8').matchAll(/<si>([\s\S]*?)<\/si>|<si\s*\/>/g)) {
+        shared.push(m[1] === undefined ? '' : runText(m[1]));
+      }
+    }
+
+    const sheet = firstSheetPath(entries);
+    if (!entries.has(sheet.path)) return { error: 'The workbook has no worksheet' };
+    const xml = entries.get(sheet.path)().toString('utf8');
+
+    const rows = [];
+    for (const [, rowAttrs, rowXml = ''] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      const r = Number(attr(rowAttrs, 'r'));
+      while (r && rows.length < r - 1) rows.push([]); // rows Excel left out are blank
+      const cells = [];
+      for (const [, cellAttrs, cellXml = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const ref = attr(cellAttrs, 'r');
+        const col = ref ? columnIndex(ref) : cells.length;
+        const type = attr(cellAttrs, 't') ?? 'n';
+        const raw = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+        let value = '';
+        if (type === 'inlineStr') value = runText(cellXml.match(/<is>([\s\S]*?)<\/is>/)?.[1] ?? '');
+        else if (raw === undefined) value = '';
+        else if (type === 's') value = shared[Number(raw)] ?? '';
+        else if (type === 'b') value = raw === '1';
+        else if (type === 'n') value = Number(raw);
+        else value = unescapeXml(raw);
+        while (cells.length < col) cells.push('');
+        cells[col] = value;
+      }
+      rows.push(cells);
+    }
+    while (rows.length > 0 && rows[rows.length - 1].length === 0) rows.pop();
+    return { rows, sheet: sheet.name };
+  } catch (err) {
+    return { error: `Could not read the workbook: ${err.message}` };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// writeXlsx(rows, { sheet })
+// One-sheet workbook. Numbers and booleans keep their cell type, strings are
+// written inline, null/undefined/'' leave the cell empty. Returns a Buffer.
+// ---------------------------------------------------------------------------
+export function writeXlsx(rows, { sheet = 'Sheet1' } = {}) {
+  const body = rows.map((cells, r) => {
+    const xml = cells.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      if (value === null || value === undefined || value === '') return '';
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${xml}</row>`;
+  }).join('');
+
+  const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const pkg = 'http://schemas.openxmlformats.org/package/2006';
+  // Sheet names are at most 31 characters and may not contain []:*?/\
+  const name = escapeXml(String(sheet).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1');
+
+  return writeZip([
+    ['[Content_Types].xml', `${header}<Types xmlns="${pkg}/content-types">`
+      + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+      + '<Default Extension="xml" ContentType="application/xml"/>'
+      + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+      + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      + '</Types>'],
+    ['_rels/.rels', `${header}<Relationships xmlns="${pkg}/relationships">`
+      + `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+    ['xl/workbook.xml', `${header}<workbook xmlns="${main}" xmlns:r="${rel}">`
+      + `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets></workbook>`],
+    ['xl/_rels/workbook.xml.rels', `${header}<Relationships xmlns="${pkg}/relationships">`
+      + `<Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`],
+    ['xl/worksheets/sheet1.xml', `${header}<worksheet xmlns="${main}"><sheetData>${body}</sheetData></worksheet>`],
+  ]);
+}
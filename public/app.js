@@ -22,10 +22,14 @@ let savedVinsList = [];
 const VIN_RE = /^[A-HJ-NPR-Z0-9]{17}$/i;
 const TRANSLITERATION = {A:1,B:2,C:3,D:4,E:5,F:6,G:7,H:8,J:1,K:2,L:3,M:4,N:5,P:7,R:9,S:2,T:3,U:4,V:5,W:6,X:7,Y:8,Z:9};
 const WEIGHTS = [8,7,6,5,4,3,2,10,0,9,8,7,6,5,4,3,2];
+// North American WMI ranges (1-5, 7F-70); elsewhere the check digit is optional (ISO 3779)
+const NA_WMI_RE = /^([1-5]|7[F-HJ-NPR-Z0-9])/;
 
 function quickValidate(vin) {
   vin = vin.toUpperCase().trim();
-  if (vin.length !== 17) return { valid: false, error: `VIN must be 17 characters (got ${vin.length})` };
+  // 9-13 characters may be a pre-1981 serial; the server decides
+  if (vin.length >= 9 && vin.length <= 13 && /^[A-Z0-9]+$/.test(vin)) return { valid: true, legacy: true };
+  if (vin.length !== 17) return { valid: false, error: `VIN must be 17 characters, or 9-13 for a pre-1981 serial (got ${vin.length})` };
   if (!VIN_RE.test(vin)) return { valid: false, error: 'VIN contains invalid characters (I, O, Q not allowed)' };
 
   // Checksum
@@ -38,7 +42,7 @@ function quickValidate(vin) {
   }
   const remainder = sum % 11;
   const expected = remainder === 10 ? 'X' : String(remainder);
-  if (vin[8] !== expected) return { valid: false, error: `Checksum invalid (expected ${expected}, got ${vin[8]})` };
+  if (vin[8] !== expected && NA_WMI_RE.test(vin)) return { valid: false, error: `Checksum invalid (expected ${expected}, got ${vin[8]})` };
 
   return { valid: true };
 }
@@ -53,6 +57,7 @@ form.addEventListener('submit', async (e) => {
   if (!check.valid) {
     showInputError(check.error);
     input.classList.add('invalid');
+    if (vin.length === 17) showSuggestions(vin);
     return;
   }
 
@@ -70,6 +75,15 @@ form.addEventListener('submit', async (e) => {
     const report = await res.json();
     currentReport = report;
 
+    if (report.pre_standard) {
+      saveToHistory(vin, report);
+      renderLegacy(report);
+      hero.classList.add('compact');
+      results.hidden = false;
+      results.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      return;
+    }
+
     if (!report.valid) {
       showInputError('Invalid VIN — validation failed');
       return;
@@ -111,11 +125,14 @@ $$('[data-vin]').forEach(el => {
 
 // ── Render Results ──
 function renderResults(report) {
+  results.classList.remove('legacy-mode');
+  renderDecodeBanner(report);
   renderHero(report);
   renderOverview(report);
   renderEngine(report);
   renderSafetyRatings(report);
   renderFuel(report);
+  renderBreakdown(report);
   renderRecalls(report);
   renderComplaints(report);
   renderSafetyEquipment(report);
@@ -123,6 +140,40 @@ function renderResults(report) {
   renderRaw(report);
 }
 
+// ── Pre-standard (pre-1981) VIN ──
+function renderLegacy(r) {
+  const l = r.legacy;
+  const years = l.year_range
+    ? (l.year_range.from === l.year_range.to ? l.year_range.from : l.possible_years.join(' or '))
+    : null;
+
+  results.classList.add('legacy-mode');
+  $('#decode-banner').hidden = true;
+  $('#vehicle-title').textContent = [years, l.make, l.model].filter(Boolean).join(' ') || l.manufacturer;
+  $('#vin-display').innerHTML = `<span class="vin-seg">${esc(r.vin)}</span>`;
+  $('#hero-badges').innerHTML = `<span class="badge badge-neutral">Pre-standard VIN</span><span class="badge badge-neutral">${esc(l.format)}</span>`;
+
+  const rows = [
+    ['Format', l.format],
+    ['Manufacturer', l.manufacturer],
+    ['Make', l.make],
+    ['Model', l.model],
+    ['Model Year', years],
+    ['Body', l.body ? [l.body.description, `code ${l.body.code}`].filter(Boolean).join(' — ') : null],
+    ['Series Code', l.series_code],
+    ['Price Class', l.price_class],
+    ['Engine Code', l.engine_code],
+    ['Serial Number', l.serial],
+  ];
+  $('#overview-body').innerHTML = rows.map(([label, v]) => dataRow(label, v)).join('');
+
+  $('#plant-body').innerHTML = [
+    ['Manufacturer', l.manufacturer],
+    ['Plant Code', l.plant?.code],
+    ['Plant', l.plant?.name],
+  ].map(([label, v]) => dataRow(label, v)).join('');
+}
+
 // ── Hero ──
 function renderHero(r) {
   const v = r.vehicle;
@@ -142,12 +193,18 @@ function renderHero(r) {
 
   // Badges
   const badges = [];
-  badges.push(`<span class="badge badge-green">Checksum Valid</span>`);
+  if (r.validation?.checksum?.valid === false) {
+    badges.push(`<span class="badge badge-neutral" title="${esc(r.validation.rules?.reason || '')}">No Check Digit (ISO 3779)</span>`);
+  } else {
+    badges.push(`<span class="badge badge-green">Checksum Valid</span>`);
+  }
   if (v.body_class) badges.push(`<span class="badge badge-neutral">${esc(v.body_class)}</span>`);
   if (v.vehicle_type) badges.push(`<span class="badge badge-neutral">${esc(v.vehicle_type)}</span>`);
 
   const recallCount = r.recalls?.count || 0;
-  if (recallCount > 0) {
+  if (isDegraded(r.recalls)) {
+    badges.push(`<span class="badge badge-orange">Recalls Unavailable</span>`);
+  } else if (recallCount > 0) {
     badges.push(`<span class="badge badge-red">${recallCount} Recall${recallCount > 1 ? 's' : ''}</span>`);
   } else {
     badges.push(`<span class="badge badge-green">No Recalls</span>`);
@@ -194,11 +251,41 @@ function renderHero(r) {
   }
 }
 
+// ── Decode quality banner ──
+function renderDecodeBanner(r) {
+  const banner = $('#decode-banner');
+  const q = r.decode_quality;
+  if (!q || q.trusted) {
+    banner.hidden = true;
+    banner.innerHTML = '';
+    return;
+  }
+
+  const heading = q.level === 'error'
+    ? 'NHTSA could only partially decode this VIN — treat the details below with caution.'
+    : 'NHTSA decoded this VIN with warnings.';
+  const positions = q.unresolved_positions?.length
+    ? `<div>Unresolved position${q.unresolved_positions.length > 1 ? 's' : ''}: ${q.unresolved_positions.join(', ')}</div>`
+    : '';
+  const suggested = q.suggested_vin && q.suggested_vin !== r.vin
+    ? `<div>Suggested VIN: <code>${esc(q.suggested_vin)}</code></div>`
+    : '';
+
+  banner.className = `decode-banner decode-${q.level}`;
+  banner.innerHTML = `
+    <strong>${heading}</strong>
+    <ul>${(q.messages || []).map(m => `<li>${esc(m)}</li>`).join('')}</ul>
+    ${positions}${suggested}
+  `;
+  banner.hidden = false;
+}
+
 // ── Overview Card ──
 function renderOverview(r) {
   const v = r.vehicle;
+  const y = r.validation?.year;
   const rows = [
-    ['Year', v.year],
+    ['Year', v.year_source === 'vin' && y ? `${v.year} (from VIN, ${y.confidence} confidence)` : v.year],
     ['Make', v.make],
     ['Model', v.model],
     ['Trim', v.trim],
@@ -233,6 +320,10 @@ function renderEngine(r) {
 // ── Safety Ratings Card ──
 function renderSafetyRatings(r) {
   const s = r.safety_ratings;
+  if (isDegraded(s)) {
+    $('#safety-ratings-body').innerHTML = degradedHTML('Safety ratings');
+    return;
+  }
   if (!s || !s.rated) {
     $('#safety-ratings-body').innerHTML = '<div class="empty-state">No safety ratings available for this vehicle</div>';
     return;
@@ -242,6 +333,7 @@ function renderSafetyRatings(r) {
     <div class="overall-rating">
       <div class="stars stars-lg">${starsHTML(s.overall)}</div>
       <div class="overall-label">Overall Safety Rating</div>
+      ${matchNoteHTML(s.match, s.variants?.length || 0, 'rated variants')}
     </div>
   `;
 
@@ -269,6 +361,10 @@ function renderSafetyRatings(r) {
 // ── Fuel Economy Card ──
 function renderFuel(r) {
   const f = r.fuel_economy;
+  if (isDegraded(f)) {
+    $('#fuel-body').innerHTML = degradedHTML('Fuel economy data');
+    return;
+  }
   if (!f || !f.available) {
     $('#fuel-body').innerHTML = '<div class="empty-state">No fuel economy data available</div>';
     return;
@@ -293,15 +389,38 @@ function renderFuel(r) {
     ['kWh/100mi', f.kwh_per_100mi],
   ];
 
-  $('#fuel-body').innerHTML = mpgRow + details.map(([l, v]) => dataRow(l, v)).join('');
+  const alts = f.alternatives || [];
+  const alternatives = alts.length ? `
+    <button class="show-more-btn" onclick="toggleAlternatives(this)">Other possible configurations (${alts.length})</button>
+    <div class="alt-list" hidden>${alts.map(a => `
+      <div class="alt-item">
+        <div class="alt-desc">${esc(a.description || [a.transmission, a.drive].filter(Boolean).join(', '))}</div>
+        <div class="alt-mpg">${[a.city_mpg, a.highway_mpg, a.combined_mpg].map(v => v ?? '&ndash;').join(' / ')} <span class="alt-mpg-label">city / hwy / comb</span></div>
+      </div>`).join('')}</div>
+  ` : '';
+
+  $('#fuel-body').innerHTML = mpgRow + matchNoteHTML(f.match, alts.length + 1, 'EPA configurations')
+    + details.map(([l, v]) => dataRow(l, v)).join('') + alternatives;
 }
 
+window.toggleAlternatives = function(btn) {
+  const list = btn.nextElementSibling;
+  list.hidden = !list.hidden;
+};
+
 // ── Recalls Card ──
 function renderRecalls(r) {
   const rec = r.recalls;
   const count = rec?.count || 0;
   const badge = $('#recall-count');
 
+  if (isDegraded(rec)) {
+    badge.textContent = '?';
+    badge.className = 'count-badge count-orange';
+    $('#recalls-body').innerHTML = degradedHTML('Recall data');
+    return;
+  }
+
   if (count === 0) {
     badge.textContent = '0';
     badge.className = 'count-badge count-green';
@@ -350,6 +469,13 @@ function renderComplaints(r) {
   const count = c?.count || 0;
   const badge = $('#complaint-count');
 
+  if (isDegraded(c)) {
+    badge.textContent = '?';
+    badge.className = 'count-badge count-orange';
+    $('#complaints-body').innerHTML = degradedHTML('Complaint data');
+    return;
+  }
+
   if (count === 0) {
     badge.textContent = '0';
     badge.className = 'count-badge count-green';
@@ -463,6 +589,51 @@ function renderSafetyEquipment(r) {
   $('#safety-equip-body').innerHTML = `<div class="equip-grid">${html}</div>`;
 }
 
+// ── VIN Breakdown Card ──
+const SECTION_CLASSES = { wmi: 'vin-wmi', vds: 'vin-vds', check: 'vin-check', year: 'vin-year', plant: 'vin-plant', serial: 'vin-seq' };
+
+async function renderBreakdown(r) {
+  const body = $('#breakdown-body');
+  body.innerHTML = '<div class="empty-state">Loading breakdown...</div>';
+  try {
+    const res = await fetch(`/api/vin/${encodeURIComponent(r.vin)}/explain`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const explained = await res.json();
+    if (currentReport?.vin !== r.vin) return; // another VIN was decoded meanwhile
+
+    const strip = explained.positions.map(p => `
+      <button type="button" class="breakdown-char ${SECTION_CLASSES[p.section]}" data-position="${p.position}" title="${esc(p.meaning)}">
+        <span class="breakdown-pos">${p.position}</span>${esc(p.character)}
+      </button>`).join('');
+    const c = explained.checksum;
+    body.innerHTML = `
+      <div class="breakdown-strip">${strip}</div>
+      <div class="breakdown-detail" id="breakdown-detail"></div>
+      <div class="breakdown-checksum">Checksum: weighted sum ${c.sum} mod 11 = ${c.remainder} &rarr; check digit <strong>${esc(c.expected)}</strong>, VIN has <strong>${esc(c.actual)}</strong>${c.valid ? '' : c.required ? ' (mismatch)' : ' (advisory only)'}</div>`;
+
+    const select = (position) => {
+      const p = explained.positions[position - 1];
+      const section = explained.sections.find(s => s.section === p.section);
+      $$('.breakdown-char', body).forEach(el => el.classList.toggle('active', Number(el.dataset.position) === position));
+      const sources = [...p.interpretations, ...section.interpretations].map(i => `
+        <li><span class="breakdown-source source-${i.source}">${i.source === 'vpic' ? `vPIC ${esc(i.element)}` : esc(i.table)}</span>${esc(i.meaning)}</li>`).join('');
+      $('#breakdown-detail').innerHTML = `
+        <div class="breakdown-heading">Position ${p.position} &middot; <span class="breakdown-heading-char">${esc(p.character)}</span> &middot; ${esc(section.label)} (${esc(section.positions)})</div>
+        <div class="breakdown-meaning">${esc(p.meaning)}</div>
+        <div class="breakdown-math">Value ${p.value ?? '?'} &times; weight ${p.weight} = ${p.product ?? '?'}</div>
+        ${sources ? `<ul class="breakdown-sources">${sources}</ul>` : ''}`;
+    };
+    $$('.breakdown-char', body).forEach(el => {
+      const position = Number(el.dataset.position);
+      el.addEventListener('click', () => select(position));
+      el.addEventListener('mouseenter', () => select(position));
+    });
+    select(1);
+  } catch {
+    body.innerHTML = '<div class="empty-state">Breakdown unavailable</div>';
+  }
+}
+
 // ── Plant / Manufacturing Card ──
 function renderPlant(r) {
   const p = r.plant || {};
@@ -517,6 +688,24 @@ $$('.card-title-toggle').forEach(el => {
 });
 
 // ── Helpers ──
+
+// A section whose upstream source failed (as opposed to one with no data)
+function isDegraded(section) {
+  return !!section && section.status !== undefined && section.status !== 'ok';
+}
+
+// Which source record was matched to this VIN, and how confidently
+function matchNoteHTML(match, total, noun) {
+  if (!match || total < 2) return '';
+  const pct = Math.round((match.confidence || 0) * 100);
+  const level = pct >= 75 ? 'high' : pct >= 40 ? 'medium' : 'low';
+  return `<div class="match-note match-${level}" title="${esc((match.reasons || []).join('; '))}">Matched ${esc(match.description || '')} &middot; ${pct}% confidence (${total} ${noun})</div>`;
+}
+
+function degradedHTML(what) {
+  return `<div class="empty-state">${esc(what)} temporarily unavailable — the source could not be reached. Try again shortly.</div>`;
+}
+
 function dataRow(label, value) {
   if (value == null || value === '') return '';
   return `<div class="data-row"><span class="data-label">${esc(label)}</span><span class="data-value">${esc(String(value))}</span></div>`;
@@ -546,6 +735,23 @@ function showInputError(msg) {
   inputError.textContent = msg;
   inputError.hidden = false;
 }
+// Append "Did you mean" links for likely intended VINs to the input error
+async function showSuggestions(vin) {
+  try {
+    const res = await fetch(`/api/vin/${encodeURIComponent(vin)}/suggest?limit=3`);
+    if (!res.ok) return;
+    const { suggestions } = await res.json();
+    if (!suggestions?.length || inputError.hidden) return;
+    const links = suggestions.map(s => `<a href="#" class="suggest-link" data-suggest="${esc(s.vin)}">${esc(s.vin)}</a>`).join(', ');
+    inputError.insertAdjacentHTML('beforeend', `<div class="input-suggest">Did you mean ${links}?</div>`);
+    $$('[data-suggest]', inputError).forEach(a => a.addEventListener('click', (e) => {
+      e.preventDefault();
+      input.value = a.dataset.suggest;
+      form.dispatchEvent(new Event('submit'));
+    }));
+  } catch { /* suggestions are best-effort */ }
+}
+
 function hideInputError() {
   inputError.hidden = true;
 }
@@ -587,6 +793,52 @@ window.copyCode = function(btn) {
   });
 };
 
+// ── Spreadsheet decoding ──
+// Uploads a CSV or XLSX workbook and downloads it back with decoded columns appended
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const sheetFile = $('#sheet-file');
+const sheetBtn = $('#sheet-btn');
+
+sheetFile.addEventListener('change', () => { sheetBtn.disabled = !sheetFile.files.length; });
+
+$('#sheet-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const file = sheetFile.files[0];
+  if (!file) return;
+  if (/\.xls$/i.test(file.name)) {
+    toast('Legacy .xls files are not supported - save the sheet as .xlsx or CSV first', 'error');
+    return;
+  }
+  const workbook = /\.xlsx$/i.test(file.name);
+
+  sheetBtn.disabled = true;
+  sheetBtn.textContent = 'Decoding...';
+  try {
+    const res = await fetch('/api/batch/csv', {
+      method: 'POST',
+      headers: { ...authHeaders(), 'Content-Type': workbook ? XLSX_TYPE : 'text/csv' },
+      body: file,
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `Upload failed (HTTP ${res.status})`);
+    }
+    const blob = await res.blob();
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = workbook ? file.name.replace(/\.xlsx$/i, '-decoded.xlsx') : file.name.replace(/(\.csv)?$/i, '-decoded.csv');
+    a.click();
+    URL.revokeObjectURL(a.href);
+    toast(`Decoded ${res.headers.get('X-Rows-Decoded')} of ${res.headers.get('X-Rows')} rows`);
+  } catch (err) {
+    toast(err.message, 'error');
+  } finally {
+    sheetBtn.disabled = !sheetFile.files.length;
+    sheetBtn.textContent = 'Decode file';
+  }
+});
+
 // ── History ──
 const HISTORY_KEY = 'vin-history';
 const MAX_HISTORY = 15;
@@ -1074,6 +1326,28 @@ if (typeof navigator !== 'undefined' && navigator.modelContext) {
     },
   });
 
+  navigator.modelContext.registerTool({
+    name: 'explain_vin',
+    description: 'Explain a VIN character by character: section, meaning, check-digit value and weight, and the source of each interpretation (local table or vPIC).',
+    inputSchema: vinParam,
+    execute: async ({ vin }) => {
+      const res = await fetch(`/api/vin/${encodeURIComponent(vin)}/explain`);
+      if (!res.ok) return { error: `Explanation failed: HTTP ${res.status}` };
+      return await res.json();
+    },
+  });
+
+  navigator.modelContext.registerTool({
+    name: 'suggest_vin_corrections',
+    description: 'Suggest likely intended VINs for a VIN that fails validation (typos, OCR confusions, swapped characters).',
+    inputSchema: vinParam,
+    execute: async ({ vin }) => {
+      const res = await fetch(`/api/vin/${encodeURIComponent(vin)}/suggest`);
+      if (!res.ok) return { error: `Suggestion lookup failed: HTTP ${res.status}` };
+      return await res.json();
+    },
+  });
+
   navigator.modelContext.registerTool({
     name: 'lookup_recalls',
     description: 'Look up NHTSA safety recalls for a vehicle by VIN. Returns recall campaigns, affected components, consequences, and remedies.',
@@ -1137,7 +1411,7 @@ if (typeof navigator !== 'undefined' && navigator.modelContext) {
     },
   });
 
-  console.log('[WebMCP] 7 VIN tools registered for browser AI agents');
+  console.log('[WebMCP] 9 VIN tools registered for browser AI agents');
 }
 
 // ── Init ──
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Generate synthetic VINs with valid check digits for test and demo data.
+//
+// Usage: node scripts/generate-vins.mjs --wmi 1HG --year 2021 [--vds CM8**] [--plant A] [--count 10] [--seed 42] [--json]
+//        node scripts/generate-vins.mjs --complete 1HGCM8263A004352
+
+import { generateVins, completeCheckDigit, MAX_COUNT } from '../lib/generate.mjs';
+
+const args = process.argv.slice(2);
+const opt = name => {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+};
+
+if (args.includes('--help') || args.length === 0) {
+  console.error('Usage: node scripts/generate-vins.mjs --wmi 1HG --year 2021 [--vds CM8**] [--plant A] [--count 10] [--seed 42] [--json]');
+  console.error('       node scripts/generate-vins.mjs --complete 1HGCM8263A004352');
+  console.error('');
+  console.error('Prints one VIN per line. --vds is positions 4-8; use * for characters to randomise.');
+  console.error(`--count is at most ${MAX_COUNT}. The same --seed always gives the same VINs.`);
+  console.error('--complete fills in the check digit for 16 known characters (or 17 with * in position 9).');
+  process.exit(0);
+}
+
+const json = args.includes('--json');
+
+if (opt('--complete') !== undefined) {
+  const result = completeCheckDigit(opt('--complete'));
+  if (result.error) {
+    console.error(result.error);
+    process.exit(1);
+  }
+  console.log(json ? JSON.stringify(result, null, 2) : result.vin);
+  process.exit(0);
+}
+
+// Numeric seeds stay numbers so they match the MCP tool and REST endpoint
+const seedArg = opt('--seed');
+const seed = seedArg !== undefined && /^\d+$/.test(seedArg) ? Number(seedArg) : seedArg;
+
+const result = generateVins({
+  wmi: opt('--wmi'),
+  year: parseInt(opt('--year'), 10),
+  vds: opt('--vds'),
+  plant: opt('--plant'),
+  count: opt('--count') !== undefined ? parseInt(opt('--count'), 10) : undefined,
+  seed,
+});
+if (result.error) {
+  console.error(result.error);
+  process.exit(1);
+}
+
+if (json) {
+  console.log(JSON.stringify(result, null, 2));
+} else {
+  for (const warning of result.warnings) console.error(`Warning: ${warning}`);
+  console.error(`Seed: ${result.seed}`);
+  console.log(result.vins.join('\n'));
+}
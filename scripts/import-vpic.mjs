@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Import a CSV export of NHTSA's standalone vPIC database for offline decoding.
+//
+// Usage: node scripts/import-vpic.mjs <csv-dir> [--db path/to/vpic.db]
+
+import { importVpic, VPIC_DB_PATH } from '../lib/vpic-local.mjs';
+
+const args = process.argv.slice(2);
+const dbIdx = args.indexOf('--db');
+const dbPath = dbIdx !== -1 ? args[dbIdx + 1] : VPIC_DB_PATH;
+const dir = args.find((a, i) => !a.startsWith('--') && (dbIdx === -1 || i !== dbIdx + 1));
+
+if (!dir) {
+  console.error('Usage: node scripts/import-vpic.mjs <csv-dir> [--db path/to/vpic.db]');
+  console.error('');
+  console.error('<csv-dir> must contain Wmi.csv, VinSchema.csv, Wmi_VinSchema.csv, Pattern.csv');
+  console.error('and Element.csv exported from the standalone vPIC database, plus any lookup');
+  console.error('tables (Make.csv, Model.csv, Make_Model.csv, BodyStyle.csv, ...).');
+  process.exit(1);
+}
+
+const start = Date.now();
+try {
+  const counts = await importVpic(dir, { dbPath, log: msg => console.error(msg) });
+  console.error(`Imported vPIC snapshot into ${dbPath} in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+  for (const [table, n] of Object.entries(counts)) console.error(`  ${table}: ${n}`);
+} catch (err) {
+  console.error(`Import failed: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// Refresh the WMI registry (data/wmi.json) from vPIC's manufacturer listing.
+//
+// Usage: node scripts/import-wmi.mjs [--out path/to/wmi.json] [--concurrency 4] [--max-pages N]
+
+import { importWmi, WMI_DATA_PATH } from '../lib/wmi.mjs';
+
+const args = process.argv.slice(2);
+const opt = name => {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+};
+
+if (args.includes('--help')) {
+  console.error('Usage: node scripts/import-wmi.mjs [--out path/to/wmi.json] [--concurrency 4] [--max-pages N]');
+  console.error('');
+  console.error('Fetches every manufacturer and its WMIs from the vPIC API and merges them into');
+  console.error('the registry. Names already in the registry are kept.');
+  process.exit(0);
+}
+
+const out = opt('--out') || WMI_DATA_PATH;
+const concurrency = parseInt(opt('--concurrency'), 10) || 4;
+const maxPages = parseInt(opt('--max-pages'), 10) || Infinity;
+
+const start = Date.now();
+try {
+  const result = await importWmi({ out, concurrency, maxPages, log: msg => console.error(msg) });
+  console.error(`Wrote WMI registry ${result.version} to ${out} in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+  console.error(`  manufacturers: ${result.manufacturers} (${result.added} new)`);
+} catch (err) {
+  console.error(`Import failed: ${err.message}`);
+  process.exit(1);
+}
@@ -7,11 +7,24 @@ import path from 'node:path';
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import * as z from 'zod/v4';
-import { validateVin, normalizeVin } from './lib/validate.mjs';
+import { validateVin, normalizeVin, VALIDATION_MODES } from './lib/validate.mjs';
+import { suggestCorrections } from './lib/suggest.mjs';
+import { expandWildcardVin } from './lib/wildcard.mjs';
+import { lookupWmi, searchWmi, wmiRegistryInfo } from './lib/wmi.mjs';
+import { explainVin } from './lib/explain.mjs';
+import { extractVins, EXTRACT_FORMATS } from './lib/extract.mjs';
+import { parseVinList, validateBulk, MAX_BULK_VINS, BULK_ROW_FILTERS } from './lib/bulk.mjs';
+import { generateVins, completeCheckDigit, MAX_COUNT as MAX_GENERATED_VINS } from './lib/generate.mjs';
+import { startJobRunner, createJob, getJob, cancelJob, jobResults, iterateJobResults, jobStats, pruneOldJobs, JOB_KINDS, JOB_SECTIONS, MAX_JOB_VINS } from './lib/jobs.mjs';
+import { csvRow, flattenRecord } from './lib/csv.mjs';
+import { decodeSpreadsheet, decodeWorkbook, sheetColumns } from './lib/spreadsheet.mjs';
 import { decodeVin as nhtsaDecode, batchDecode, getRecalls, getComplaints, getSafetyRatings } from './lib/nhtsa.mjs';
 import { getFuelEconomy } from './lib/epa.mjs';
+import { localVpicInfo } from './lib/vpic-local.mjs';
+import { upstreamHealth, withUpstreamSignal } from './lib/provider.mjs';
 import { getPhotoUrl, getPhotoUrls } from './lib/photo.mjs';
-import { vinCache, recallCache, ratingCache, fuelCache } from './lib/cache.mjs';
+import { resolveModel, resolveModels, modelHints } from './lib/model-aliases.mjs';
+import { vinCache, cacheStats, purgeVin, purgeVehicle } from './lib/cache.mjs';
 import db, { logRequest, logSecurityEvent, pruneOldLogs } from './lib/db.mjs';
 import { hashPassword, verifyPassword, createToken, verifyJwt } from './lib/auth.mjs';
 import crypto from 'node:crypto';
@@ -32,12 +45,36 @@ function escHtml(str) {
 
 // ---- Full VIN report (aggregates all sources) ----
 
-async function fullReport(vin) {
+// The validation section depends on the mode, so non-default modes are cached separately
+function reportKey(vin, mode = 'auto') {
+  return mode === 'auto' ? vin : `${vin}|${mode}`;
+}
+
+// Only reports every upstream answered are cached; degraded ones retry next time
+function cacheableReport(report) {
+  return report.valid && [report.recalls, report.complaints, report.safety_ratings, report.fuel_economy].every(s => s?.status === 'ok');
+}
+
+// Identical lookups in flight at once share one set of upstream calls; an
+// expired report is served (cache.stale) while a background rebuild replaces it,
+// unless `fresh` asks to wait for the rebuild
+async function fullReport(vin, { mode = 'auto', fresh = false } = {}) {
   vin = normalizeVin(vin);
-  const cached = vinCache.get(vin);
-  if (cached) return cached;
+  const { value, hit, stale, age_ms } = await vinCache.resolve(reportKey(vin, mode), () => buildReport(vin, mode), { cacheable: cacheableReport, fresh });
+  return { ...value, cache: { hit, age_seconds: Math.round(age_ms / 1000), stale } };
+}
 
-  const validation = validateVin(vin);
+async function buildReport(vin, mode) {
+  const validation = validateVin(vin, { mode });
+  if (validation.status === 'pre-standard') {
+    // Pre-1981 serial: decoded locally, none of the upstream sources cover it
+    const { legacy } = validation;
+    const vehicle = {
+      year: validation.year.resolved,
+      make: legacy.make, model: legacy.model, body_class: legacy.body?.description || null,
+    };
+    return { valid: false, pre_standard: true, vin, validation, legacy, vehicle, engine: null, recalls: null, complaints: null, safety_ratings: null, fuel_economy: null, photos: null };
+  }
   if (!validation.valid) {
     return { valid: false, vin, validation, vehicle: null, engine: null, recalls: null, complaints: null, safety_ratings: null, fuel_economy: null, photos: null };
   }
@@ -47,56 +84,292 @@ async function fullReport(vin) {
     return { valid: true, vin, validation, vehicle: null, engine: null, error: 'NHTSA decode failed', recalls: null, complaints: null, safety_ratings: null, fuel_economy: null, photos: null };
   }
 
-  const { year, make, model } = decoded.vehicle;
-  const cacheKey = `${make}|${model}|${year}`;
+  // vPIC leaves ModelYear empty for some VINs; fall back to the year resolved from the VIN itself
+  const vehicle = decoded.vehicle.year
+    ? { ...decoded.vehicle, year_source: 'vpic' }
+    : { ...decoded.vehicle, year: validation.year.resolved, year_source: validation.year.resolved ? 'vin' : null };
+  const { year, make, model } = vehicle;
+
+  // Each source spells models its own way; look up the name it actually uses
+  const resolved = await resolveModels(make, model, year, modelHints(decoded));
 
+  // Each source caches what its upstream actually answered; degraded sections retry next time
   const [recalls, complaints, ratings, fuel] = await Promise.all([
-    recallCache.has(cacheKey) ? recallCache.get(cacheKey) : getRecalls(make, model, year).then(r => { if (r) recallCache.set(cacheKey, r); return r; }),
-    getComplaints(make, model, year),
-    ratingCache.has(cacheKey) ? ratingCache.get(cacheKey) : getSafetyRatings(make, model, year).then(r => { if (r) ratingCache.set(cacheKey, r); return r; }),
-    fuelCache.has(cacheKey) ? fuelCache.get(cacheKey) : getFuelEconomy(year, make, model).then(r => { if (r) fuelCache.set(cacheKey, r); return r; }),
+    getRecalls(make, resolved.recalls.model, year),
+    getComplaints(make, resolved.complaints.model, year),
+    getSafetyRatings(make, resolved.safety_ratings.model, year, decoded), // caches variant lists/details itself; selection depends on the decode
+    getFuelEconomy(year, make, resolved.fuel_economy.model, decoded), // caches menu options/details itself; selection depends on the decode
   ]);
 
-  const photos = make && model && year ? getPhotoUrls(make, model, year) : null;
+  const photos = make && model && year ? getPhotoUrls(make, resolved.photos.model, year) : null;
 
   const report = {
     valid: true, vin, validation,
-    vehicle: decoded.vehicle, engine: decoded.engine, transmission: decoded.transmission,
+    vehicle, decode_quality: decoded.decode_quality,
+    engine: decoded.engine, transmission: decoded.transmission,
     dimensions: decoded.dimensions, plant: decoded.plant, safety_equipment: decoded.safety,
-    recalls: recalls || { count: 0, recalls: [] },
-    complaints: complaints || { count: 0, complaints: [], summary: { crashes: 0, fires: 0, injuries: 0, deaths: 0 } },
-    safety_ratings: ratings || { rated: false },
-    fuel_economy: fuel || { available: false },
-    photos, raw_nhtsa: decoded.raw,
+    recalls: recalls || { status: 'error', count: null, recalls: [] },
+    complaints: complaints || { status: 'error', count: null, complaints: [], summary: null },
+    safety_ratings: ratings || { status: 'error', rated: false },
+    fuel_economy: fuel || { status: 'error', available: false },
+    photos, resolved_as: resolved, raw_nhtsa: decoded.raw,
   };
-
-  vinCache.set(vin, report);
   return report;
 }
 
+// The single-section lookups (recalls, complaints, ratings, fuel economy,
+// photo) answer from the full report, so they share its validation, its
+// year fallback and its cache. { report } or { error, validation }.
+async function sectionReport(vin, { mode } = {}) {
+  const report = await fullReport(vin, { mode });
+  if (report.pre_standard) return { error: 'Pre-1981 serials are not covered by NHTSA or EPA', validation: report.validation };
+  if (!report.valid) return { error: 'Invalid VIN', validation: report.validation };
+  if (report.error) return { error: 'Could not decode VIN' };
+  return { report };
+}
+
+// ---- Partial VIN decode (wildcard patterns) ----
+
+// Only the largest groups are decoded; each costs one vPIC lookup
+const PARTIAL_DECODE_GROUPS = 10;
+
+async function partialDecode(pattern, { limit, decode = true } = {}) {
+  const result = expandWildcardVin(pattern, { limit });
+  if (result.error || !decode || result.groups.length === 0) return result;
+
+  // Every VIN in a group shares WMI, VDS and year code, so one sample decodes the group
+  const groups = result.groups.slice(0, PARTIAL_DECODE_GROUPS);
+  const decoded = await batchDecode(groups.map(g => g.sample_vins[0]));
+  groups.forEach((g, i) => {
+    const d = decoded[i].decoded;
+    g.vehicle = d ? {
+      year: d.vehicle.year, make: d.vehicle.make, model: d.vehicle.model,
+      trim: d.vehicle.trim, body_class: d.vehicle.body_class,
+      decode_quality: d.decode_quality.level,
+    } : null;
+  });
+  return result;
+}
+
+// ---- Batch decode ----
+
+// Each chunk of 50 is one vPIC request; this bounds the upstream work per call
+const MAX_BATCH_VINS = 1000;
+
+async function batchReport(vins) {
+  const results = await batchDecode(vins);
+  const stats = { ok: 0, invalid: 0, error: 0, cached: 0 };
+  for (const r of results) {
+    stats[r.status]++;
+    if (r.source === 'cache') stats.cached++;
+  }
+  return { count: results.length, stats, results };
+}
+
+// ---- Streaming batch reports ----
+
+// Full reports cost several upstream calls each; a few run at a time
+const MAX_STREAM_VINS = 500;
+const STREAM_CONCURRENCY = 3;
+
+function reportStatus(report) {
+  if (!report.valid) return 'invalid';
+  return report.error ? 'error' : 'ok';
+}
+
+// Build the full report for each VIN and hand it to onReport(record) as soon
+// as it is done (completion order; `index` is the input position). Aborting
+// `signal` cancels the outstanding upstream fetches and starts no new reports.
+async function streamReports(vins, { mode, signal, onReport }) {
+  const started = Date.now();
+  const stats = { ok: 0, invalid: 0, error: 0 };
+  let next = 0;
+  const worker = async () => {
+    while (next < vins.length && !signal.aborted) {
+      const index = next++;
+      let record;
+      try {
+        const report = await withUpstreamSignal(signal, () => fullReport(vins[index], { mode }));
+        record = { index, vin: report.vin, status: reportStatus(report), report };
+      } catch (err) {
+        if (signal.aborted) return;
+        console.error(`[stream] report failed for ${vins[index]}:`, err.message);
+        record = { index, vin: normalizeVin(vins[index]), status: 'error', error: 'Report failed' };
+      }
+      if (signal.aborted) return;
+      stats[record.status]++;
+      onReport(record);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(STREAM_CONCURRENCY, vins.length) }, worker));
+  const completed = stats.ok + stats.invalid + stats.error;
+  return { count: vins.length, completed, stats, cancelled: signal.aborted, elapsed_ms: Date.now() - started };
+}
+
+// ---- Per-character VIN explanation ----
+
+async function explainReport(vin, { mode, decode = true } = {}) {
+  vin = normalizeVin(vin);
+  let vpic = null;
+  if (decode && validateVin(vin, { mode }).valid) {
+    // Reuse the raw vPIC decode from a cached report before asking vPIC again
+    vpic = vinCache.get(reportKey(vin, mode))?.raw_nhtsa || (await nhtsaDecode(vin))?.raw || null;
+  }
+  return explainVin(vin, { mode, vpic });
+}
+
+// ---- VIN extraction from free text ----
+
+// Full reports cost several upstream calls each, so only the first few are chained
+const MAX_EXTRACT_REPORTS = 5;
+
+async function extractReport(text, { format, mode, decode = false } = {}) {
+  const result = extractVins(text, { format, mode });
+  if (result.error || !decode) return result;
+  const reported = result.vins.slice(0, MAX_EXTRACT_REPORTS);
+  const reports = await Promise.all(reported.map(v => fullReport(v.vin, { mode })));
+  reported.forEach((v, i) => { v.report = reports[i]; });
+  if (result.vins.length > MAX_EXTRACT_REPORTS) {
+    result.note = `Full reports were added for the ${MAX_EXTRACT_REPORTS} most confident VINs only`;
+  }
+  return result;
+}
+
 // ---- MCP Server factory ----
 
 function createMcpServer() {
   const server = new McpServer({ name: 'vin-mcp', version: '1.2.0' });
 
   server.tool('decode_vin',
-    'Decode a VIN and return a comprehensive vehicle report with specs, recalls, complaints, safety ratings, fuel economy, and photos.',
-    { vin: z.string().describe('17-character Vehicle Identification Number') },
-    async ({ vin }) => {
-      const report = await fullReport(vin);
+    'Decode a VIN and return a comprehensive vehicle report with specs, recalls, complaints, safety ratings, fuel economy, and photos. Pre-1981 serials (9-13 characters, GM/Ford/Chrysler/VW layouts) are decoded locally and marked pre_standard.',
+    {
+      vin: z.string().describe('17-character Vehicle Identification Number, or a pre-1981 serial'),
+      mode: z.optional(z.enum(VALIDATION_MODES)).describe('Validation rules: auto (by WMI region, default), strict (check digit always required) or iso (check digit advisory)'),
+    },
+    async ({ vin, mode }) => {
+      const report = await fullReport(vin, { mode });
       return { content: [{ type: 'text', text: JSON.stringify(report, null, 2) }] };
     }
   );
 
   server.tool('validate_vin',
-    'Quickly validate a VIN without calling any external APIs.',
-    { vin: z.string().describe('VIN to validate') },
-    async ({ vin }) => {
-      const result = validateVin(vin);
+    'Quickly validate a VIN without calling any external APIs: checksum, WMI manufacturer and country, model year, and a local decode of the VDS (model line, body, restraints, engine) and assembly plant for major manufacturers.',
+    {
+      vin: z.string().describe('VIN to validate'),
+      mode: z.optional(z.enum(VALIDATION_MODES)).describe('Validation rules: auto (by WMI region, default), strict (check digit always required) or iso (check digit advisory)'),
+    },
+    async ({ vin, mode }) => {
+      const result = validateVin(vin, { mode });
       return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
     }
   );
 
+  server.tool('explain_vin',
+    'Explain a VIN character by character: for each of the 17 positions, its section (WMI, VDS, check digit, model year, plant, serial), what it means, its check-digit value and weight, and whether each interpretation comes from a local table or a vPIC decode element.',
+    {
+      vin: z.string().describe('17-character Vehicle Identification Number'),
+      decode: z.optional(z.boolean()).describe('Add vPIC decode elements to the local interpretations (default true)'),
+      mode: z.optional(z.enum(VALIDATION_MODES)).describe('Validation rules: auto (by WMI region, default), strict (check digit always required) or iso (check digit advisory)'),
+    },
+    async ({ vin, decode, mode }) => {
+      const result = await explainReport(vin, { mode, decode });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], ...(result.error ? { isError: true } : {}) };
+    }
+  );
+
+  server.tool('extract_vins',
+    'Find VINs in free text such as invoices, emails, auction listings, CSV or HTML. Tolerates spaces, dashes, lowercase and OCR confusions (O/0, S/5, B/8). Returns each distinct valid VIN with a confidence and its positions in the text, plus near misses. Optionally adds a full decode_vin report for the top VINs.',
+    {
+      text: z.string().max(1_000_000).describe('Text to scan (plain text, CSV or HTML)'),
+      format: z.optional(z.enum(EXTRACT_FORMATS)).describe('auto (default; detects HTML), text, csv or html'),
+      decode: z.optional(z.boolean()).describe(`Add a full vehicle report for the ${MAX_EXTRACT_REPORTS} most confident VINs (default false)`),
+      mode: z.optional(z.enum(VALIDATION_MODES)).describe('Validation rules: auto (by WMI region, default), strict (check digit always required) or iso (check digit advisory)'),
+    },
+    async ({ text, format, decode, mode }) => {
+      const result = await extractReport(text, { format, decode, mode });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], ...(result.error ? { isError: true } : {}) };
+    }
+  );
+
+  server.tool('bulk_validate_vins',
+    `Validate up to ${MAX_BULK_VINS.toLocaleString('en-US')} VINs locally (no external API calls): per-row results plus stats -- invalid rate, error categories and WMI distribution. Use this instead of batch_decode when only a sanity check is needed.`,
+    {
+      vins: z.array(z.string()).max(MAX_BULK_VINS).describe('VINs to validate'),
+      rows: z.optional(z.enum(BULK_ROW_FILTERS)).describe('Per-row results to return: all (default), invalid or none'),
+      mode: z.optional(z.enum(VALIDATION_MODES)).describe('Validation rules: auto (by WMI region, default), strict (check digit always required) or iso (check digit advisory)'),
+    },
+    async ({ vins, rows, mode }) => {
+      const result = validateBulk(vins, { rows, mode });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], ...(result.error ? { isError: true } : {}) };
+    }
+  );
+
+  server.tool('suggest_vin_corrections',
+    'Suggest likely intended VINs for a VIN that fails validation (typos, OCR confusions like O/0, S/5, B/8, swapped characters). Local only, no external API calls.',
+    {
+      vin: z.string().describe('17-character VIN that failed validation'),
+      limit: z.optional(z.number().int().min(1).max(50)).describe('Maximum suggestions to return (default 10)'),
+    },
+    async ({ vin, limit }) => {
+      const result = suggestCorrections(vin, { limit });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  server.tool('decode_partial_vin',
+    'Decode a partially legible VIN. Use *, ? or _ for unknown characters (e.g. 1HGCM82*33A00*352). Returns the checksum-valid candidates grouped by shared WMI/VDS/year, with make, model and year decoded for the largest groups. At most 4 unknown positions.',
+    {
+      pattern: z.string().describe('17-character VIN pattern with wildcards for unknown characters'),
+      limit: z.optional(z.number().int().min(1).max(5000)).describe('Maximum candidate VINs to list (default 200)'),
+      decode: z.optional(z.boolean()).describe('Decode make/model/year for the largest groups (default true)'),
+    },
+    async ({ pattern, limit, decode }) => {
+      const result = await partialDecode(pattern, { limit, decode });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], ...(result.error ? { isError: true } : {}) };
+    }
+  );
+
+  server.tool('lookup_wmi',
+    'Look up a World Manufacturer Identifier (VIN positions 1-3): manufacturer, country (ISO 3780 range) and region. Or search WMIs by manufacturer name. Local only, no external API calls.',
+    {
+      code: z.optional(z.string()).describe('3-character WMI (6 for small manufacturers), e.g. 1HG'),
+      manufacturer: z.optional(z.string()).describe('Manufacturer name to search for, e.g. Honda'),
+      limit: z.optional(z.number().int().min(1).max(500)).describe('Maximum search results (default 100)'),
+    },
+    async ({ code, manufacturer, limit }) => {
+      if (!code && !manufacturer) return { content: [{ type: 'text', text: 'Provide a WMI code or a manufacturer name' }], isError: true };
+      const result = code ? lookupWmi(code) : searchWmi(manufacturer, { limit });
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], ...(result.error ? { isError: true } : {}) };
+    }
+  );
+
+  server.tool('generate_vins',
+    'Generate synthetic VINs for testing and demos: valid check digit and model-year code for a given WMI and year, with an optional VDS (use * for random characters). Deterministic when a seed is given. Local only, no external API calls.',
+    {
+      wmi: z.string().describe('3-character WMI (6 for small manufacturers), e.g. 1HG'),
+      year: z.number().int().min(1980).max(2039).describe('Model year'),
+      vds: z.optional(z.string()).describe('Positions 4-8, e.g. CM826 or CM8** (default: random)'),
+      plant: z.optional(z.string()).describe('Position 11 plant code (default: random)'),
+      count: z.optional(z.number().int().min(1).max(MAX_GENERATED_VINS)).describe(`Number of VINs (default 1, max ${MAX_GENERATED_VINS})`),
+      seed: z.optional(z.union([z.number().int(), z.string()])).describe('Seed for reproducible output (default: random, returned in the result)'),
+    },
+    async (args) => {
+      const result = generateVins(args);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], ...(result.error ? { isError: true } : {}) };
+    }
+  );
+
+  server.tool('complete_check_digit',
+    'Compute the position-9 check digit for 16 known VIN characters (positions 1-8 and 10-17), or for a 17-character VIN with a placeholder or wrong digit in position 9. Local only.',
+    {
+      vin: z.string().describe('16 characters, or 17 with position 9 as a placeholder (e.g. 1HGCM826*3A004352)'),
+    },
+    async ({ vin }) => {
+      const result = completeCheckDigit(vin);
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }], ...(result.error ? { isError: true } : {}) };
+    }
+  );
+
   server.tool('lookup_recalls',
     'Look up recalls for a vehicle. Provide either a VIN or make/model/year.',
     {
@@ -107,23 +380,54 @@ function createMcpServer() {
     },
     async ({ vin, make, model, year }) => {
       if (vin) {
-        const decoded = await nhtsaDecode(normalizeVin(vin));
-        if (!decoded) return { content: [{ type: 'text', text: 'Failed to decode VIN' }] };
-        make = decoded.vehicle.make; model = decoded.vehicle.model; year = decoded.vehicle.year;
+        const { report, error } = await sectionReport(vin);
+        if (!report) return { content: [{ type: 'text', text: `Failed to decode VIN: ${error}` }] };
+        const recalls = { ...report.recalls, resolved_as: report.resolved_as.recalls };
+        return { content: [{ type: 'text', text: JSON.stringify(recalls, null, 2) }] };
       }
       if (!make || !model || !year) return { content: [{ type: 'text', text: 'Provide a VIN or make + model + year' }] };
-      const recalls = await getRecalls(make, model, year);
+      const resolved = await resolveModel('recalls', make, model, year);
+      const recalls = { ...await getRecalls(make, resolved.model, year), resolved_as: resolved };
       return { content: [{ type: 'text', text: JSON.stringify(recalls, null, 2) }] };
     }
   );
 
   server.tool('batch_decode',
-    'Decode multiple VINs at once (up to 50).',
-    { vins: z.array(z.string()).describe('Array of VINs to decode (max 50)') },
+    `Decode multiple VINs at once (up to ${MAX_BATCH_VINS}). Each result has the input VIN, a status (ok, invalid or error), its source (cache, local or vpic) and the error for that VIN, if any.`,
+    { vins: z.array(z.string()).max(MAX_BATCH_VINS).describe(`Array of VINs to decode (max ${MAX_BATCH_VINS})`) },
     async ({ vins }) => {
-      if (vins.length > 50) return { content: [{ type: 'text', text: 'Maximum 50 VINs per batch' }] };
-      const results = await batchDecode(vins.map(normalizeVin));
-      return { content: [{ type: 'text', text: JSON.stringify(results, null, 2) }] };
+      const report = await batchReport(vins);
+      return { content: [{ type: 'text', text: JSON.stringify(report, null, 2) }] };
+    }
+  );
+
+  server.tool('start_batch_job',
+    `Start a background job for up to ${MAX_JOB_VINS.toLocaleString('en-US')} VINs and return its id at once; poll it with get_batch_job. kind 'decode' is a vPIC decode per VIN, 'report' the full decode_vin report (slower). Use this instead of batch_decode for large lists.`,
+    {
+      vins: z.array(z.string()).min(1).max(MAX_JOB_VINS).describe('VINs to process'),
+      kind: z.optional(z.enum(JOB_KINDS)).describe('decode (default) or report'),
+      sections: z.optional(z.array(z.string())).describe(`Sections to keep per VIN. decode: ${JOB_SECTIONS.decode.join(', ')}; report: ${JOB_SECTIONS.report.join(', ')}. Default: all but raw/raw_nhtsa`),
+      mode: z.optional(z.enum(VALIDATION_MODES)).describe('Validation rules for report jobs: auto (by WMI region, default), strict or iso'),
+    },
+    async ({ vins, kind, sections, mode }) => {
+      const job = createJob(vins, { kind, sections, mode });
+      return { content: [{ type: 'text', text: JSON.stringify(job, null, 2) }], ...(job.error ? { isError: true } : {}) };
+    }
+  );
+
+  server.tool('get_batch_job',
+    'Get the status and progress of a batch job started with start_batch_job. Set results to true for a page of per-VIN results (in input order).',
+    {
+      id: z.string().describe('Job id returned by start_batch_job'),
+      results: z.optional(z.boolean()).describe('Include per-VIN results (default false)'),
+      offset: z.optional(z.number().int().min(0)).describe('First result to return (default 0)'),
+      limit: z.optional(z.number().int().min(1).max(100)).describe('Results to return (default 20)'),
+    },
+    async ({ id, results, offset = 0, limit = 20 }) => {
+      const job = getJob(id);
+      if (!job) return { content: [{ type: 'text', text: `No job with id ${id}` }], isError: true };
+      const body = results ? { ...job, offset, results: jobResults(id, { offset, limit }) } : job;
+      return { content: [{ type: 'text', text: JSON.stringify(body, null, 2) }] };
     }
   );
 
@@ -223,6 +527,10 @@ const useHttp = args.includes('--http');
 const portIdx = args.indexOf('--port');
 const port = portIdx !== -1 ? Number(args[portIdx + 1]) : 3200;
 
+// Batch jobs run in the background in both modes; jobs interrupted by a
+// restart pick up where they stopped
+startJobRunner({ fullReport });
+
 if (useHttp) {
   const { StreamableHTTPServerTransport } = await import('@modelcontextprotocol/sdk/server/streamableHttp.js');
   const express = (await import('express')).default;
@@ -240,6 +548,12 @@ if (useHttp) {
     next();
   });
 
+  // Bulk validation, batch jobs, spreadsheet uploads and cache warm-up lists
+  // take far larger bodies than the rest of the API; parsing them first means
+  // the global 100kb parser below skips them
+  app.use(['/api/validate/bulk', '/api/jobs', '/api/batch/csv', '/api/admin/cache/warm'],
+    express.json({ limit: '5mb' }),
+    express.text({ type: ['text/plain', 'text/csv'], limit: '5mb' }));
   app.use(express.json({ limit: '100kb' }));
   app.use(express.urlencoded({ extended: false, limit: '100kb' }));
   app.use(cors({
@@ -301,6 +615,7 @@ if (useHttp) {
     const now = Date.now();
     for (const [k, v] of apiLimits) { if (now > v.reset) apiLimits.delete(k); }
     pruneOldLogs();
+    pruneOldJobs();
   }, 300000);
 
   // ======== OAuth 2.0 (for Claude.ai / remote MCP) ========
@@ -598,68 +913,297 @@ button{padding:.75rem 2rem;border:none;border-radius:10px;font-size:1rem;font-we
     res.status(500).json({ error: 'Internal server error' });
   }
 
+  // ?mode= for the routes that validate; undefined when absent, null when invalid
+  function validationMode(req, res) {
+    const { mode } = req.query;
+    if (mode === undefined) return undefined;
+    if (VALIDATION_MODES.includes(mode)) return mode;
+    res.status(400).json({ error: `mode must be one of: ${VALIDATION_MODES.join(', ')}` });
+    return null;
+  }
+
   app.get('/api/vin/:vin', rateGuard(30), async (req, res) => {
-    try { res.json(await fullReport(req.params.vin)); } catch (err) { safeError(res, err); }
+    const mode = validationMode(req, res);
+    if (mode === null) return;
+    try { res.json(await fullReport(req.params.vin, { mode })); } catch (err) { safeError(res, err); }
   });
 
   app.get('/api/vin/:vin/validate', rateGuard(60), (req, res) => {
-    res.json(validateVin(req.params.vin));
+    const mode = validationMode(req, res);
+    if (mode === null) return;
+    res.json(validateVin(req.params.vin, { mode }));
   });
 
-  app.get('/api/vin/:vin/recalls', rateGuard(30), async (req, res) => {
+  app.get('/api/vin/:vin/explain', rateGuard(30), async (req, res) => {
+    const mode = validationMode(req, res);
+    if (mode === null) return;
     try {
-      const decoded = await nhtsaDecode(normalizeVin(req.params.vin));
-      if (!decoded) return res.status(400).json({ error: 'Could not decode VIN' });
-      const { make, model, year } = decoded.vehicle;
-      res.json(await getRecalls(make, model, year) || { count: 0, recalls: [] });
+      const result = await explainReport(req.params.vin, { mode, decode: req.query.decode !== 'false' });
+      res.status(result.error ? 400 : 200).json(result);
     } catch (err) { safeError(res, err); }
   });
 
-  app.get('/api/vin/:vin/complaints', rateGuard(30), async (req, res) => {
-    try {
-      const decoded = await nhtsaDecode(normalizeVin(req.params.vin));
-      if (!decoded) return res.status(400).json({ error: 'Could not decode VIN' });
-      const { make, model, year } = decoded.vehicle;
-      res.json(await getComplaints(make, model, year) || { count: 0, complaints: [], summary: {} });
-    } catch (err) { safeError(res, err); }
+  app.post('/api/validate/bulk', rateGuard(10), (req, res) => {
+    const mode = validationMode(req, res);
+    if (mode === null) return;
+    const format = req.is('text/csv') ? 'csv' : req.is('text/plain') ? 'text' : 'json';
+    const parsed = parseVinList(req.body, { format, column: req.query.column });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const result = validateBulk(parsed.items, { mode, rows: req.query.rows });
+    if (result.error) return res.status(400).json(result);
+    res.json({ format, ...result });
   });
 
-  app.get('/api/vin/:vin/safety', rateGuard(30), async (req, res) => {
+  app.get('/api/vin/:vin/suggest', rateGuard(60), (req, res) => {
+    const limit = parseInt(req.query.limit) || undefined;
+    res.json(suggestCorrections(req.params.vin, { limit }));
+  });
+
+  app.get('/api/partial', rateGuard(30), async (req, res) => {
     try {
-      const decoded = await nhtsaDecode(normalizeVin(req.params.vin));
-      if (!decoded) return res.status(400).json({ error: 'Could not decode VIN' });
-      const { make, model, year } = decoded.vehicle;
-      res.json(await getSafetyRatings(make, model, year) || { rated: false });
+      const { pattern } = req.query;
+      if (typeof pattern !== 'string') return res.status(400).json({ error: 'Provide ?pattern= (use * or _ for unknown characters)' });
+      const result = await partialDecode(pattern, {
+        limit: parseInt(req.query.limit) || undefined,
+        decode: req.query.decode !== 'false',
+      });
+      res.status(result.error ? 400 : 200).json(result);
     } catch (err) { safeError(res, err); }
   });
 
-  app.get('/api/vin/:vin/fuel', rateGuard(30), async (req, res) => {
+  app.get('/api/wmi/:code', rateGuard(60), (req, res) => {
+    const result = lookupWmi(req.params.code);
+    res.status(result.error ? 400 : 200).json(result);
+  });
+
+  app.get('/api/wmi', rateGuard(60), (req, res) => {
+    const { manufacturer } = req.query;
+    if (typeof manufacturer !== 'string' || !manufacturer.trim()) return res.status(400).json({ error: 'Provide ?manufacturer= (e.g. ?manufacturer=honda)' });
+    res.json(searchWmi(manufacturer, { limit: parseInt(req.query.limit) || undefined }));
+  });
+
+  // The text comes as JSON ({ text }, up to 100kb) or as a raw text/plain,
+  // text/csv or text/html upload (up to 1mb); options are query parameters
+  const extractBody = express.text({ type: ['text/plain', 'text/csv', 'text/html'], limit: '1mb' });
+
+  app.post('/api/extract', rateGuard(30), extractBody, async (req, res) => {
+    const mode = validationMode(req, res);
+    if (mode === null) return;
     try {
-      const decoded = await nhtsaDecode(normalizeVin(req.params.vin));
-      if (!decoded) return res.status(400).json({ error: 'Could not decode VIN' });
-      const { make, model, year } = decoded.vehicle;
-      res.json(await getFuelEconomy(year, make, model) || { available: false });
+      const text = typeof req.body === 'string' ? req.body : req.body?.text;
+      if (typeof text !== 'string') return res.status(400).json({ error: 'Provide { "text": "..." } or a text/plain, text/csv or text/html body' });
+      const format = req.query.format ?? (req.is('text/html') ? 'html' : req.is('text/csv') ? 'csv' : undefined);
+      const result = await extractReport(text, { format, mode, decode: req.query.decode === 'true' });
+      res.status(result.error ? 400 : 200).json(result);
     } catch (err) { safeError(res, err); }
   });
 
+  app.get('/api/generate', rateGuard(60), (req, res) => {
+    const { wmi, year, vds, plant, count, seed } = req.query;
+    const result = generateVins({
+      wmi, vds, plant,
+      year: parseInt(year, 10),
+      count: count !== undefined ? parseInt(count, 10) : undefined,
+      // Numeric seeds stay numbers so they match the MCP tool and CLI
+      seed: typeof seed === 'string' && /^\d+$/.test(seed) ? Number(seed) : seed,
+    });
+    res.status(result.error ? 400 : 200).json(result);
+  });
+
+  app.get('/api/generate/check-digit', rateGuard(60), (req, res) => {
+    const { vin } = req.query;
+    if (typeof vin !== 'string') return res.status(400).json({ error: 'Provide ?vin= (16 characters, or 17 with * in position 9)' });
+    const result = completeCheckDigit(vin);
+    res.status(result.error ? 400 : 200).json(result);
+  });
+
+  // /api/vin/:vin/<route> -> that section of the full report, with the model
+  // name its source was queried with
+  const REPORT_SECTIONS = { recalls: 'recalls', complaints: 'complaints', safety: 'safety_ratings', fuel: 'fuel_economy' };
+  for (const [route, section] of Object.entries(REPORT_SECTIONS)) {
+    app.get(`/api/vin/:vin/${route}`, rateGuard(30), async (req, res) => {
+      const mode = validationMode(req, res);
+      if (mode === null) return;
+      try {
+        const { report, ...failure } = await sectionReport(req.params.vin, { mode });
+        if (!report) return res.status(400).json(failure);
+        res.json({ ...report[section], resolved_as: report.resolved_as[section] });
+      } catch (err) { safeError(res, err); }
+    });
+  }
+
   app.get('/api/vin/:vin/photo', rateGuard(60), async (req, res) => {
     try {
-      const decoded = await nhtsaDecode(normalizeVin(req.params.vin));
-      if (!decoded) return res.status(400).json({ error: 'Could not decode VIN' });
-      res.redirect(getPhotoUrl(decoded.vehicle.make, decoded.vehicle.model, decoded.vehicle.year));
+      const { report, ...failure } = await sectionReport(req.params.vin);
+      if (!report) return res.status(400).json(failure);
+      const { make, year } = report.vehicle;
+      if (!make || !year) return res.status(400).json({ error: 'Could not decode VIN' });
+      res.redirect(getPhotoUrl(make, report.resolved_as.photos.model, year));
     } catch (err) { safeError(res, err); }
   });
 
   app.post('/api/batch', rateGuard(5), async (req, res) => {
     const { vins } = req.body;
     if (!Array.isArray(vins) || vins.length === 0) return res.status(400).json({ error: 'Provide { vins: [...] }' });
-    if (vins.length > 50) return res.status(400).json({ error: 'Maximum 50 VINs' });
+    if (vins.length > MAX_BATCH_VINS) return res.status(400).json({ error: `Maximum ${MAX_BATCH_VINS} VINs` });
+    if (!vins.every(v => typeof v === 'string')) return res.status(400).json({ error: 'Every VIN must be a string' });
+    try { res.json(await batchReport(vins)); } catch (err) { safeError(res, err); }
+  });
+
+  // ---- Streaming batch reports ----
+
+  // One full report per VIN as NDJSON lines or Server-Sent Events, written as
+  // each completes, then a summary record. POST { vins, mode } or, for
+  // EventSource clients, GET ?vins=VIN1,VIN2&mode=. SSE is chosen by
+  // ?format=sse or an Accept: text/event-stream header.
+  async function batchStream(req, res, vins, mode) {
+    if (!Array.isArray(vins) || vins.length === 0) return res.status(400).json({ error: 'Provide { vins: [...] } or ?vins=VIN1,VIN2' });
+    if (vins.length > MAX_STREAM_VINS) return res.status(400).json({ error: `Maximum ${MAX_STREAM_VINS} VINs` });
+    if (!vins.every(v => typeof v === 'string')) return res.status(400).json({ error: 'Every VIN must be a string' });
+    if (mode !== undefined && !VALIDATION_MODES.includes(mode)) return res.status(400).json({ error: `mode must be one of: ${VALIDATION_MODES.join(', ')}` });
+    const format = req.query.format ?? (req.accepts(['application/x-ndjson', 'text/event-stream']) === 'text/event-stream' ? 'sse' : 'ndjson');
+    if (format !== 'ndjson' && format !== 'sse') return res.status(400).json({ error: 'format must be ndjson or sse' });
+
+    // A client that disconnects cancels the reports still in flight
+    const controller = new AbortController();
+    res.on('close', () => { if (!res.writableFinished) controller.abort(); });
+
+    res.status(200);
+    res.set({
+      'Content-Type': format === 'sse' ? 'text/event-stream; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const send = (type, record) => {
+      if (res.writableEnded || controller.signal.aborted) return;
+      if (format === 'sse') {
+        res.write(`event: ${type}\n${record.index !== undefined ? `id: ${record.index}\n` : ''}data: ${JSON.stringify(record)}\n\n`);
+      } else {
+        res.write(`${JSON.stringify({ type, ...record })}\n`);
+      }
+    };
+
     try {
-      const results = await batchDecode(vins.map(normalizeVin));
-      res.json({ count: results.length, results });
+      const summary = await streamReports(vins, { mode, signal: controller.signal, onReport: record => send('report', record) });
+      send('summary', summary);
+    } catch (err) {
+      console.error('API error:', err);
+      send('error', { error: 'Internal server error' });
+    }
+    res.end();
+  }
+
+  app.post('/api/batch/stream', rateGuard(5), (req, res) => batchStream(req, res, req.body?.vins, req.body?.mode));
+
+  app.get('/api/batch/stream', rateGuard(5), (req, res) => {
+    const vins = typeof req.query.vins === 'string' ? req.query.vins.split(',').map(v => v.trim()).filter(Boolean) : undefined;
+    return batchStream(req, res, vins, req.query.mode);
+  });
+
+  // ---- Spreadsheet decoding ----
+
+  const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+  // text/csv or XLSX upload -> the same file with decoded columns appended. The
+  // columns come from ?columns=, else the logged-in user's report preferences,
+  // else all
+  app.post('/api/batch/csv', rateGuard(5), express.raw({ type: XLSX_TYPE, limit: '5mb' }), async (req, res) => {
+    if (req.is('application/vnd.ms-excel')) {
+      return res.status(415).json({ error: 'Legacy .xls workbooks are not supported; save the sheet as .xlsx or CSV and upload that' });
+    }
+    const workbook = Boolean(req.is(XLSX_TYPE));
+    if (workbook ? !Buffer.isBuffer(req.body) : typeof req.body !== 'string') {
+      return res.status(400).json({ error: `Upload the file as text/csv or ${XLSX_TYPE}` });
+    }
+    const mode = validationMode(req, res);
+    if (mode === null) return;
+
+    const auth = req.headers.authorization;
+    const user = auth?.startsWith('Bearer ') ? verifyJwt(auth.slice(7), JWT_SECRET) : null;
+    const preferences = user ? db.prepare('SELECT * FROM output_preferences WHERE user_id = ?').get(user.id) : null;
+    const selected = sheetColumns({ columns: req.query.columns, preferences });
+    if (selected.error) return res.status(400).json(selected);
+
+    try {
+      const options = { columns: selected.columns, column: req.query.column, mode, fullReport };
+      const result = workbook ? await decodeWorkbook(req.body, options) : await decodeSpreadsheet(req.body, options);
+      if (result.error) return res.status(400).json(result);
+      res.attachment(workbook ? 'decoded.xlsx' : 'decoded.csv');
+      res.type(workbook ? XLSX_TYPE : 'text/csv');
+      res.set('X-Rows', String(result.stats.rows));
+      res.set('X-Rows-Decoded', String(result.stats.decoded));
+      res.set('X-Columns', selected.columns.map(c => c.key).join(','));
+      res.send(workbook ? result.xlsx : result.csv);
     } catch (err) { safeError(res, err); }
   });
 
+  // ---- Batch jobs ----
+
+  // JSON: { vins, kind, sections, mode }. text/plain or text/csv: the VIN list
+  // (see parseVinList), with kind, sections (comma-separated), mode and column
+  // as query parameters
+  app.post('/api/jobs', rateGuard(5), (req, res) => {
+    const format = req.is('text/csv') ? 'csv' : req.is('text/plain') ? 'text' : 'json';
+    const parsed = parseVinList(req.body, { format, column: req.query.column });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const options = format === 'json'
+      ? { kind: req.body.kind, sections: req.body.sections, mode: req.body.mode }
+      : { kind: req.query.kind, sections: req.query.sections?.split(',').map(s => s.trim()), mode: req.query.mode };
+    const job = createJob(parsed.items.map(i => i.input), options);
+    if (job.error) return res.status(400).json(job);
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+  });
+
+  app.get('/api/jobs/:id', rateGuard(120), (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  });
+
+  app.delete('/api/jobs/:id', rateGuard(30), (req, res) => {
+    const job = cancelJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  });
+
+  // Streamed row by row, so large jobs never sit in memory as one document
+  app.get('/api/jobs/:id/results', rateGuard(10), (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (job.status === 'queued' || job.status === 'running') {
+      return res.status(409).json({ error: `Job is ${job.status} (${job.processed}/${job.total}); results are available when it finishes`, job });
+    }
+    const format = req.query.format ?? 'json';
+    if (format !== 'json' && format !== 'csv') return res.status(400).json({ error: 'format must be json or csv' });
+
+    res.attachment(`vin-job-${job.id}.${format}`);
+    if (format === 'csv') {
+      // One column per flattened result field; the first pass collects them all
+      const columns = new Set();
+      for (const item of iterateJobResults(job.id)) {
+        for (const key of Object.keys(flattenRecord(item.result))) columns.add(key);
+      }
+      res.type('text/csv');
+      res.write(csvRow(['row', 'input', 'vin', 'status', 'error', ...columns]));
+      for (const { result, ...item } of iterateJobResults(job.id)) {
+        const flat = flattenRecord(result);
+        res.write(csvRow([item.row, item.input, item.vin, item.status, item.error, ...[...columns].map(c => flat[c])]));
+      }
+      return res.end();
+    }
+
+    res.type('application/json');
+    res.write(`{"job":${JSON.stringify(job)},"results":[`);
+    let first = true;
+    for (const item of iterateJobResults(job.id)) {
+      res.write(`${first ? '' : ','}\n${JSON.stringify(item)}`);
+      first = false;
+    }
+    res.end(']}\n');
+  });
+
   // ---- User Auth ----
 
   function userAuth(req, res, next) {
@@ -771,7 +1315,7 @@ button{padding:.75rem 2rem;border:none;border-radius:10px;font-size:1rem;font-we
   // ---- Public status ----
 
   app.get('/api/status', (req, res) => {
-    res.json({ status: 'ok', server: 'vin-mcp', version: '1.2.0', tools: ['decode_vin', 'validate_vin', 'lookup_recalls', 'batch_decode', 'list_saved_vins', 'save_vin', 'remove_saved_vin', 'get_output_preferences', 'update_output_preferences'] });
+    res.json({ status: 'ok', server: 'vin-mcp', version: '1.2.0', tools: ['decode_vin', 'validate_vin', 'bulk_validate_vins', 'explain_vin', 'suggest_vin_corrections', 'decode_partial_vin', 'extract_vins', 'lookup_wmi', 'generate_vins', 'complete_check_digit', 'lookup_recalls', 'batch_decode', 'start_batch_job', 'get_batch_job', 'list_saved_vins', 'save_vin', 'remove_saved_vin', 'get_output_preferences', 'update_output_preferences'] });
   });
 
   app.get('/health', (req, res) => {
@@ -904,10 +1448,47 @@ button{padding:.75rem 2rem;border:none;border-radius:10px;font-size:1rem;font-we
       oauth_clients: clients.size,
       oauth_tokens: tokens.size,
       cache_size: vinCache.size,
+      vpic_snapshot: localVpicInfo(),
+      wmi_registry: wmiRegistryInfo(),
+      upstreams: upstreamHealth(),
+      batch_jobs: jobStats(),
       db_size_mb: (() => { try { const s = db.prepare("SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()").get(); return Math.round(s.size / 1048576 * 100) / 100; } catch { return 0; } })(),
     });
   });
 
+  // Cache hit rates and entry counts per namespace (counters since startup)
+  app.get('/api/admin/cache', adminAuth, (req, res) => {
+    res.json({ caches: cacheStats() });
+  });
+
+  app.delete('/api/admin/cache/vin/:vin', adminAuth, (req, res) => {
+    const vin = normalizeVin(req.params.vin);
+    res.json({ vin, removed: purgeVin(vin) });
+  });
+
+  app.delete('/api/admin/cache/vehicle', adminAuth, async (req, res) => {
+    const { make, model, year } = req.query;
+    if (typeof make !== 'string' || !make || typeof model !== 'string' || !model || !/^\d{4}$/.test(year)) {
+      return res.status(400).json({ error: 'Provide ?make=, ?model= and a 4-digit ?year=' });
+    }
+    try {
+      // Sources cache under their own model names, so purge those too
+      const resolved = await resolveModels(make, model, year);
+      res.json({ make, model, year: Number(year), removed: purgeVehicle({ make, model, year, resolved }) });
+    } catch (err) { safeError(res, err); }
+  });
+
+  // Pre-warm: a report job that builds each VIN's full report, rebuilding expired ones
+  app.post('/api/admin/cache/warm', adminAuth, (req, res) => {
+    const format = req.is('text/csv') ? 'csv' : req.is('text/plain') ? 'text' : 'json';
+    const parsed = parseVinList(req.body, { format, column: req.query.column });
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const mode = format === 'json' ? req.body.mode : req.query.mode;
+    const job = createJob(parsed.items.map(i => i.input), { kind: 'report', sections: ['vehicle'], mode, fresh: true });
+    if (job.error) return res.status(400).json(job);
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+  });
+
   // ---- Static files ----
   const __dirname = path.dirname(fileURLToPath(import.meta.url));
   app.use(express.static(path.join(__dirname, 'public')));
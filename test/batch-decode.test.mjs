@@ -0,0 +1,102 @@
+// Batch decoding against a local vPIC stand-in: chunks of 50 with bounded
+// concurrency, a status per input, the decode cache, and a failed chunk that
+// only fails its own VINs.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const requests = []; // VINs per batch request
+let inFlight = 0;
+let maxInFlight = 0;
+const failing = new Set(); // a request containing one of these answers 500
+const missing = new Set(); // VINs left out of an answer
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (!req.url.startsWith('/DecodeVINValuesBatch/')) return res.writeHead(404).end();
+    const data = new URLSearchParams(body).get('DATA');
+    const vins = data.split(';').map(v => v.replace(/,$/, ''));
+    requests.push(vins);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    setTimeout(() => {
+      inFlight--;
+      if (vins.some(v => failing.has(v))) return res.writeHead(500).end();
+      const Results = vins.filter(v => !missing.has(v))
+        .map(VIN => ({ VIN, ErrorCode: '0', Make: 'HONDA', Model: 'Accord', ModelYear: '2015' }));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ Results }));
+    }, 20);
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+process.env.VPIC_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.VPIC_DB_PATH = '/nonexistent/vpic.db';
+process.env.CACHE_PERSIST = '0';
+process.env.UPSTREAM_RETRIES = '0';
+// lib/generate.mjs loads the provider too, so it is imported after the env is set
+const { batchDecode } = await import('../lib/nhtsa.mjs');
+const { generateVins } = await import('../lib/generate.mjs');
+after(() => server.close());
+
+const vinsFor = seed => generateVins({ wmi: '1HG', year: 2015, count: 120, seed }).vins;
+
+test('decodes in chunks of 50 with at most `concurrency` requests at a time', async () => {
+  const vins = vinsFor(1);
+  requests.length = 0;
+  maxInFlight = 0;
+  const results = await batchDecode(vins, { concurrency: 2 });
+  assert.deepEqual(requests.map(r => r.length), [50, 50, 20]);
+  assert.equal(maxInFlight, 2);
+  assert.equal(results.length, 120);
+  assert.ok(results.every(r => r.status === 'ok' && r.source === 'vpic'));
+  assert.equal(results[0].vin, vins[0]);
+  assert.equal(results[0].decoded.vehicle.model, 'Accord');
+});
+
+test('every input gets a result in input order; duplicates and invalid VINs skip vPIC', async () => {
+  const [vin] = vinsFor(2);
+  requests.length = 0;
+  const results = await batchDecode([vin, 'bad', vin.toLowerCase(), '7R01C123456']);
+  assert.deepEqual(requests, [[vin]]);
+  assert.deepEqual(results.map(r => [r.input, r.status, r.source]), [
+    [vin, 'ok', 'vpic'],
+    ['bad', 'invalid', null],
+    [vin.toLowerCase(), 'ok', 'vpic'],
+    ['7R01C123456', 'invalid', null],
+  ]);
+  assert.match(results[1].error, /exactly 17 characters/);
+  assert.match(results[3].error, /Pre-1981 serial/);
+});
+
+test('decoded VINs are answered from the cache next time', async () => {
+  const vins = vinsFor(1).slice(0, 10);
+  requests.length = 0;
+  const results = await batchDecode(vins);
+  assert.equal(requests.length, 0);
+  assert.ok(results.every(r => r.status === 'ok' && r.source === 'cache'));
+});
+
+test('a failed chunk or a missing answer only fails those VINs', async () => {
+  const vins = vinsFor(3);
+  failing.add(vins[60]);
+  missing.add(vins[0]);
+  try {
+    const results = await batchDecode(vins);
+    assert.equal(results[0].status, 'error');
+    assert.equal(results[0].error, 'vPIC returned no result for this VIN');
+    assert.ok(results.slice(1, 50).every(r => r.status === 'ok'));
+    assert.ok(results.slice(50, 100).every(r => r.status === 'error' && r.decoded === null));
+    assert.ok(results.slice(100).every(r => r.status === 'ok'));
+  } finally {
+    failing.clear();
+    missing.clear();
+  }
+});
+
+test('an empty or non-array input decodes nothing', async () => {
+  assert.deepEqual(await batchDecode([]), []);
+  assert.deepEqual(await batchDecode(null), []);
+});
@@ -0,0 +1,71 @@
+// Bulk validation: parsing JSON, text and CSV uploads into numbered rows, and
+// the per-row results and whole-upload stats.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVinList, validateBulk, MAX_BULK_VINS } from '../lib/bulk.mjs';
+
+const HONDA = '1HGCM82633A004352';
+const JAPAN = 'JHMCM56557C404453';
+
+test('JSON takes an array or { vins }, numbering rows from 1', () => {
+  assert.deepEqual(parseVinList([HONDA, 42]).items, [{ row: 1, input: HONDA }, { row: 2, input: '42' }]);
+  assert.deepEqual(parseVinList({ vins: [HONDA] }).items, [{ row: 1, input: HONDA }]);
+  assert.match(parseVinList({ list: [] }).error, /JSON array of VINs/);
+});
+
+test('text rows are line numbers, skipping blank lines', () => {
+  const { items } = parseVinList(`\uFEFF${HONDA}\r\n\r\n  ${JAPAN}  \n`, { format: 'text' });
+  assert.deepEqual(items, [{ row: 1, input: HONDA }, { row: 3, input: JAPAN }]);
+  assert.match(parseVinList({}, { format: 'text' }).error, /Expected a text body/);
+});
+
+test('CSV picks the named column, else the first "vin" header, else the first column', () => {
+  const csv = `unit,Vehicle VIN,alt\n101,${HONDA},x\n102,,y\n103,"${JAPAN}",z\n`;
+  assert.deepEqual(parseVinList(csv, { format: 'csv' }).items, [{ row: 2, input: HONDA }, { row: 4, input: JAPAN }]);
+  assert.deepEqual(parseVinList(csv, { format: 'csv', column: 'ALT' }).items.map(i => i.input), ['x', 'y', 'z']);
+  assert.deepEqual(parseVinList(`${HONDA},101\n${JAPAN},102\n`, { format: 'csv' }).items, [{ row: 1, input: HONDA }, { row: 2, input: JAPAN }]);
+  assert.equal(parseVinList(csv, { format: 'csv', column: 'chassis' }).error, "CSV has no column named 'chassis'");
+  assert.deepEqual(parseVinList('', { format: 'csv' }).items, []);
+  assert.equal(parseVinList('x', { format: 'xml' }).error, "Unsupported format 'xml'");
+});
+
+test('stats cover every row: counts, duplicates, error categories and WMIs', () => {
+  const items = [HONDA, HONDA.toLowerCase(), JAPAN, '1HGCM82643A004352', '1HGCM8263', '7R01C123456'];
+  const { stats, results } = validateBulk(items);
+  assert.deepEqual(
+    { total: stats.total, valid: stats.valid, invalid: stats.invalid, pre_standard: stats.pre_standard, duplicates: stats.duplicates },
+    { total: 6, valid: 3, invalid: 2, pre_standard: 1, duplicates: 1 },
+  );
+  assert.equal(stats.invalid_rate, 0.333333);
+  assert.deepEqual(stats.error_categories, { checksum: 1, length: 1 });
+  assert.equal(stats.distinct_wmis, 2);
+  assert.deepEqual(stats.top_wmis.map(w => [w.wmi, w.count]), [['1HG', 2], ['JHM', 1]]);
+  assert.equal(results.length, 6);
+  assert.deepEqual(results[3], {
+    row: 4, input: '1HGCM82643A004352', vin: '1HGCM82643A004352', valid: false, status: 'invalid',
+    error_codes: ['checksum'], errors: ["Checksum invalid: position 9 is '4' but expected '3'"], warnings: [],
+    manufacturer: 'Honda', year: 2003,
+  });
+});
+
+test('rows=invalid and rows=none trim the results but not the stats', () => {
+  const items = parseVinList(`${HONDA}\nbad\n`, { format: 'text' }).items;
+  const invalid = validateBulk(items, { rows: 'invalid' });
+  assert.deepEqual(invalid.results.map(r => r.row), [2]);
+  assert.equal(invalid.stats.total, 2);
+  const none = validateBulk(items, { rows: 'none' });
+  assert.deepEqual(none.results, []);
+  assert.equal(none.stats.invalid, 1);
+});
+
+test('the validation mode applies to every row', () => {
+  const european = 'WVWZZZ1KZ6W000000';
+  assert.equal(validateBulk([european]).stats.with_warnings, 1);
+  assert.deepEqual(validateBulk([european], { mode: 'strict' }).stats.error_categories, { checksum: 1 });
+});
+
+test('oversized lists and unknown row filters are errors', () => {
+  assert.match(validateBulk(new Array(MAX_BULK_VINS + 1).fill(HONDA)).error, /Too many VINs: 50001 \(max 50,000\)/);
+  assert.match(validateBulk([HONDA], { rows: 'valid' }).error, /rows must be one of/);
+  assert.equal(validateBulk('nope').error, 'Expected a list of VINs');
+});
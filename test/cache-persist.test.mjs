@@ -0,0 +1,78 @@
+// The SQLite tier behind a namespaced cache: values outlive the process (a
+// new cache on the same namespace stands in for a restart), memory misses
+// fall through to disk, and rows are bounded by TTL and diskMax. Rows are
+// written to data/vin.db under a test namespace and deleted afterwards.
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../lib/db.mjs';
+import { LRUCache, cacheStats } from '../lib/cache.mjs';
+
+const NAMESPACE = 'test-persist';
+const rows = () => db.prepare('SELECT key FROM cache_entries WHERE namespace = ? ORDER BY key').all(NAMESPACE).map(r => r.key);
+const reset = () => db.prepare('DELETE FROM cache_entries WHERE namespace = ?').run(NAMESPACE);
+after(reset);
+
+test('values written by one process are loaded by the next', () => {
+  reset();
+  const first = new LRUCache(10, 60_000, { namespace: NAMESPACE });
+  first.set('1HGCM82633A004352', { make: 'HONDA' });
+  assert.deepEqual(rows(), ['1HGCM82633A004352']);
+
+  const restarted = new LRUCache(10, 60_000, { namespace: NAMESPACE });
+  assert.equal(restarted.size, 1); // warmed at construction
+  assert.deepEqual(restarted.get('1HGCM82633A004352'), { make: 'HONDA' });
+});
+
+test('a memory miss falls through to SQLite and refills memory', () => {
+  reset();
+  const cache = new LRUCache(10, 60_000, { namespace: NAMESPACE });
+  cache.set('a', { n: 1 });
+  cache.map.clear();
+  assert.deepEqual(cache.get('a'), { n: 1 });
+  assert.equal(cache.size, 1);
+  assert.equal(cache.info().disk_entries, 1);
+  assert.ok(cacheStats().some(c => c.namespace === NAMESPACE));
+});
+
+test('expired rows are not loaded once their stale window has passed', () => {
+  reset();
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  try {
+    const cache = new LRUCache(10, 1000, { namespace: NAMESPACE, staleTtl: 1000 });
+    cache.set('a', { n: 1 });
+    cache.map.clear();
+    mock.timers.tick(1500);
+    assert.equal(cache.get('a'), undefined); // stale: only lookup() returns it
+    assert.equal(cache.lookup('a').stale, true);
+    cache.map.clear();
+    mock.timers.tick(1000);
+    assert.equal(cache.lookup('a'), undefined);
+    cache.prune();
+    assert.deepEqual(rows(), []);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('delete and clear remove the rows too', () => {
+  reset();
+  const cache = new LRUCache(10, 60_000, { namespace: NAMESPACE });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.delete('a');
+  assert.deepEqual(rows(), ['b']);
+  cache.clear();
+  assert.deepEqual(rows(), []);
+});
+
+test('the row count is trimmed to diskMax, keeping the most-used rows', () => {
+  reset();
+  const cache = new LRUCache(200, 60_000, { namespace: NAMESPACE, diskMax: 10 });
+  cache.set('hot', 'x');
+  for (let i = 0; i < 5; i++) cache.get('hot');
+  // The 100th write trims
+  for (let i = 1; i < 100; i++) cache.set(`k${String(i).padStart(3, '0')}`, i);
+  const kept = rows();
+  assert.equal(kept.length, 10);
+  assert.ok(kept.includes('hot'));
+});
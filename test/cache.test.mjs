@@ -0,0 +1,30 @@
+// Cache purges: disk rows that no longer parse, and source entries cached
+// under the source's own model name.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db from '../lib/db.mjs';
+import { LRUCache, recallCache, purgeVehicle } from '../lib/cache.mjs';
+
+const NAMESPACE = 'test-purge';
+after(() => db.prepare('DELETE FROM cache_entries WHERE namespace = ?').run(NAMESPACE));
+
+test('a row that does not parse is skipped, not the whole disk purge', () => {
+  const cache = new LRUCache(10, 60_000, { namespace: NAMESPACE });
+  cache.set('a', { n: 1 });
+  db.prepare('INSERT INTO cache_entries (namespace, key, value, expires_at, last_used) VALUES (?, ?, ?, ?, ?)')
+    .run(NAMESPACE, 'broken', '{not json', Date.now() + 60_000, Date.now());
+  cache.set('b', { n: 2 });
+  cache.map.clear(); // only the disk tier is left
+
+  assert.deepEqual(cache.purge(() => true).map(v => v.n).sort(), [1, 2]);
+  const keys = db.prepare('SELECT key FROM cache_entries WHERE namespace = ?').all(NAMESPACE).map(r => r.key);
+  assert.deepEqual(keys, ['broken']);
+});
+
+test('purgeVehicle drops entries cached under a source\'s resolved model name', () => {
+  recallCache.set('HONDA|Accord Sedan|2003', { status: 'ok', count: 1 });
+  recallCache.set('HONDA|Civic|2003', { status: 'ok', count: 2 });
+  const removed = purgeVehicle({ make: 'Honda', model: 'Accord', year: '2003', resolved: { recalls: { model: 'Accord Sedan' } } });
+  assert.equal(removed.recalls, 1);
+  assert.equal(recallCache.purge(key => key === 'HONDA|Civic|2003').length, 1);
+});
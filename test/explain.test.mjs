@@ -0,0 +1,66 @@
+// Position-by-position VIN breakdown: checksum arithmetic, local sources and
+// vPIC elements attached to the positions they describe.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { explainVin } from '../lib/explain.mjs';
+
+const VIN = '1HGCM82633A004352';
+
+test('every position carries its checksum value, weight and product', () => {
+  const { positions, checksum } = explainVin(VIN);
+  assert.equal(positions.length, 17);
+  assert.deepEqual(positions[0], {
+    position: 1, character: '1', section: 'wmi', meaning: 'Region: North America',
+    value: 1, weight: 8, product: 8,
+    interpretations: [{ meaning: "North America (first character '1')", source: 'local', table: 'wmi-registry' }],
+  });
+  assert.equal(positions[8].weight, 0);
+  assert.equal(checksum.sum, positions.reduce((sum, p) => sum + p.product, 0));
+  assert.equal(checksum.remainder, checksum.sum % 11);
+  assert.equal(String(checksum.remainder), checksum.expected);
+  assert.deepEqual({ actual: checksum.actual, valid: checksum.valid, required: checksum.required }, { actual: '3', valid: true, required: true });
+});
+
+test('VDS, year and plant positions use the local tables', () => {
+  const { positions, sections } = explainVin(VIN);
+  assert.equal(positions[3].meaning, 'Accord (2003-2007); Chassis CM8');
+  assert.deepEqual(positions[3].interpretations.map(i => i.table), ['vds/Honda', 'vds/Honda']);
+  assert.equal(positions[6].meaning, 'Vehicle attributes (not decoded locally)');
+  assert.match(positions[9].meaning, /^Model year 2003 /);
+  assert.equal(positions[10].meaning, 'Plant: Marysville, OH');
+  assert.equal(positions[16].meaning, 'Sequential production number');
+  assert.deepEqual(sections.map(s => `${s.section}:${s.characters}`), ['wmi:1HG', 'vds:CM826', 'check:3', 'year:3', 'plant:A', 'serial:004352']);
+});
+
+test('a wrong check digit is marked advisory only under ISO 3779', () => {
+  const strict = explainVin('1HGCM82643A004352');
+  assert.equal(strict.valid, false);
+  assert.equal(strict.positions[8].meaning, "Check digit (expected '3')");
+  const iso = explainVin('1HGCM82643A004352', { mode: 'iso' });
+  assert.equal(iso.valid, true);
+  assert.equal(iso.checksum.required, false);
+  assert.equal(iso.positions[8].meaning, "Check digit (expected '3', advisory only)");
+});
+
+test('vPIC elements attach to sections and single positions', () => {
+  const vpic = { Make: 'HONDA', Model: 'Accord', Trim: 'EX', ModelYear: '2003', PlantCity: 'MARYSVILLE', BodyClass: 'Not Applicable', Series: '' };
+  const result = explainVin(VIN, { vpic });
+  assert.equal(result.vpic_used, true);
+  const section = name => result.sections.find(s => s.section === name).interpretations;
+  assert.deepEqual(section('wmi'), [{ meaning: 'HONDA', source: 'vpic', element: 'Make' }]);
+  assert.deepEqual(section('vds').map(i => i.element), ['Model', 'Trim']);
+  assert.deepEqual(result.positions[9].interpretations.at(-1), { meaning: '2003', source: 'vpic', element: 'ModelYear' });
+  assert.deepEqual(result.positions[10].interpretations.at(-1), { meaning: 'MARYSVILLE', source: 'vpic', element: 'PlantCity' });
+  assert.equal(explainVin(VIN).vpic_used, false);
+});
+
+test('small manufacturers use positions 12-14 as part of the manufacturer code', () => {
+  const { positions } = explainVin('1G9AB12345A123456');
+  assert.equal(positions[11].meaning, 'Manufacturer code (small manufacturer)');
+  assert.equal(positions[14].meaning, 'Sequential production number');
+});
+
+test('only 17-character VINs are broken down', () => {
+  assert.match(explainVin('1HGCM8263').error, /needs exactly 17 characters \(got 9\)/);
+  assert.match(explainVin('7R01C123456').error, /Pre-1981 serials have no standard positions/);
+});
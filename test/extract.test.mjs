@@ -0,0 +1,67 @@
+// Finding VINs in free text, CSV and HTML: split and lowercase VINs, OCR
+// look-alikes, labels, offsets and near misses.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractVins, MAX_TEXT_LENGTH } from '../lib/extract.mjs';
+
+const VIN = '1HGCM82633A004352';
+
+test('finds a labelled VIN with its line, column and offsets', () => {
+  const text = `Invoice 42\nVIN: ${VIN}, mileage 120000`;
+  const result = extractVins(text);
+  assert.equal(result.format, 'text');
+  assert.equal(result.count, 1);
+  const [hit] = result.vins;
+  assert.deepEqual({ vin: hit.vin, confidence: hit.confidence, manufacturer: hit.manufacturer, year: hit.year }, { vin: VIN, confidence: 1, manufacturer: 'Honda', year: 2003 });
+  assert.deepEqual(hit.occurrences, [{ start: 16, end: 33, line: 2, column: 6, text: VIN, confidence: 1 }]);
+  assert.equal(text.slice(hit.occurrences[0].start, hit.occurrences[0].end), VIN);
+});
+
+test('groups repeated VINs, including split and lowercase spellings', () => {
+  const text = `Stock 1HG CM826 33A 004352 / ${VIN.toLowerCase()}`;
+  const [hit] = extractVins(text).vins;
+  assert.equal(hit.vin, VIN);
+  assert.deepEqual(hit.occurrences.map(o => [o.text, o.confidence]), [['1HG CM826 33A 004352', 0.9], [VIN.toLowerCase(), 0.9]]);
+  assert.equal(hit.confidence, 0.9);
+});
+
+test('corrects OCR look-alikes but not other errors', () => {
+  const [hit] = extractVins('Stock 1HGCM82633AOO4352').vins;
+  assert.equal(hit.vin, VIN);
+  assert.equal(hit.confidence, 0.75);
+  assert.ok(hit.corrections.length > 0);
+  assert.ok(hit.corrections.every(c => c.kind === 'ocr'));
+
+  const result = extractVins('bad 1HGCM82643A004352 here');
+  assert.equal(result.count, 0);
+  assert.deepEqual(result.rejected, [{
+    text: '1HGCM82643A004352', start: 4, end: 21, line: 1, column: 5,
+    errors: ["Checksum invalid: position 9 is '4' but expected '3'"],
+  }]);
+});
+
+test('words and short numbers are not candidates', () => {
+  assert.deepEqual(extractVins('ABCDEFGHJKLMNPRST, 12345678901234; INTERNATIONALIZE').vins, []);
+});
+
+test('reads each CSV cell on its own', () => {
+  const result = extractVins(`unit,vin\n101,${VIN}\n102,JHMCM56557C404453\n`, { format: 'csv' });
+  assert.equal(result.format, 'csv');
+  assert.deepEqual(result.vins.map(v => [v.vin, v.occurrences[0].line]), [[VIN, 2], ['JHMCM56557C404453', 3]]);
+});
+
+test('HTML is detected, tags and scripts are ignored and offsets point into the original', () => {
+  const html = `<p><b>VIN</b>: <span>JHMCM56557C404453</span></p><script>var v = "${VIN}"</script>`;
+  const result = extractVins(html);
+  assert.equal(result.format, 'html');
+  assert.deepEqual(result.vins.map(v => v.vin), ['JHMCM56557C404453']);
+  const { start, end, confidence } = result.vins[0].occurrences[0];
+  assert.equal(html.slice(start, end), 'JHMCM56557C404453');
+  assert.equal(confidence, 1);
+});
+
+test('bad input is reported as an error', () => {
+  assert.equal(extractVins(42).error, 'Text must be a string');
+  assert.match(extractVins('x', { format: 'pdf' }).error, /format must be one of/);
+  assert.match(extractVins('x'.repeat(MAX_TEXT_LENGTH + 1)).error, /Text is too long/);
+});
@@ -0,0 +1,57 @@
+// EPA fuel-economy option scoring against a decoded drivetrain.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreFuelOption } from '../lib/epa.mjs';
+import { transmissionClass, transmissionSpeeds } from '../lib/match.mjs';
+
+// 2018 Honda Accord 1.5T with a CVT
+const accord = {
+  engine: { displacement_l: 1.5, cylinders: 4, turbo: 'Yes' },
+  transmission: { type: 'Continuously Variable Transmission (CVT)', speeds: null, drive_type: 'FWD/Front-Wheel Drive' },
+};
+
+const option = (displacement, cylinders, transmission, extra = {}) => ({
+  displacement, cylinders, transmission, drive: 'Front-Wheel Drive', turbo: false, supercharger: false, ...extra,
+});
+
+test('EPA transmission strings normalise to a style and gear count', () => {
+  assert.equal(transmissionClass('Automatic (variable gear ratios)'), 'cvt');
+  assert.equal(transmissionClass('Automatic (AM-S7)'), 'dct');
+  assert.equal(transmissionClass('Manual 6-spd'), 'manual');
+  assert.equal(transmissionClass('Automatic (S10)'), 'automatic');
+  assert.equal(transmissionSpeeds('Automatic (S10)'), 10);
+  assert.equal(transmissionSpeeds('Manual 6-spd'), 6);
+});
+
+test('the option with the decoded engine and transmission scores full marks', () => {
+  const right = scoreFuelOption(option(1.5, 4, 'Automatic (AV)', { turbo: true }), accord);
+  assert.equal(right.score, right.possible);
+  assert.deepEqual(right.reasons, [
+    'displacement matches (1.5 L)',
+    'cylinders match (4)',
+    'forced induction matches',
+    'transmission style matches (cvt)',
+    'drive type matches (FWD)',
+  ]);
+
+  const bigger = scoreFuelOption(option(2, 4, 'Automatic (S10)', { turbo: true }), accord);
+  const manual = scoreFuelOption(option(1.5, 4, 'Manual 6-spd', { turbo: true }), accord);
+  assert.ok(right.score > bigger.score);
+  assert.ok(right.score > manual.score);
+  assert.ok(bigger.reasons.includes('displacement differs (1.5 vs 2 L)'));
+  assert.ok(manual.reasons.includes('transmission style differs (cvt vs manual)'));
+});
+
+test('a near displacement and another automatic style count partly', () => {
+  const { score, reasons } = scoreFuelOption(option(1.6, 4, 'Automatic (S6)', { turbo: true }), accord);
+  assert.equal(score, 1.5 + 2 + 1 + 0.5 + 3);
+  assert.ok(reasons.includes('displacement close (1.5 vs 1.6 L)'));
+  assert.ok(reasons.includes('transmission style close (cvt vs automatic)'));
+});
+
+test('gear counts are compared unless the option is a CVT', () => {
+  const sixSpeed = { engine: {}, transmission: { type: 'Automatic', speeds: 6 } };
+  assert.equal(scoreFuelOption(option(null, null, 'Automatic (S6)', { drive: null }), sixSpeed).score, 2 + 1);
+  assert.equal(scoreFuelOption(option(null, null, 'Automatic (S8)', { drive: null }), sixSpeed).score, 2 - 1);
+  assert.equal(scoreFuelOption(option(null, null, 'Automatic (AV-S6)', { drive: null }), sixSpeed).possible, 2);
+});
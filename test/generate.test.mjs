@@ -0,0 +1,72 @@
+// Synthetic VINs: seeded runs are reproducible and every VIN passes strict
+// validation with the requested WMI, year, VDS and plant.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateVins, completeCheckDigit, MAX_COUNT } from '../lib/generate.mjs';
+import { validateVin } from '../lib/validate.mjs';
+
+test('the same options and seed always produce the same VINs', () => {
+  const options = { wmi: '1HG', year: 2015, vds: 'CR2**', count: 25 };
+  const first = generateVins({ ...options, seed: 42 });
+  assert.deepEqual(generateVins({ ...options, seed: 42 }), first);
+  assert.equal(first.seed, 42);
+  assert.notDeepEqual(generateVins({ ...options, seed: 43 }).vins, first.vins);
+  assert.deepEqual(generateVins({ ...options, seed: 'fleet-a' }).vins, generateVins({ ...options, seed: 'fleet-a' }).vins);
+});
+
+test('an unseeded run returns the seed that reproduces it', () => {
+  const options = { wmi: '1FT', year: 2019, count: 5 };
+  const run = generateVins(options);
+  assert.ok(Number.isInteger(run.seed));
+  assert.deepEqual(generateVins({ ...options, seed: run.seed }).vins, run.vins);
+});
+
+test('generated VINs are distinct, valid and keep the fixed positions', () => {
+  const { vins, year_code, warnings, manufacturer } = generateVins({ wmi: '1HG', year: 2015, vds: 'CR2*3', plant: 'A', count: 200, seed: 7 });
+  assert.equal(vins.length, 200);
+  assert.equal(new Set(vins).size, 200);
+  assert.equal(year_code, 'F');
+  assert.deepEqual(warnings, []);
+  assert.ok(manufacturer);
+  for (const vin of vins) {
+    assert.match(vin, /^1HGCR2[A-HJ-NPR-Z]3.FA\d{6}$/, vin);
+    const result = validateVin(vin, { mode: 'strict' });
+    assert.equal(result.status, 'valid', vin);
+    assert.equal(result.year.resolved, 2015, vin);
+  }
+});
+
+test('a random position 7 is a digit before 2010', () => {
+  for (const vin of generateVins({ wmi: '1G1', year: 2005, count: 50, seed: 1 }).vins) {
+    assert.match(vin[6], /\d/, vin);
+    assert.equal(validateVin(vin).year.resolved, 2005, vin);
+  }
+});
+
+test('small manufacturers put the rest of their WMI in positions 12-14', () => {
+  const { vins } = generateVins({ wmi: '1G9ABC', year: 2021, count: 10, seed: 3 });
+  for (const vin of vins) {
+    assert.equal(vin.slice(0, 3), '1G9');
+    assert.equal(vin.slice(11, 14), 'ABC');
+    assert.match(vin.slice(14), /^\d{3}$/);
+  }
+});
+
+test('invalid options are reported without VINs', () => {
+  const error = options => generateVins({ wmi: '1HG', year: 2015, ...options }).error;
+  assert.match(error({ wmi: '1H' }), /WMI must be 3 characters/);
+  assert.match(error({ wmi: '1HGABC' }), /needs a 9 in position 3/);
+  assert.match(error({ year: 1979 }), /Model year must be an integer from 1980 to 2039/);
+  assert.match(error({ vds: 'CR2' }), /VDS must be 5 characters/);
+  assert.match(error({ vds: 'CR2I*' }), /VDS: Invalid character 'I' at position 7/);
+  assert.match(error({ plant: 'AB' }), /Plant must be a single VIN character/);
+  assert.match(error({ count: MAX_COUNT + 1 }), /Count must be an integer from 1 to 1000/);
+  assert.deepEqual(generateVins({ wmi: '1H', year: 2015 }).vins, []);
+});
+
+test('completeCheckDigit fills in position 9', () => {
+  assert.deepEqual(completeCheckDigit('1HGCM8263A004352'), { input: '1HGCM8263A004352', vin: '1HGCM82633A004352', check_digit: '3', replaced: null });
+  assert.equal(completeCheckDigit('1HGCM826*3A004352').replaced, null);
+  assert.equal(completeCheckDigit('1HGCM82643A004352').replaced, '4');
+  assert.match(completeCheckDigit('1HGCM826').error, /Provide 16 known characters/);
+});
@@ -0,0 +1,100 @@
+// Background jobs: a job a previous process left 'running' is re-queued on
+// start and continues with the VINs it had not processed. Jobs live in
+// data/vin.db, so every job created here is deleted afterwards.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const requested = []; // every VIN vPIC was asked for
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const vins = new URLSearchParams(body).get('DATA').split(';').map(v => v.replace(/,$/, ''));
+    requested.push(...vins);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ Results: vins.map(VIN => ({ VIN, ErrorCode: '0', Make: 'HONDA', Model: 'Accord', ModelYear: '2015' })) }));
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+process.env.VPIC_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.VPIC_DB_PATH = '/nonexistent/vpic.db';
+process.env.CACHE_PERSIST = '0';
+process.env.UPSTREAM_RETRIES = '0';
+const { default: db } = await import('../lib/db.mjs');
+const { createJob, getJob, cancelJob, jobResults, startJobRunner } = await import('../lib/jobs.mjs');
+const { generateVins } = await import('../lib/generate.mjs');
+
+const created = [];
+after(() => {
+  server.close();
+  for (const id of created) db.prepare('DELETE FROM jobs WHERE id = ?').run(id);
+});
+
+function queue(vins, options) {
+  const job = createJob(vins, options);
+  if (job.id) created.push(job.id);
+  return job;
+}
+
+async function settled(id) {
+  const deadline = Date.now() + 10_000;
+  for (;;) {
+    const job = getJob(id);
+    if (!['queued', 'running'].includes(job.status)) return job;
+    if (Date.now() > deadline) throw new Error(`job ${id} still ${job.status}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const vins = generateVins({ wmi: '1HG', year: 2015, count: 5, seed: 20 }).vins;
+
+test('jobs wait in the queue until the runner starts, and can be cancelled there', () => {
+  const job = queue(vins.slice(0, 2));
+  assert.equal(job.status, 'queued');
+  assert.equal(job.total, 2);
+  assert.equal(cancelJob(job.id).status, 'cancelled');
+});
+
+test('a job interrupted mid-run is re-queued on start and finishes the remaining VINs', async () => {
+  const job = queue([...vins, 'bad']);
+  // What a process that stopped after the first two VINs leaves behind
+  db.prepare("UPDATE jobs SET status = 'running', started_at = datetime('now'), processed = 2, ok = 2 WHERE id = ?").run(job.id);
+  db.prepare("UPDATE job_items SET status = 'ok', result = '{}' WHERE job_id = ? AND idx < 2").run(job.id);
+
+  startJobRunner({ fullReport: async () => { throw new Error('not used by decode jobs'); } });
+  const done = await settled(job.id);
+
+  assert.equal(done.status, 'completed');
+  assert.deepEqual({ processed: done.processed, ok: done.ok, invalid: done.invalid, failed: done.failed }, { processed: 6, ok: 5, invalid: 1, failed: 0 });
+  assert.deepEqual(requested, vins.slice(2));
+  const results = jobResults(job.id);
+  assert.deepEqual(results.map(r => [r.row, r.status]), [[1, 'ok'], [2, 'ok'], [3, 'ok'], [4, 'ok'], [5, 'ok'], [6, 'invalid']]);
+  assert.equal(results[2].result.source, 'vpic');
+  assert.equal(results[2].result.vehicle.model, 'Accord');
+  assert.equal(results[2].result.raw, undefined);
+});
+
+test('the cancelled job is never run', () => {
+  const cancelled = getJob(created[0]);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.processed, 0);
+});
+
+test('report jobs keep the chosen sections of each full report', async () => {
+  startJobRunner({
+    fullReport: async vin => ({ valid: true, vehicle: { vin }, recalls: { count: 0 }, complaints: { count: 3 } }),
+  });
+  const job = queue(vins.slice(0, 2), { kind: 'report', sections: ['vehicle', 'recalls'] });
+  assert.equal((await settled(job.id)).status, 'completed');
+  assert.deepEqual(jobResults(job.id)[0].result, { vehicle: { vin: vins[0] }, recalls: { count: 0 } });
+});
+
+test('invalid job requests are rejected before anything is queued', () => {
+  assert.equal(createJob([]).error, 'Provide at least one VIN');
+  assert.equal(createJob([42]).error, 'Every VIN must be a string');
+  assert.match(createJob(vins, { kind: 'export' }).error, /kind must be one of/);
+  assert.match(createJob(vins, { mode: 'eu' }).error, /mode must be one of/);
+  assert.match(createJob(vins, { sections: ['recalls'] }).error, /sections for decode jobs/);
+});
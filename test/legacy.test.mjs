@@ -0,0 +1,45 @@
+// Pre-1981 serials: Volkswagen chassis numbers are plain digits, so the
+// decoder must not take any 9-10 digit number for one.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeLegacyVin } from '../lib/legacy.mjs';
+import { validateVin } from '../lib/validate.mjs';
+
+test('Volkswagen chassis numbers decode to the years their serial range allows', () => {
+  assert.deepEqual(decodeLegacyVin('115000001').possible_years, [1965]);
+  assert.deepEqual(decodeLegacyVin('1161021298').possible_years, [1966]);
+  assert.deepEqual(decodeLegacyVin('1102000001').possible_years, [1970]);
+  assert.deepEqual(decodeLegacyVin('1332000001').possible_years, [1973]);
+});
+
+test('digit strings outside the chassis number ranges are not pre-standard', () => {
+  for (const junk of ['2125551234', '1135012345', '1180000000', '1392000001', '4152000001']) {
+    assert.equal(decodeLegacyVin(junk), null, junk);
+    assert.equal(validateVin(junk).status, 'invalid', junk);
+  }
+});
+
+test('Ford serials name the make and the car line of the body serial', () => {
+  const mustang = decodeLegacyVin('7R01C123456');
+  assert.equal(mustang.make, 'Ford');
+  assert.equal(mustang.model, 'Mustang');
+  assert.deepEqual(mustang.plant, { code: 'R', name: 'San Jose, CA' });
+  assert.deepEqual(mustang.body, { code: '01', description: 'Mustang 2-door hardtop' });
+  assert.deepEqual(mustang.possible_years, [1967, 1977]);
+
+  const galaxie = decodeLegacyVin('8J55Z123456');
+  assert.equal(galaxie.make, 'Ford');
+  assert.equal(galaxie.model, 'Custom / Galaxie / LTD');
+  assert.equal(galaxie.body.description, null);
+});
+
+test('11-character strings without a known Ford plant and body serial are not pre-standard', () => {
+  for (const junk of ['7C01C123456', '7R00C123456', '7R95C123456', '1C23A456789']) {
+    assert.equal(decodeLegacyVin(junk), null, junk);
+    assert.equal(validateVin(junk).status, 'invalid', junk);
+  }
+});
+
+test('serials shorter than 9 characters are not tried', () => {
+  for (const short of ['12345', '11500001', 'ABC1234']) assert.equal(decodeLegacyVin(short), null, short);
+});
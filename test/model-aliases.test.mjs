@@ -0,0 +1,69 @@
+// Model-name resolution per source, against a local server that answers the
+// NHTSA products, NCAP and EPA model-list endpoints.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+const LISTS = {
+  '/products/vehicle/models': { results: [{ model: 'F-150' }, { model: 'MUSTANG' }] },
+  '/SafetyRatings/modelyear/2020/make/FORD': { Results: [{ Model: 'F150 PICKUP' }, { Model: 'MUSTANG' }] },
+  '/menu/model': { menuItem: [{ value: 'F150 Pickup 2WD' }, { value: 'F150 Pickup 4WD' }, { value: 'Mustang' }] },
+};
+
+const server = http.createServer((req, res) => {
+  const body = LISTS[new URL(req.url, 'http://x').pathname];
+  if (!body) return res.writeHead(404).end();
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+process.env.NHTSA_BASE_URL = base;
+process.env.EPA_BASE_URL = base;
+process.env.CACHE_PERSIST = '0';
+process.env.UPSTREAM_RETRIES = '0';
+const { resolveModel, resolveModels, modelHints } = await import('../lib/model-aliases.mjs');
+after(() => server.close());
+
+test('an exact (case-insensitive) name in the source list wins', async () => {
+  assert.deepEqual(await resolveModel('recalls', 'FORD', 'f-150', 2020),
+    { input: 'f-150', model: 'F-150', method: 'exact', score: 1 });
+});
+
+test('the alias table picks the drivetrain variant the decode hints at', async () => {
+  const fuel = await resolveModel('fuel_economy', 'FORD', 'F-150', 2020, { drive: '4WD/4-Wheel Drive/4x4' });
+  assert.equal(fuel.model, 'F150 Pickup 4WD');
+  assert.equal(fuel.method, 'alias');
+  const rwd = await resolveModel('fuel_economy', 'FORD', 'F-150', 2020, { drive: 'RWD/Rear-Wheel Drive' });
+  assert.equal(rwd.model, 'F150 Pickup 2WD');
+});
+
+test('names the alias table does not cover fall back to fuzzy matching', async () => {
+  const ncap = await resolveModel('safety_ratings', 'FORD', 'F-150', 2020);
+  assert.equal(ncap.model, 'F150 PICKUP');
+  assert.equal(ncap.method, 'fuzzy');
+  assert.ok(ncap.score >= 0.6);
+});
+
+test('a name nothing resembles stays unresolved with the input kept', async () => {
+  const r = await resolveModel('safety_ratings', 'FORD', 'Transit Connect', 2020);
+  assert.equal(r.method, 'unresolved');
+  assert.equal(r.model, 'Transit Connect');
+});
+
+test('a source without a model list passes the name through or uses its alias', async () => {
+  assert.equal((await resolveModel('photos', 'MAZDA', 'MAZDA3', 2020)).model, '3');
+  assert.equal((await resolveModel('photos', 'FORD', 'Mustang', 2020)).method, 'passthrough');
+});
+
+test('a model list that cannot be fetched passes the name through', async () => {
+  const r = await resolveModel('safety_ratings', 'FORD', 'F-150', 1999);
+  assert.deepEqual(r, { input: 'F-150', model: 'F-150', method: 'passthrough', score: null });
+});
+
+test('resolveModels covers every source and modelHints reads the decode', async () => {
+  const all = await resolveModels('FORD', 'Mustang', 2020);
+  assert.deepEqual(Object.keys(all).sort(), ['complaints', 'fuel_economy', 'photos', 'recalls', 'safety_ratings']);
+  assert.deepEqual(modelHints({ transmission: { drive_type: 'AWD' }, vehicle: { cab_type: null, series: 'GT' } }),
+    { drive: 'AWD', cab: null, series: 'GT' });
+});
@@ -0,0 +1,60 @@
+// NCAP variant scoring against a decoded vehicle.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreNcapVariant } from '../lib/nhtsa.mjs';
+import { driveClass, bodyClass, cabClass, confidence } from '../lib/match.mjs';
+
+const f150 = {
+  vehicle: { body_class: 'Pickup', cab_type: 'Crew/Super Crew/Crew Max', trim: 'XLT', series: 'F-150' },
+  transmission: { drive_type: '4WD/4-Wheel Drive/4x4' },
+};
+
+test('free-text drive, body and cab descriptions normalise to classes', () => {
+  assert.equal(driveClass('4WD/4-Wheel Drive/4x4'), '4WD');
+  assert.equal(driveClass('AWD/All-Wheel Drive'), 'AWD');
+  assert.equal(driveClass('4x2'), 'RWD');
+  assert.equal(bodyClass('Sport Utility Vehicle (SUV)/Multi-Purpose Vehicle (MPV)'), 'suv');
+  assert.equal(bodyClass('2020 Ford F-150 PU/CC 4WD'), 'pickup');
+  assert.equal(cabClass('SuperCab'), 'extended');
+  assert.equal(cabClass('PU/RC'), 'regular');
+});
+
+test('the variant with the decoded drive and cab scores highest', () => {
+  const crew4wd = scoreNcapVariant('2020 Ford F-150 PU/CC 4WD', f150);
+  const crew2wd = scoreNcapVariant('2020 Ford F-150 PU/CC 2WD', f150);
+  const regular4wd = scoreNcapVariant('2020 Ford F-150 PU/RC 4WD', f150);
+
+  assert.equal(crew4wd.score, crew4wd.possible); // drive, cab, body and the series word '150'
+  assert.ok(crew4wd.score > crew2wd.score);
+  assert.ok(crew4wd.score > regular4wd.score);
+  assert.ok(crew2wd.reasons.some(r => r.startsWith('drive type differs')));
+  assert.ok(regular4wd.reasons.some(r => r.startsWith('cab type differs')));
+});
+
+test('AWD and 4WD count as a partial drive match', () => {
+  const { score, reasons } = scoreNcapVariant('2019 Subaru Outback SUV 4WD', {
+    vehicle: { body_class: 'Wagon' },
+    transmission: { drive_type: 'AWD/All-Wheel Drive' },
+  });
+  assert.equal(score, 1.5 - 2); // drive close, body differs
+  assert.ok(reasons.includes('drive type close (AWD vs 4WD)'));
+});
+
+test('trim and series words in the description add to the score', () => {
+  const vehicle = { ...f150, vehicle: { ...f150.vehicle, series: null } };
+  assert.equal(scoreNcapVariant('2020 Ford F-150 PU/CC 4WD', vehicle).score, 3 + 2 + 2);
+  const { score, possible, reasons } = scoreNcapVariant('2020 Ford F-150 XLT PU/CC 4WD', vehicle);
+  assert.equal(score, 3 + 2 + 2 + 1);
+  assert.equal(possible, 8);
+  assert.ok(reasons.includes('trim/series words matched: XLT'));
+});
+
+test('nothing known about the vehicle scores zero out of zero', () => {
+  assert.deepEqual(scoreNcapVariant('2020 Ford F-150 PU/CC 4WD', null), { score: 0, possible: 0, reasons: [] });
+});
+
+test('confidence is halved on a tie with the runner-up', () => {
+  assert.equal(confidence(6, 8), 0.75);
+  assert.equal(confidence(6, 8, 6), 0.38);
+  assert.equal(confidence(-2, 4), 0);
+});
@@ -0,0 +1,39 @@
+// Upstream provider: a disconnected client (withUpstreamSignal) cancelling the
+// half-open trial while it waits to retry must not cut the host off.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+process.env.BREAKER_THRESHOLD = '1';
+process.env.BREAKER_COOLDOWN_MS = '0';
+process.env.UPSTREAM_RETRIES = '1';
+const { upstreamFetch, upstreamHealth, withUpstreamSignal } = await import('../lib/provider.mjs');
+
+// /fail answers 503 with a one-second Retry-After, anything else 200
+let server;
+let base;
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/fail') return res.writeHead(503, { 'Retry-After': '1' }).end();
+    res.end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+test('a trial cancelled through withUpstreamSignal during backoff frees the breaker', async () => {
+  await assert.rejects(upstreamFetch(`${base}/fail`), /HTTP 503/);
+  const host = new URL(base).host;
+  assert.equal(upstreamHealth()[host].state, 'open');
+
+  const controller = new AbortController();
+  const trial = withUpstreamSignal(controller.signal, () => upstreamFetch(`${base}/fail`));
+  setTimeout(() => controller.abort(new Error('client disconnected')), 100);
+  await assert.rejects(trial, /client disconnected/);
+  assert.equal(upstreamHealth()[host].state, 'half-open');
+
+  const res = await withUpstreamSignal(new AbortController().signal, () => upstreamFetch(`${base}/ok`));
+  assert.equal(await res.text(), 'ok');
+  assert.equal(upstreamHealth()[host].state, 'closed');
+});
@@ -0,0 +1,41 @@
+// Upstream provider: circuit breaker behaviour around cancelled calls.
+// The breaker opens after one failure, cools down immediately and never retries.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+process.env.BREAKER_THRESHOLD = '1';
+process.env.BREAKER_COOLDOWN_MS = '0';
+process.env.UPSTREAM_RETRIES = '0';
+const { upstreamFetch, upstreamHealth } = await import('../lib/provider.mjs');
+
+// /fail answers 503, /slow answers after 500ms, anything else 200
+let server;
+let base;
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/fail') return res.writeHead(503).end();
+    if (req.url === '/slow') return setTimeout(() => res.end('late'), 500);
+    res.end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+test('an aborted half-open trial does not leave the breaker stuck', async () => {
+  await assert.rejects(upstreamFetch(`${base}/fail`), /HTTP 503/);
+  const host = new URL(base).host;
+  assert.equal(upstreamHealth()[host].state, 'open');
+
+  // The next call is the half-open trial; the caller gives up on it
+  const controller = new AbortController();
+  const trial = upstreamFetch(`${base}/slow`, { signal: controller.signal });
+  setTimeout(() => controller.abort(new Error('caller went away')), 50);
+  await assert.rejects(trial, /caller went away/);
+  assert.equal(upstreamHealth()[host].state, 'half-open');
+
+  const res = await upstreamFetch(`${base}/ok`);
+  assert.equal(await res.text(), 'ok');
+  assert.equal(upstreamHealth()[host].state, 'closed');
+});
@@ -0,0 +1,194 @@
+// REST routes, against the HTTP server started as a child process with every
+// upstream pointed at a local stand-in and its database in a temp directory.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+
+const VIN = '1HGCM82633A004352';
+
+const upstream = []; // path and query of every upstream request
+
+// vPIC leaves ModelYear empty, so the year has to come from the VIN itself
+const ANSWERS = {
+  [`/DecodeVinValues/${VIN}`]: { Results: [{ VIN, ErrorCode: '0', Make: 'HONDA', Model: 'Accord', ModelYear: '' }] },
+  '/recalls/recallsByVehicle': { results: [{ NHTSACampaignNumber: '03V001000', Component: 'AIR BAGS' }] },
+  '/complaints/complaintsByVehicle': { results: [] },
+  '/products/vehicle/models': { results: [] },
+};
+
+const mock = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://x');
+  upstream.push(url.pathname + url.search);
+  res.setHeader('Content-Type', 'application/json');
+  if (url.pathname.startsWith('/menu/')) return res.end(''); // EPA: nothing for this vehicle
+  if (url.pathname.startsWith('/SafetyRatings/')) return res.end(JSON.stringify({ Results: [] }));
+  if (url.pathname === '/DecodeVINValuesBatch/') return res.end(JSON.stringify(ANSWERS[`/DecodeVinValues/${VIN}`]));
+  const body = ANSWERS[url.pathname];
+  if (!body) return res.writeHead(404).end();
+  res.end(JSON.stringify(body));
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vin-server-'));
+let child;
+let base;
+
+async function freePort() {
+  const probe = http.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+before(async () => {
+  await new Promise(resolve => mock.listen(0, '127.0.0.1', resolve));
+  const mockBase = `http://127.0.0.1:${mock.address().port}`;
+  const port = await freePort();
+  child = spawn(process.execPath, ['server.mjs', '--http', '--port', String(port)], {
+    cwd: fileURLToPath(new URL('..', import.meta.url)),
+    env: {
+      ...process.env,
+      VIN_DB_PATH: path.join(dir, 'vin.db'),
+      VPIC_DB_PATH: path.join(dir, 'vpic.db'),
+      CACHE_PERSIST: '0',
+      UPSTREAM_RETRIES: '0',
+      VPIC_BASE_URL: mockBase,
+      NHTSA_BASE_URL: mockBase,
+      EPA_BASE_URL: mockBase,
+      ADMIN_KEY: 'test-admin-key',
+      JWT_SECRET: 'test-jwt-secret',
+    },
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 15_000);
+    child.stderr.on('data', chunk => {
+      output = (output + chunk).slice(-4000);
+      if (output.includes('listening on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+  base = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+  if (child && child.exitCode === null) {
+    child.kill();
+    await once(child, 'exit');
+  }
+  mock.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a section route uses the model year resolved from the VIN when vPIC has none', async () => {
+  upstream.length = 0;
+  const res = await fetch(`${base}/api/vin/${VIN}/recalls`);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.status, 'ok');
+  assert.equal(body.count, 1);
+  assert.equal(body.recalls[0].campaign_number, '03V001000');
+  assert.equal(body.resolved_as.model, 'Accord');
+  const recallQuery = new URLSearchParams(upstream.find(u => u.startsWith('/recalls/')).split('?')[1]);
+  assert.equal(recallQuery.get('modelYear'), '2003');
+});
+
+test('other sections of the same VIN come from the cached full report', async () => {
+  upstream.length = 0;
+  const complaints = await (await fetch(`${base}/api/vin/${VIN}/complaints`)).json();
+  assert.deepEqual({ status: complaints.status, count: complaints.count }, { status: 'ok', count: 0 });
+  const fuel = await (await fetch(`${base}/api/vin/${VIN}/fuel`)).json();
+  assert.deepEqual({ status: fuel.status, available: fuel.available }, { status: 'ok', available: false });
+  const safety = await (await fetch(`${base}/api/vin/${VIN}/safety`)).json();
+  assert.deepEqual({ status: safety.status, rated: safety.rated }, { status: 'ok', rated: false });
+  assert.deepEqual(upstream, []);
+});
+
+test('the photo route redirects with the resolved model year', async () => {
+  const res = await fetch(`${base}/api/vin/${VIN}/photo`, { redirect: 'manual' });
+  assert.equal(res.status, 302);
+  assert.equal(new URL(res.headers.get('location')).searchParams.get('modelYear'), '2003');
+});
+
+test('section routes validate the VIN before any upstream call', async () => {
+  upstream.length = 0;
+  const res = await fetch(`${base}/api/vin/1HGCM82643A004352/recalls`);
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.error, 'Invalid VIN');
+  assert.deepEqual(body.validation.error_codes, ['checksum']);
+  assert.deepEqual(upstream, []);
+
+  const badMode = await fetch(`${base}/api/vin/${VIN}/recalls?mode=eu`);
+  assert.equal(badMode.status, 400);
+  assert.match((await badMode.json()).error, /mode must be one of/);
+});
+
+// The limit on uploads is 5 a minute per client, so each request comes from
+// its own address (the server trusts the loopback proxy)
+let client = 0;
+const from = () => ({ 'X-Forwarded-For': `203.0.113.${++client}` });
+
+async function upload(query = '', headers = {}) {
+  const res = await fetch(`${base}/api/batch/csv${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv', ...from(), ...headers },
+    body: `unit,vin\n12,${VIN}\n13,not-a-vin\n`,
+  });
+  assert.equal(res.status, 200);
+  const [header, ...rows] = (await res.text()).trim().split('\r\n');
+  return { columns: res.headers.get('X-Columns'), header, rows };
+}
+
+test('an uploaded sheet gets the columns asked for with ?columns=', async () => {
+  const sheet = await upload('?columns=make,model');
+  assert.equal(sheet.columns, 'make,model');
+  assert.equal(sheet.header, 'unit,vin,Make,Model');
+  assert.deepEqual(sheet.rows, [`12,${VIN},HONDA,Accord`, '13,not-a-vin,,']);
+});
+
+test('without ?columns= or a login, the sheet gets every column', async () => {
+  const sheet = await upload();
+  assert.equal(sheet.columns, 'year,make,model,trim,engine,drive,mpg,recalls,complaints,ncap_overall,validation_errors');
+  assert.equal(sheet.header.split(',').length, 2 + 11);
+});
+
+test("a logged-in user's report settings pick whole column groups", async () => {
+  const register = await fetch(`${base}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...from() },
+    body: JSON.stringify({ email: 'sheets@example.com', password: 'correct horse' }),
+  });
+  assert.equal(register.status, 201);
+  const auth = { Authorization: `Bearer ${(await register.json()).token}` };
+
+  // Never saved: the same as anonymous
+  assert.equal((await upload('', auth)).columns.split(',').length, 11);
+
+  const saved = await fetch(`${base}/api/user/preferences`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...from(), ...auth },
+    body: JSON.stringify({ show_engine: false, show_fuel_economy: false, show_complaints: false, show_safety_ratings: false }),
+  });
+  assert.equal(saved.status, 200);
+  const sheet = await upload('', auth);
+  assert.equal(sheet.columns, 'year,make,model,trim,recalls,validation_errors');
+  assert.equal(sheet.header, 'unit,vin,Year,Make,Model,Trim,Recalls (model year),Validation errors');
+  assert.match(sheet.rows[0], /,HONDA,Accord,,1,$/);
+
+  // ?columns= still wins
+  assert.equal((await upload('?columns=complaints', auth)).columns, 'complaints');
+});
@@ -0,0 +1,119 @@
+// Single-flight loads and stale-while-revalidate, on memory-only caches.
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { LRUCache, SingleFlight } from '../lib/cache.mjs';
+import { withUpstreamSignal, currentUpstreamSignal } from '../lib/provider.mjs';
+
+// A load that waits until release() is called
+function deferred(value) {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const load = mock.fn(async () => {
+    await gate;
+    return value;
+  });
+  return { load, release };
+}
+
+test('concurrent misses for one key share a single load', async () => {
+  const cache = new LRUCache(10, 60_000);
+  const { load, release } = deferred({ n: 1 });
+  const pending = Array.from({ length: 5 }, () => cache.getOrLoad('k', load));
+  release();
+  const values = await Promise.all(pending);
+  assert.equal(load.mock.callCount(), 1);
+  assert.ok(values.every(v => v.n === 1));
+  assert.equal(cache.info().loads, 1);
+  assert.equal(cache.info().in_flight, 0);
+  assert.deepEqual(await cache.getOrLoad('k', load), { n: 1 });
+  assert.equal(load.mock.callCount(), 1);
+});
+
+test('a stale value is served at once while one background load refreshes it', async () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  try {
+    const cache = new LRUCache(10, 1000, { staleTtl: 10_000 });
+    cache.set('k', 'old');
+    mock.timers.tick(2000);
+
+    const { load, release } = deferred('new');
+    const first = await cache.resolve('k', load);
+    assert.equal(first.value, 'old');
+    assert.equal(first.stale, true);
+    assert.equal(first.age_ms, 2000);
+    assert.equal((await cache.resolve('k', load)).value, 'old');
+    assert.equal(load.mock.callCount(), 1);
+
+    release();
+    await new Promise(resolve => setImmediate(resolve));
+    const refreshed = await cache.resolve('k', load);
+    assert.deepEqual({ value: refreshed.value, stale: refreshed.stale }, { value: 'new', stale: false });
+    assert.equal(cache.info().stale_hits, 2);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('fresh waits for the load instead of taking the stale value', async () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  try {
+    const cache = new LRUCache(10, 1000, { staleTtl: 10_000 });
+    cache.set('k', 'old');
+    mock.timers.tick(2000);
+    const result = await cache.resolve('k', async () => 'new', { fresh: true });
+    assert.deepEqual(result, { value: 'new', hit: false, stale: false, age_ms: 0 });
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('values that are not cacheable, and failed loads, are not stored', async () => {
+  const cache = new LRUCache(10, 60_000);
+  assert.equal(await cache.getOrLoad('k', async () => null), null);
+  assert.equal(await cache.getOrLoad('k', async () => ({ status: 'error' }), { cacheable: v => v.status === 'ok' }).then(v => v.status), 'error');
+  assert.equal(cache.has('k'), false);
+
+  const failing = mock.fn(async () => { throw new Error('upstream down'); });
+  const results = await Promise.allSettled([cache.getOrLoad('k', failing), cache.getOrLoad('k', failing)]);
+  assert.ok(results.every(r => r.status === 'rejected' && r.reason.message === 'upstream down'));
+  assert.equal(failing.mock.callCount(), 1);
+  assert.equal(cache.has('k'), false);
+  assert.equal(cache.info().in_flight, 0);
+});
+
+test('shared work is aborted only when every waiting caller has been cancelled', async () => {
+  const flights = new SingleFlight();
+  let inner;
+  const work = () => {
+    inner = currentUpstreamSignal();
+    return new Promise(resolve => setTimeout(resolve, 50, 'done'));
+  };
+  const a = new AbortController();
+  const b = new AbortController();
+  const pa = withUpstreamSignal(a.signal, () => flights.run('k', work));
+  const pb = withUpstreamSignal(b.signal, () => flights.run('k', work));
+  await new Promise(resolve => setImmediate(resolve));
+
+  a.abort();
+  assert.equal(inner.aborted, false);
+  b.abort();
+  assert.equal(inner.aborted, true);
+  assert.deepEqual(await Promise.all([pa, pb]), ['done', 'done']);
+});
+
+test('a caller without a signal keeps the shared work running', async () => {
+  const flights = new SingleFlight();
+  let inner;
+  const work = () => {
+    inner = currentUpstreamSignal();
+    return Promise.resolve('done');
+  };
+  const a = new AbortController();
+  const pa = withUpstreamSignal(a.signal, () => flights.run('k', work));
+  const pinned = flights.run('k', work);
+  await new Promise(resolve => setImmediate(resolve));
+  a.abort();
+  assert.equal(inner.aborted, false);
+  assert.deepEqual(await Promise.all([pa, pinned]), ['done', 'done']);
+  assert.equal(flights.size, 0);
+});
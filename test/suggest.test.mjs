@@ -0,0 +1,41 @@
+// VIN correction suggestions.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { suggestCorrections } from '../lib/suggest.mjs';
+import { validateVin } from '../lib/validate.mjs';
+
+const VIN = '1HGCM82633A004352';
+
+test('an illegal O is replaced with 0 and ranked first', () => {
+  const result = suggestCorrections('1HGCM82633A0O4352');
+  assert.equal(result.valid, false);
+  assert.equal(result.suggestions[0].vin, VIN);
+  assert.deepEqual(result.suggestions[0].changes, [{ position: 13, from: 'O', to: '0', kind: 'ocr' }]);
+  assert.equal(result.suggestions[0].manufacturer, 'Honda');
+});
+
+test('a transposition is found and every suggestion validates', () => {
+  const result = suggestCorrections('1HGCM82633A040352', { limit: 50 });
+  assert.equal(result.suggestions[0].vin, VIN);
+  assert.deepEqual(result.suggestions[0].changes, [{ position: 13, from: '40', to: '04', kind: 'transposition' }]);
+  for (const s of result.suggestions) assert.equal(validateVin(s.vin).valid, true, s.vin);
+});
+
+test('suggestions are ranked by cost and their confidences sum to at most 1', () => {
+  const { suggestions, candidates_found: found } = suggestCorrections('1HGCM82633A0O4352', { limit: 50 });
+  assert.ok(found >= suggestions.length);
+  const confidences = suggestions.map(s => s.confidence);
+  assert.deepEqual(confidences, [...confidences].sort((a, b) => b - a));
+  assert.ok(confidences.reduce((a, b) => a + b, 0) <= 1.001);
+});
+
+test('the limit is applied and capped', () => {
+  assert.equal(suggestCorrections('1HGCM82633A0O4352', { limit: 2 }).suggestions.length, 2);
+  assert.ok(suggestCorrections('1HGCM82633A0O4352', { limit: 500 }).suggestions.length <= 50);
+});
+
+test('valid, short and uncorrectable input get a note instead of suggestions', () => {
+  assert.equal(suggestCorrections(VIN).note, 'VIN is already valid');
+  assert.match(suggestCorrections('1HGCM8263A004352').note, /only suggested for 17-character VINs/);
+  assert.match(suggestCorrections('1HGCM82633A00435#').note, /cannot be corrected/);
+});
@@ -0,0 +1,70 @@
+// Validation modes: the check digit is required under North American rules
+// and advisory under ISO 3779; auto picks by WMI region.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateVin, VALIDATION_MODES } from '../lib/validate.mjs';
+
+const EUROPEAN = 'WVWZZZ1KZ6W000000'; // position 9 is 'Z', the checksum expects 'X'
+const BAD_CHECK = '1HGCM82643A004352'; // 1HGCM82633A004352 with position 9 changed
+
+test('auto applies North American rules to North American WMIs', () => {
+  const result = validateVin(BAD_CHECK);
+  assert.equal(result.rules.mode, 'auto');
+  assert.equal(result.rules.applied, 'north-america');
+  assert.equal(result.rules.check_digit, 'required');
+  assert.equal(result.status, 'invalid');
+  assert.deepEqual(result.error_codes, ['checksum']);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('auto applies ISO 3779 elsewhere, so a checksum mismatch is only a warning', () => {
+  const result = validateVin(EUROPEAN);
+  assert.equal(result.rules.applied, 'iso-3779');
+  assert.equal(result.rules.check_digit, 'advisory');
+  assert.match(result.rules.reason, /WVW is outside North America \(Germany\)/);
+  assert.equal(result.status, 'valid');
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.checksum.valid, false);
+  assert.equal(result.warnings.length, 1);
+  assert.match(result.warnings[0], /expected 'X' \(advisory: not required under ISO 3779\)/);
+});
+
+test('strict requires the check digit for every VIN', () => {
+  const result = validateVin(EUROPEAN, { mode: 'strict' });
+  assert.equal(result.rules.applied, 'north-america');
+  assert.equal(result.status, 'invalid');
+  assert.deepEqual(result.error_codes, ['checksum']);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('iso never requires the check digit', () => {
+  const result = validateVin(BAD_CHECK, { mode: 'iso' });
+  assert.equal(result.rules.applied, 'iso-3779');
+  assert.equal(result.status, 'valid');
+  assert.equal(result.warnings.length, 1);
+});
+
+test('a correct check digit is valid in every mode', () => {
+  for (const mode of VALIDATION_MODES) {
+    const result = validateVin('1HGCM82633A004352', { mode });
+    assert.equal(result.status, 'valid', mode);
+    assert.deepEqual(result.warnings, [], mode);
+  }
+});
+
+test('modes do not relax structural errors', () => {
+  for (const mode of VALIDATION_MODES) {
+    assert.deepEqual(validateVin('1HGCM8263', { mode }).error_codes, ['length'], mode);
+    assert.deepEqual(validateVin('1HGCM82633A0O4352', { mode }).error_codes, ['illegal_characters'], mode);
+  }
+});
+
+test('pre-1981 serials report their own rule set', () => {
+  const result = validateVin('7R01C123456', { mode: 'strict' });
+  assert.equal(result.status, 'pre-standard');
+  assert.deepEqual(result.rules, { mode: 'strict', applied: 'pre-standard', check_digit: 'none', reason: 'Pre-1981 serials have no check digit' });
+});
+
+test('an unknown mode is a RangeError', () => {
+  assert.throws(() => validateVin('1HGCM82633A004352', { mode: 'eu' }), RangeError);
+});
@@ -0,0 +1,49 @@
+// Model-year resolution: calendar, position 7, WMI era, latest.
+import { test, mock, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateVin, checkDigit } from '../lib/validate.mjs';
+
+// Fill in position 9 so each VIN passes the checksum
+const withCheck = vin => vin.slice(0, 8) + checkDigit(vin) + vin.slice(9);
+const year = vin => {
+  const { resolved, confidence, rule } = validateVin(withCheck(vin)).year;
+  return { resolved, confidence, rule };
+};
+
+before(() => mock.timers.enable({ apis: ['Date'], now: new Date('2026-06-01T00:00:00Z') }));
+after(() => mock.timers.reset());
+
+test('a digit in position 7 means 1980-2009 for a North American WMI', () => {
+  assert.deepEqual(year('1HGCB7650KA000000'), { resolved: 1989, confidence: 'high', rule: 'position-7' });
+});
+
+test('a letter in position 7 means 2010-2039 for a North American WMI', () => {
+  assert.deepEqual(year('1HGCV1F30LA000000'), { resolved: 2020, confidence: 'medium', rule: 'position-7' });
+});
+
+test('a year after next calendar year is ruled out before position 7', () => {
+  // 'Y' is 2000 or 2030; the letter in position 7 would point at 2030
+  assert.deepEqual(year('1HGCV1F30YA000000'), { resolved: 2000, confidence: 'high', rule: 'calendar' });
+  assert.deepEqual(year('1HGCV1F307A000000'), { resolved: 2007, confidence: 'high', rule: 'calendar' });
+});
+
+test('outside North America the WMI era decides before position 7', () => {
+  // Saab (YS3) was only used to 2011, though the letter in position 7 says 2010+
+  assert.deepEqual(year('YS3AF4F30C0000000'), { resolved: 1982, confidence: 'medium', rule: 'wmi-era' });
+  assert.deepEqual(year('SCEDT26T0CD000000'), { resolved: 1982, confidence: 'medium', rule: 'wmi-era' });
+});
+
+test('without an era, position 7 still decides for imports, one step less sure', () => {
+  assert.deepEqual(year('JHMCB7650KC000000'), { resolved: 1989, confidence: 'medium', rule: 'position-7' });
+  // KL7 is still issued to GM Korea, so a letter in position 7 means a current model
+  assert.deepEqual(year('KL7CJKSB0LB000000'), { resolved: 2020, confidence: 'low', rule: 'position-7' });
+});
+
+test('heavy vehicles fall back to the most recent cycle', () => {
+  assert.deepEqual(year('1FUJA6CK0AL000000'), { resolved: 2010, confidence: 'low', rule: 'latest' });
+});
+
+test('a position 10 that is not a year code resolves to no year', () => {
+  const { possible_years: possible, resolved, rule } = validateVin(withCheck('1HGCV1F30UA000000')).year;
+  assert.deepEqual([possible, resolved, rule], [[], null, null]);
+});
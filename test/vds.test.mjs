@@ -0,0 +1,132 @@
+// Offline VDS decoding: one known VIN per decoder, checked against the fields
+// the README says each decoder covers. Fields a decoder has no table for must
+// not appear at all, rather than as a guess.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeVds } from '../lib/vds/index.mjs';
+
+// The summary fields of a result, without the per-position breakdown
+function summary(result) {
+  const { positions, ...rest } = result;
+  return rest;
+}
+
+function meaningAt(result, positions) {
+  return result.positions.find(p => p.positions === positions)?.meaning ?? null;
+}
+
+test('Honda reports the model line and plant only', () => {
+  const result = decodeVds('1HGCM82633A004352', { year: 2003 });
+  assert.deepEqual(summary(result), {
+    decoder: 'Honda',
+    model_line: 'Accord (2003-2007)',
+    plant: { code: 'A', name: 'Marysville, OH' },
+  });
+  assert.equal(meaningAt(result, '4-6'), 'Chassis CM8');
+});
+
+test('GM trucks decode drive, series, cab and engine from the pre-2014 layout', () => {
+  const result = decodeVds('1GCEK19T63Z123456', { year: 2003 });
+  assert.deepEqual(summary(result), {
+    decoder: 'General Motors',
+    drive: '4WD',
+    series: '1/2 ton',
+    cab: 'Extended cab',
+    engine: '5.3L V8 (LM7)',
+    plant: { code: 'Z', name: 'Fort Wayne, IN' },
+  });
+});
+
+test('GM truck series and cab codes are not applied to 2014 and later trucks', () => {
+  const result = decodeVds('1GCVKREC0EZ123456', { year: 2014 });
+  assert.equal(result.drive, '4WD');
+  assert.equal(result.series, null);
+  assert.equal(result.cab, null);
+  assert.equal(result.engine, '5.3L V8 (L83)');
+});
+
+test('GM cars decode line, body, restraint system and engine', () => {
+  const result = decodeVds('1G1YY22G045100000', { year: 2004 });
+  assert.deepEqual(summary(result), {
+    decoder: 'General Motors',
+    model_line: 'Corvette',
+    body_style: '2-door coupe',
+    restraint_system: 'Active manual belts, driver and passenger front airbags',
+    engine: '5.7L V8 (LS1)',
+    plant: { code: '5', name: 'Bowling Green, KY' },
+  });
+  assert.equal(decodeVds('1G1YY22G065100000', { year: 2006 }).engine, null);
+});
+
+test('Ford pickups decode cab, series, drive and engine', () => {
+  const result = decodeVds('1FTFW1ET5DFC10312', { year: 2013 });
+  assert.deepEqual(summary(result), {
+    decoder: 'Ford',
+    model_line: 'F-150',
+    cab: 'SuperCrew',
+    drive: '4x4',
+    engine: '3.5L EcoBoost V6',
+    plant: { code: 'F', name: 'Dearborn, MI' },
+  });
+});
+
+test('Ford cars decode the restraint system and engine', () => {
+  const result = decodeVds('1FA6P8CF0F5300000', { year: 2015 });
+  assert.deepEqual(summary(result), {
+    decoder: 'Ford',
+    restraint_system: 'Active belts, front, side, curtain and knee airbags',
+    engine: '5.0L V8 (Coyote)',
+    plant: { code: '5', name: 'Flat Rock, MI' },
+  });
+  assert.equal(meaningAt(result, '5'), 'Passenger car');
+});
+
+test('Toyota decodes the engine and model line', () => {
+  assert.deepEqual(summary(decodeVds('4T1BF1FK5CU123456', { year: 2012 })), {
+    decoder: 'Toyota',
+    engine: '2.5L I4 (2AR-FE)',
+    model_line: 'Camry',
+    plant: { code: 'U', name: 'Georgetown, KY' },
+  });
+});
+
+test('Stellantis decodes the engine; 2011 and later series letters are left undecoded', () => {
+  assert.deepEqual(summary(decodeVds('1C6RR7LT0ES123456', { year: 2014 })), {
+    decoder: 'Stellantis',
+    series: null,
+    engine: '5.7L HEMI V8',
+    plant: { code: 'S', name: 'Warren, MI (Warren Truck)' },
+  });
+});
+
+test('Volkswagen decodes the model type, with or without the ZZZ filler', () => {
+  assert.deepEqual(summary(decodeVds('3VWDX7AJ5BM123456', { year: 2011 })), {
+    decoder: 'Volkswagen',
+    model_line: 'Golf (Mk6) / Jetta (A6)',
+    plant: { code: 'M', name: 'Puebla, Mexico' },
+  });
+  const european = decodeVds('WVWZZZ1KZ6W000000', { year: 2006 });
+  assert.equal(european.model_line, 'Golf / Jetta (Mk5)');
+  assert.equal(meaningAt(european, '4-6'), 'Filler (positions 4-6 are only used in North America)');
+});
+
+test('Hyundai and Kia decode the line and passenger-car body', () => {
+  assert.deepEqual(summary(decodeVds('5NPE24AF1FH123456', { year: 2015 })), {
+    decoder: 'Hyundai',
+    model_line: 'Sonata',
+    body_style: '4-door sedan',
+    plant: { code: 'H', name: 'Montgomery, AL' },
+  });
+  const kia = decodeVds('5XXGM4A70FG123456', { year: 2015 });
+  assert.equal(kia.decoder, 'Kia');
+  assert.equal(kia.model_line, 'Optima');
+  assert.equal(kia.plant.name, 'West Point, GA');
+});
+
+test('unknown codes are listed with a null meaning, and unknown WMIs have no decoder', () => {
+  const result = decodeVds('1HGXX82633A004352', { year: 2003 });
+  assert.equal(result.model_line, null);
+  assert.deepEqual(result.positions[0], { positions: '4-5', code: 'XX', field: 'model_line', meaning: null });
+  assert.equal(decodeVds('ZFA22300005556777', { year: 2005 }), null);
+  assert.equal(decodeVds('1HGCM826', { year: 2003 }), null);
+});
@@ -0,0 +1,55 @@
+// Local vPIC snapshot: a tiny export with one Honda Accord schema for
+// 2003-2007, imported into a temporary database.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vpic-test-'));
+process.env.VPIC_DB_PATH = path.join(dir, 'vpic.db');
+const { importVpic, decodeVinLocal, closeLocalVpic } = await import('../lib/vpic-local.mjs');
+
+const EXPORT = {
+  'Wmi.csv': 'Id,Wmi,ManufacturerId,MakeId,VehicleTypeId,CountryId\n1,1HG,988,474,2,6\n',
+  'VinSchema.csv': 'Id,Name\n100,Honda Accord 2003-2007\n',
+  'Wmi_VinSchema.csv': 'WmiId,VinSchemaId,YearFrom,YearTo\n1,100,2003,2007\n',
+  'Pattern.csv': 'Id,VinSchemaId,Keys,ElementId,AttributeId\n1,100,CM826,28,1861\n',
+  'Element.csv': 'Id,Name,Code,LookupTable,DataType\n28,Model,Model,Model,lookup\n',
+  'Model.csv': 'Id,Name\n1861,Accord\n',
+  'Make.csv': 'Id,Name\n474,HONDA\n',
+  'Make_Model.csv': 'MakeId,ModelId\n474,1861\n',
+};
+
+before(async () => {
+  const csv = path.join(dir, 'csv');
+  fs.mkdirSync(csv);
+  for (const [name, content] of Object.entries(EXPORT)) fs.writeFileSync(path.join(csv, name), content);
+  await importVpic(csv);
+});
+after(() => {
+  closeLocalVpic();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('decodes a VIN inside the schema years', () => {
+  const record = decodeVinLocal('1HGCM82633A004352');
+  assert.equal(record.ModelYear, '2003');
+  assert.equal(record.Make, 'HONDA');
+  assert.equal(record.Model, 'Accord');
+  assert.equal(record.ErrorCode, '0');
+});
+
+test('a VIN whose model year cannot be resolved still matches year-ranged schemas', () => {
+  // '0' in position 10 is not a model-year code
+  const record = decodeVinLocal('1HGCM82630A004352');
+  assert.equal(record.ModelYear, '');
+  assert.equal(record.Model, 'Accord');
+});
+
+test('a resolved year outside the schema range does not match it', () => {
+  const record = decodeVinLocal('1HGCM82639A004352'); // 2009
+  assert.equal(record.ModelYear, '2009');
+  assert.equal(record.Model, undefined);
+  assert.equal(record.ErrorCode, '8');
+});
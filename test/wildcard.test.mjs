@@ -0,0 +1,59 @@
+// Wildcard VIN expansion: the mod-11 solver must find exactly the VINs a
+// brute-force check-digit search finds.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandWildcardVin } from '../lib/wildcard.mjs';
+import { checkDigit, VIN_CHARS, isYearCode } from '../lib/validate.mjs';
+
+function bruteForce(pattern) {
+  let vins = [''];
+  for (let i = 0; i < 17; i++) {
+    const options = pattern[i] !== '*' ? [pattern[i]] : [...VIN_CHARS].filter(ch => i !== 9 || isYearCode(ch));
+    vins = vins.flatMap(v => options.map(ch => v + ch));
+  }
+  return vins.filter(v => checkDigit(v) === v[8]).sort();
+}
+
+for (const pattern of ['1HGCM82633A00435*', '1HG*M82633A004352', '1HGCM82633*004352', '1HGCM826*3A004352', '1HGCM8*633A0*4352', '1HGCM826*3*004352']) {
+  test(`solving ${pattern} matches a brute-force search`, () => {
+    const result = expandWildcardVin(pattern, { limit: 5000 });
+    assert.deepEqual([...result.candidates].sort(), bruteForce(pattern));
+    assert.equal(result.total_matches, result.candidates.length);
+  });
+}
+
+test('a complete VIN is checked rather than expanded', () => {
+  assert.equal(expandWildcardVin('1HGCM82633A004352').total_matches, 1);
+  assert.equal(expandWildcardVin('1HGCM82643A004352').total_matches, 0);
+});
+
+test('matches are grouped by WMI, VDS and year code with the years from the code', () => {
+  const { groups, total_groups: total } = expandWildcardVin('1HG*M82633A004352');
+  assert.equal(total, 4);
+  const accord = groups.find(g => g.vds === 'CM826');
+  assert.deepEqual(accord, {
+    wmi: '1HG', vds: 'CM826', year_code: '3', manufacturer: 'Honda',
+    possible_years: [2003, 2033], count: 1, sample_vins: ['1HGCM82633A004352'],
+  });
+});
+
+test('candidates are limited but every match is counted', () => {
+  const result = expandWildcardVin('1HGCM82633A00***2', { limit: 5 });
+  assert.equal(result.candidates.length, 5);
+  assert.equal(result.truncated, true);
+  assert.ok(result.total_matches > 5);
+});
+
+test('only the first 5,000 groups are described', () => {
+  const result = expandWildcardVin('1HG***2633A00435*', { limit: 1 });
+  assert.equal(result.groups_truncated, true);
+  assert.ok(result.total_groups > 5000);
+  assert.equal(result.groups.length, 100);
+});
+
+test('bad patterns are rejected with a reason', () => {
+  assert.match(expandWildcardVin('1HGCM82*3').error, /exactly 17 characters/);
+  assert.match(expandWildcardVin('1HGCM8263UA004352').error, /Position 10 'U' is not a valid model-year code/);
+  assert.match(expandWildcardVin('1HGCM826A3A004352').error, /Position 9 'A' cannot be a check digit/);
+  assert.match(expandWildcardVin('1HGCM82633A0*****').error, /Too many wildcards/);
+});
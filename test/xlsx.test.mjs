@@ -0,0 +1,34 @@
+// XLSX reader/writer used by spreadsheet decoding.
+// fixtures/fleet.xlsx is laid out like an Excel save: shared strings (one of
+// them split into rich-text runs), a sheet that is not sheet1.xml, and a
+// skipped row and cell.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { readXlsx, writeXlsx } from '../lib/xlsx.mjs';
+
+const fixture = fs.readFileSync(new URL('./fixtures/fleet.xlsx', import.meta.url));
+
+test('reads the first worksheet with its cell types', () => {
+  const { rows, sheet, error } = readXlsx(fixture);
+  assert.equal(error, undefined);
+  assert.equal(sheet, 'Fleet & Co');
+  assert.deepEqual(rows, [
+    ['Unit', 'VIN', 'Active'],
+    [101, '1HGCM82633A004352', true],
+    [],
+    ['Truck <7> ', '', 'x'],
+  ]);
+});
+
+test('a written workbook reads back the same values', () => {
+  const rows = [['VIN', 'Year', 'Notes'], ['1HGCM82633A004352', 2003, null], ['', true, 'a & "b"']];
+  const { rows: back, sheet } = readXlsx(writeXlsx(rows, { sheet: 'Decoded' }));
+  assert.equal(sheet, 'Decoded');
+  assert.deepEqual(back, [['VIN', 'Year', 'Notes'], ['1HGCM82633A004352', 2003], ['', true, 'a & "b"']]);
+});
+
+test('anything that is not a workbook is an error', () => {
+  assert.match(readXlsx(Buffer.from('VIN\n1HGCM82633A004352\n')).error, /Not an XLSX workbook/);
+  assert.match(readXlsx(Buffer.alloc(0)).error, /Expected an XLSX body/);
+});